@@ -2,18 +2,59 @@ import { parseBookmarks } from '../importer.js';
 import { addBookmark } from '../bookmarksCrud.js';
 import { createRateLimiter } from '../utils/rateLimiter.js';
 import { normalizeUrlForKey, isBrowserInternalUrl } from '../utils/url.js';
+import {
+  CANONICAL_RULES_STORAGE_KEY,
+  getCanonicalRulesSignature,
+  setCustomCanonicalRules
+} from '../utils/urlCanonicalizer.js';
 import { createOpenAI } from '../openaiClient.js';
 import { tagNodes } from '../tagger.js';
 import { suggestFolders } from '../utils/folderOrganizer.js';
+import { loadTaxonomy } from '../utils/taxonomy.js';
+import { detectLanguage, resolveTagLanguage } from '../utils/languageDetector.js';
+import { loadTagStore } from '../utils/tagStore.js';
+import { collectTagCounts, groupTags, suggestTagMerges, TAG_MERGE_PROPOSAL_KEY } from '../utils/tagConsolidation.js';
+import {
+  applyFolderPolicies,
+  folderPolicyOf,
+  loadBookmarkFolderPolicy,
+  loadFolderPolicies
+} from '../utils/folderPolicies.js';
 import { writeTags } from '../writer.js';
-import { getPageText } from '../scraper.js';
+import { summarizeNodes } from '../summarizer.js';
+import { updateEnhancements } from '../utils/bookmarkEnhancements.js';
+import { needsTagReview, queueTagReviews, resolveConfidenceThreshold } from '../utils/tagReviewQueue.js';
+import { loadTagExamples } from '../utils/tagExamples.js';
+import { loadTagRules } from '../utils/tagRules.js';
+import { getPageInfo } from '../scraper.js';
+import { embedNodes, resolveExpectedVectors, selectEmbedder } from '../embeddings.js';
+import { StorageManager } from '../utils/storageManager.js';
+import { UrlResolutionCache } from '../utils/urlResolutionCache.js';
 
 const URL_INDEX_KEY = 'urlIndex';
 const URL_INDEX_ID_KEY = 'urlIndexById';
+// Canonicalization rules the index was built with; a mismatch forces a rebuild
+const URL_INDEX_RULES_KEY = 'urlIndexRules';
 export const IMPORT_PAYLOAD_PREFIX = 'importPayload_';
 const IMPORT_STATE_PREFIX = 'importState_';
 export const ENRICH_PAYLOAD_PREFIX = 'enrichPayload_';
 export const JOB_META_PREFIX = 'jobMeta_';
+const REEMBED_STATE_PREFIX = 'reembedState_';
+export const REEMBED_JOB_TYPE = 're-embed';
+// Settings that change which model (or size) vectors are embedded with
+export const REEMBED_TRIGGER_KEYS = Object.freeze([
+  'apiKey',
+  'deployment',
+  'embeddingDeployment',
+  'embeddingDimensions',
+  'similarityEngine'
+]);
+const REEMBED_BATCH_SIZE = 32;
+const TAG_CONSOLIDATION_STATE_PREFIX = 'tagConsolidationState_';
+export const TAG_CONSOLIDATION_JOB_TYPE = 'tag-consolidation';
+const SUMMARIZE_STATE_PREFIX = 'summarizeState_';
+export const SUMMARIZE_JOB_TYPE = 'summarize-folder';
+const SUMMARIZE_BATCH_SIZE = 20;
 const ROOT_REF = '__root__';
 
 let listenersWired = false;
@@ -34,6 +75,18 @@ function getEnrichPayloadKey(jobId) {
   return `${ENRICH_PAYLOAD_PREFIX}${jobId}`;
 }
 
+function getReembedStateKey(jobId) {
+  return `${REEMBED_STATE_PREFIX}${jobId}`;
+}
+
+function getTagConsolidationStateKey(jobId) {
+  return `${TAG_CONSOLIDATION_STATE_PREFIX}${jobId}`;
+}
+
+function getSummarizeStateKey(jobId) {
+  return `${SUMMARIZE_STATE_PREFIX}${jobId}`;
+}
+
 async function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -58,14 +111,17 @@ async function loadJobMeta(jobId) {
 }
 
 async function getUrlIndex(allowRetry = true) {
-  const result = await chrome.storage.local.get([URL_INDEX_KEY, URL_INDEX_ID_KEY]);
+  const result = await chrome.storage.local.get([URL_INDEX_KEY, URL_INDEX_ID_KEY, URL_INDEX_RULES_KEY]);
   const rawIndex = result[URL_INDEX_KEY];
   const rawIdIndex = result[URL_INDEX_ID_KEY];
 
-  let needsRebuild = false;
+  // An index built under other canonicalization rules has stale keys
+  let needsRebuild = Boolean(rawIndex) && result[URL_INDEX_RULES_KEY] !== getCanonicalRulesSignature();
 
   const index = {};
-  if (rawIndex && typeof rawIndex === 'object' && !Array.isArray(rawIndex)) {
+  if (needsRebuild) {
+    // Skip parsing; rebuilt below
+  } else if (rawIndex && typeof rawIndex === 'object' && !Array.isArray(rawIndex)) {
     for (const [key, value] of Object.entries(rawIndex)) {
       if (!value) continue;
       if (Array.isArray(value)) {
@@ -114,7 +170,8 @@ async function setUrlIndex(index, idIndex) {
   try {
     await chrome.storage.local.set({
       [URL_INDEX_KEY]: index,
-      [URL_INDEX_ID_KEY]: idIndex
+      [URL_INDEX_ID_KEY]: idIndex,
+      [URL_INDEX_RULES_KEY]: getCanonicalRulesSignature()
     });
   } catch (error) {
     console.warn('Failed to persist URL index:', error);
@@ -282,6 +339,13 @@ export function wireUrlIndexListeners() {
   if (listenersWired) return;
   listenersWired = true;
 
+  // Edited canonicalization rules change every key, so re-key the whole index
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'sync' || !changes[CANONICAL_RULES_STORAGE_KEY]) return;
+    setCustomCanonicalRules(changes[CANONICAL_RULES_STORAGE_KEY].newValue);
+    await rebuildUrlIndex();
+  });
+
   chrome.bookmarks.onCreated.addListener(async (_id, node) => {
     if (!node?.url) return;
     const { index, idIndex } = await getUrlIndex();
@@ -646,15 +710,28 @@ async function loadEnrichmentConfig() {
     'baseUrl',
     'deployment',
     'embeddingDeployment',
+    'embeddingDimensions',
     'apiVersion',
-    'deviceOnly',
     'enableScraping',
-    'previewMode'
+    'previewMode',
+    'tagTitles',
+    'taggingMaxTokens',
+    'tagLanguage',
+    'tagConfidenceThreshold'
   ]);
   return cfg;
 }
 
-async function runEnrichResolving(ctx) {
+// Cached vectors of the bookmarks and the examples, for picking tag examples
+// from other domains; not needed when there are no examples
+async function tagExampleVectors(storage, nodes, examples) {
+  if (!examples.length) return null;
+  const { embedder } = selectEmbedder(await loadEmbeddingConfig());
+  const urls = [...nodes, ...examples].map(item => item.url);
+  return storage.getVectors(urls, await resolveExpectedVectors(embedder, storage));
+}
+
+async function runEnrichResolving(ctx, { storage }) {
   const meta = await loadJobMeta(ctx.jobId);
   if (!meta || meta.type !== 'enrich-one') {
     return { completed: true };
@@ -682,21 +759,46 @@ async function runEnrichResolving(ctx) {
   }
 
   let enriched = null;
+  let queued = false;
   if (openai) {
     try {
-      const content = cfg.enableScraping === false ? '' : await getPageText(node.url);
-      const tagged = await tagNodes([{ id: node.id, title: node.title, url: node.url, content }], openai, {
+      const folderPolicy = await loadBookmarkFolderPolicy(node);
+      // A page scraped for embedding in the last few days isn't fetched again
+      const pageCache = await new UrlResolutionCache().load();
+      const scrape = cfg.enableScraping !== false && !folderPolicy.noTagging && !pageCache.get(node.url)?.excerpt;
+      const page = scrape ? await getPageInfo(node.url) : null;
+      const content = page?.text || '';
+      const language = page ? detectLanguage(page.text, page.lang) : null;
+      const tagLanguage = resolveTagLanguage(cfg.tagLanguage);
+      const examples = await loadTagExamples();
+      const toTag = [{ id: node.id, title: node.title, url: node.url, content, language, folderPolicy }];
+      const tagged = await tagNodes(toTag, openai, {
+        taxonomy: await loadTaxonomy(tagLanguage),
+        language: tagLanguage,
+        pageCache: cfg.enableScraping === false ? null : pageCache,
+        rules: await loadTagRules(),
+        examples,
+        vectors: await tagExampleVectors(storage, toTag, examples),
+        maxBatchTokens: cfg.taggingMaxTokens,
         onProgress: (processed) => {
           ctx.progressCallback(Math.min(processed, 1), 1);
         }
       });
       if (tagged && tagged.length) {
         enriched = tagged[0];
-        await writeTags(tagged);
-        try {
-          enriched.suggestedFolder = await suggestFolders(enriched, openai);
-        } catch (folderError) {
-          console.warn('Folder suggestion failed:', folderError);
+        queued = needsTagReview(enriched, resolveConfidenceThreshold(cfg.tagConfidenceThreshold));
+        if (queued) {
+          // Tags, category and folder wait for the review (see acceptTagReview)
+          await queueTagReviews(tagged.map(item => ({ ...item, enrich: true })));
+        } else {
+          await writeTags(tagged, [], { titleTags: cfg.tagTitles ?? true });
+        }
+        if (!queued && !folderPolicy.noMoves) {
+          try {
+            enriched.suggestedFolder = await suggestFolders(enriched, openai);
+          } catch (folderError) {
+            console.warn('Folder suggestion failed:', folderError);
+          }
         }
       }
     } catch (error) {
@@ -705,15 +807,13 @@ async function runEnrichResolving(ctx) {
   }
 
   if (enriched) {
-    await chrome.storage.local.set({
-      [`bookmarkEnhancement_${node.id}`]: {
-        id: node.id,
-        tags: enriched.tags || [],
-        category: enriched.category || '',
-        suggestedFolder: enriched.suggestedFolder || '',
-        enrichedAt: Date.now()
-      }
-    });
+    const update = { id: node.id, language: enriched.language || null, enrichedAt: Date.now() };
+    if (!queued) {
+      update.tags = enriched.tags || [];
+      update.category = enriched.category || '';
+      update.suggestedFolder = enriched.suggestedFolder || '';
+    }
+    await updateEnhancements([update]);
   }
 
   ctx.progressCallback(1, 1);
@@ -722,8 +822,8 @@ async function runEnrichResolving(ctx) {
     completed: true,
     summary: {
       totalBookmarks: 1,
-      autoApplied: Boolean(enriched),
-      reviewQueueSize: 0
+      autoApplied: Boolean(enriched) && !queued,
+      reviewQueueSize: queued ? 1 : 0
     }
   };
 }
@@ -756,11 +856,352 @@ async function runEnrichSummarizing(ctx) {
   };
 }
 
-function buildStageExecutor(stage) {
+async function loadEmbeddingConfig() {
+  return chrome.storage.sync.get([
+    ...REEMBED_TRIGGER_KEYS,
+    'baseUrl',
+    'apiVersion',
+    'enableScraping',
+    'vectorEncoding',
+    'vectorBudgetMb'
+  ]);
+}
+
+async function loadReembedState(jobId) {
+  const key = getReembedStateKey(jobId);
+  const { [key]: state } = await chrome.storage.local.get(key);
+  return state || null;
+}
+
+async function saveReembedState(jobId, state) {
+  await chrome.storage.local.set({ [getReembedStateKey(jobId)]: state });
+}
+
+// Re-embed job: vectors made by another model or at another size are never
+// compared with current ones, so they are embedded again with the current
+// settings. Progress is kept per batch so a paused job picks up where it was.
+async function runReembedInitializing(ctx, { storage }) {
+  if (await loadReembedState(ctx.jobId)) {
+    ctx.progressCallback(1, 1);
+    return { completed: true };
+  }
+
+  const { embedder } = selectEmbedder(await loadEmbeddingConfig());
+  const expected = await resolveExpectedVectors(embedder, storage);
+  const staleUrls = await storage.listStaleVectors(expected);
+  await saveReembedState(ctx.jobId, { ...expected, staleUrls, nodes: [], cursor: 0, reembedded: 0, failed: 0 });
+  ctx.activityCallback('info', `${staleUrls.length} cached vector(s) were made with other embedding settings`);
+  ctx.progressCallback(1, 1);
+  return { completed: true };
+}
+
+async function runReembedScanning(ctx, { storage }) {
+  const state = await loadReembedState(ctx.jobId);
+  if (!state) throw new Error('Re-embed state missing');
+
+  const leaves = [];
+  const walk = (n, ancestorIds = []) => {
+    if (n.children) n.children.forEach(c => walk(c, [...ancestorIds, n.id]));
+    else if (n.url) leaves.push({ id: n.id, title: n.title, url: n.url, ancestorIds });
+  };
+  (await chrome.bookmarks.getTree()).forEach(r => walk(r));
+
+  // One bookmark per stale URL; vectors for removed bookmarks or folders kept
+  // out of dedupe are dropped instead of re-embedded.
+  const stale = new Set(state.staleUrls);
+  const byUrl = new Map();
+  for (const node of applyFolderPolicies(leaves, await loadFolderPolicies())) {
+    if (stale.has(node.url) && !folderPolicyOf(node).noDedupe && !byUrl.has(node.url)) {
+      byUrl.set(node.url, { id: node.id, title: node.title, url: node.url });
+    }
+  }
+  const unused = state.staleUrls.filter(url => !byUrl.has(url));
+  if (unused.length) await storage.deleteVector(unused);
+
+  state.nodes = [...byUrl.values()];
+  state.cursor = 0;
+  await saveReembedState(ctx.jobId, state);
+  ctx.progressCallback(1, 1);
+  return { completed: true, summary: { totalBookmarks: state.nodes.length } };
+}
+
+async function runReembedResolving(ctx, { storage }) {
+  const state = await loadReembedState(ctx.jobId);
+  if (!state) throw new Error('Re-embed state missing');
+
+  const total = state.nodes.length;
+  if (!total) {
+    ctx.progressCallback(1, 1);
+    return { completed: true };
+  }
+
+  const cfg = await loadEmbeddingConfig();
+  const { embedder } = selectEmbedder(cfg);
+  const expected = await resolveExpectedVectors(embedder, storage);
+  if (expected.model !== state.model || expected.dims !== state.dims) {
+    // Settings changed again mid-job; a new job is queued for the new settings
+    ctx.activityCallback('warn', 'Embedding settings changed; stopping this re-embed');
+    return { completed: true, processedUnits: state.cursor, totalUnits: total };
+  }
+  storage.configure({ encoding: cfg.vectorEncoding, maxBytes: cfg.vectorBudgetMb * 1024 * 1024 });
+  const limiter = createRateLimiter(8);
+  const pageCache = await new UrlResolutionCache().load();
+
+  while (state.cursor < total) {
+    if (ctx.abortController?.signal.aborted) {
+      return { completed: false, error: new Error('Re-embed interrupted') };
+    }
+    const batch = state.nodes.slice(state.cursor, state.cursor + REEMBED_BATCH_SIZE);
+    const vectors = await embedNodes(batch, embedder, limiter, {
+      allowScrape: cfg.enableScraping !== false,
+      storage,
+      pageCache
+    });
+    for (const node of batch) {
+      if (vectors.get(node.id)?.length) state.reembedded++;
+      else state.failed++;
+    }
+    state.cursor += batch.length;
+    await saveReembedState(ctx.jobId, state);
+    await pageCache.save();
+    ctx.progressCallback(state.cursor, total);
+  }
+
+  return { completed: true, processedUnits: total, totalUnits: total };
+}
+
+async function runReembedSummarizing(ctx) {
+  const state = await loadReembedState(ctx.jobId);
+  await chrome.storage.local.remove([getReembedStateKey(ctx.jobId), getJobMetaKey(ctx.jobId)]);
+  if (state?.failed) {
+    ctx.activityCallback('warn', `${state.failed} bookmark(s) could not be re-embedded`);
+  }
+  return {
+    completed: true,
+    summary: {
+      totalBookmarks: state?.nodes.length || 0,
+      autoApplied: true,
+      reviewQueueSize: 0
+    }
+  };
+}
+
+function runReembedStage(stage, ctx, options) {
+  switch (stage) {
+    case 'initializing':
+      return runReembedInitializing(ctx, options);
+    case 'scanning':
+      return runReembedScanning(ctx, options);
+    case 'resolving':
+      return runReembedResolving(ctx, options);
+    case 'summarizing':
+      return runReembedSummarizing(ctx);
+    default:
+      ctx.progressCallback(1, 1);
+      return { completed: true };
+  }
+}
+
+async function loadTagConsolidationState(jobId) {
+  const key = getTagConsolidationStateKey(jobId);
+  const { [key]: state } = await chrome.storage.local.get(key);
+  return state || null;
+}
+
+async function saveTagConsolidationState(jobId, state) {
+  await chrome.storage.local.set({ [getTagConsolidationStateKey(jobId)]: state });
+}
+
+// Tag consolidation job: groups spelling variants of the stored tags and saves
+// the groups as a proposal (TAG_MERGE_PROPOSAL_KEY) for review on the options
+// page. Nothing is rewritten until a proposal is applied there.
+async function runTagConsolidationScanning(ctx, meta) {
+  const store = await loadTagStore();
+  const counts = collectTagCounts(store);
+  const state = { useModel: meta.useModel === true, bookmarks: Object.keys(store).length, counts: [...counts], merges: [] };
+  await saveTagConsolidationState(ctx.jobId, state);
+  ctx.activityCallback('info', `${counts.size} distinct tag(s) on ${state.bookmarks} bookmark(s)`);
+  ctx.progressCallback(1, 1);
+  return { completed: true, summary: { totalBookmarks: state.bookmarks } };
+}
+
+async function runTagConsolidationResolving(ctx) {
+  const state = await loadTagConsolidationState(ctx.jobId);
+  if (!state) throw new Error('Tag consolidation state missing');
+  if (!state.useModel) {
+    ctx.progressCallback(1, 1);
+    return { completed: true };
+  }
+
+  const cfg = await loadEnrichmentConfig();
+  if (!cfg.apiKey || !cfg.baseUrl || !cfg.deployment) {
+    ctx.activityCallback('warn', 'Azure OpenAI is not configured; skipping model suggestions');
+    ctx.progressCallback(1, 1);
+    return { completed: true };
+  }
+  try {
+    state.merges = await suggestTagMerges(new Map(state.counts), createOpenAI(cfg));
+    await saveTagConsolidationState(ctx.jobId, state);
+    ctx.activityCallback('info', `The model suggested ${state.merges.length} merge(s)`);
+  } catch (error) {
+    console.warn('Tag merge suggestion failed:', error);
+    ctx.activityCallback('warn', 'Model suggestions failed; using rule-based groups only');
+  }
+  ctx.progressCallback(1, 1);
+  return { completed: true };
+}
+
+async function runTagConsolidationSummarizing(ctx) {
+  const state = await loadTagConsolidationState(ctx.jobId);
+  const groups = state ? groupTags(new Map(state.counts), { merges: state.merges }) : [];
+  await chrome.storage.local.set({
+    [TAG_MERGE_PROPOSAL_KEY]: { createdAt: Date.now(), tags: state?.counts.length || 0, groups }
+  });
+  await chrome.storage.local.remove([getTagConsolidationStateKey(ctx.jobId), getJobMetaKey(ctx.jobId)]);
+  ctx.activityCallback('info', `${groups.length} group(s) of tag variants to review in Options`);
+  return {
+    completed: true,
+    summary: {
+      totalBookmarks: state?.bookmarks || 0,
+      autoApplied: false,
+      reviewQueueSize: 0
+    }
+  };
+}
+
+function runTagConsolidationStage(stage, ctx, meta) {
+  switch (stage) {
+    case 'scanning':
+      return runTagConsolidationScanning(ctx, meta);
+    case 'resolving':
+      return runTagConsolidationResolving(ctx);
+    case 'summarizing':
+      return runTagConsolidationSummarizing(ctx);
+    default:
+      ctx.progressCallback(1, 1);
+      return { completed: true };
+  }
+}
+
+async function loadSummarizeState(jobId) {
+  const key = getSummarizeStateKey(jobId);
+  const { [key]: state } = await chrome.storage.local.get(key);
+  return state || null;
+}
+
+async function saveSummarizeState(jobId, state) {
+  await chrome.storage.local.set({ [getSummarizeStateKey(jobId)]: state });
+}
+
+// Summarize job: one- or two-sentence summaries and key points for every
+// bookmark in a folder (and its subfolders), stored in the bookmarkEnhancement
+// records. Pages without cached text are scraped when scraping is enabled.
+// Progress is kept per batch so a paused job picks up where it was.
+async function runSummarizeScanning(ctx, meta) {
+  if (await loadSummarizeState(ctx.jobId)) {
+    ctx.progressCallback(1, 1);
+    return { completed: true };
+  }
+
+  const nodes = [];
+  const walk = (n) => {
+    if (n.url) nodes.push({ id: n.id, title: n.title, url: n.url });
+    (n.children || []).forEach(walk);
+  };
+  try {
+    (await chrome.bookmarks.getSubTree(String(meta.folderId))).forEach(walk);
+  } catch (error) {
+    console.warn('Failed to read folder for summaries:', error);
+  }
+  await saveSummarizeState(ctx.jobId, { folderId: meta.folderId, nodes, cursor: 0, summarized: 0 });
+  ctx.activityCallback('info', `${nodes.length} bookmark(s) to summarize`);
+  ctx.progressCallback(1, 1);
+  return { completed: true, summary: { totalBookmarks: nodes.length } };
+}
+
+async function runSummarizeResolving(ctx) {
+  const state = await loadSummarizeState(ctx.jobId);
+  if (!state) throw new Error('Summarize state missing');
+
+  const total = state.nodes.length;
+  const cfg = await loadEnrichmentConfig();
+  if (!cfg.apiKey || !cfg.baseUrl || !cfg.deployment) {
+    ctx.activityCallback('warn', 'Azure OpenAI is not configured; no summaries written');
+    ctx.progressCallback(1, 1);
+    return { completed: true };
+  }
+  const openai = createOpenAI(cfg);
+  const limiter = createRateLimiter(8);
+  const scrape = cfg.enableScraping !== false;
+  const pageCache = scrape ? await new UrlResolutionCache().load() : null;
+
+  while (state.cursor < total) {
+    if (ctx.abortController?.signal.aborted) {
+      return { completed: false, error: new Error('Summaries interrupted') };
+    }
+    const batch = state.nodes.slice(state.cursor, state.cursor + SUMMARIZE_BATCH_SIZE);
+    if (scrape) {
+      await Promise.all(batch.map(async (node) => {
+        if (pageCache.get(node.url)?.excerpt) return;
+        const page = await limiter.execute(() => getPageInfo(node.url)).catch(() => null);
+        node.content = page?.text || '';
+        node.language = page ? detectLanguage(page.text, page.lang) : null;
+      }));
+    }
+    const summaries = await summarizeNodes(batch, openai, { pageCache, limiter, language: resolveTagLanguage(cfg.tagLanguage) });
+    await updateEnhancements(summaries);
+    state.summarized += summaries.length;
+    state.cursor += batch.length;
+    batch.forEach((node) => {
+      delete node.content;
+      delete node.language;
+    });
+    await saveSummarizeState(ctx.jobId, state);
+    ctx.progressCallback(state.cursor, total);
+  }
+
+  return { completed: true, processedUnits: total, totalUnits: total };
+}
+
+async function runSummarizeSummarizing(ctx) {
+  const state = await loadSummarizeState(ctx.jobId);
+  await chrome.storage.local.remove([getSummarizeStateKey(ctx.jobId), getJobMetaKey(ctx.jobId)]);
+  const missing = (state?.nodes.length || 0) - (state?.summarized || 0);
+  if (missing > 0) {
+    ctx.activityCallback('warn', `${missing} bookmark(s) have no page text or could not be summarized`);
+  }
+  return {
+    completed: true,
+    summary: {
+      totalBookmarks: state?.nodes.length || 0,
+      autoApplied: true,
+      reviewQueueSize: 0
+    }
+  };
+}
+
+function runSummarizeStage(stage, ctx, meta) {
+  switch (stage) {
+    case 'scanning':
+      return runSummarizeScanning(ctx, meta);
+    case 'resolving':
+      return runSummarizeResolving(ctx);
+    case 'summarizing':
+      return runSummarizeSummarizing(ctx);
+    default:
+      ctx.progressCallback(1, 1);
+      return { completed: true };
+  }
+}
+
+function buildStageExecutor(stage, options) {
   return {
     async execute(ctx) {
       const meta = await loadJobMeta(ctx.jobId);
       const type = meta?.type;
+      if (type === REEMBED_JOB_TYPE) return runReembedStage(stage, ctx, options);
+      if (type === TAG_CONSOLIDATION_JOB_TYPE) return runTagConsolidationStage(stage, ctx, meta);
+      if (type === SUMMARIZE_JOB_TYPE) return runSummarizeStage(stage, ctx, meta);
 
       switch (stage) {
         case 'initializing':
@@ -777,7 +1218,7 @@ function buildStageExecutor(stage) {
           return { completed: true };
         case 'resolving':
           if (type === 'import') return runImportResolving(ctx);
-          if (type === 'enrich-one') return runEnrichResolving(ctx);
+          if (type === 'enrich-one') return runEnrichResolving(ctx, options);
           return { completed: true };
         case 'verifying':
           if (type === 'import') return runImportVerifying(ctx);
@@ -794,9 +1235,10 @@ function buildStageExecutor(stage) {
   };
 }
 
-export function registerImportJobStages(jobSystem) {
+// `storage` is the vector cache the re-embed job writes to.
+export function registerImportJobStages(jobSystem, { storage = new StorageManager() } = {}) {
   const stages = ['initializing', 'scanning', 'grouping', 'resolving', 'verifying', 'summarizing'];
   for (const stage of stages) {
-    jobSystem.registerStageExecutor(stage, buildStageExecutor(stage));
+    jobSystem.registerStageExecutor(stage, buildStageExecutor(stage, { storage }));
   }
 }
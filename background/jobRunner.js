@@ -336,7 +336,7 @@ export class JobRunner {
   async executeCurrentStage() {
     if (!this.currentJob) return;
 
-    const {stage} = this.currentJob;
+    const { stage, jobId } = this.currentJob;
     const executor = this.stageExecutors.get(stage);
     const stageMeta = STAGE_CONFIGS[stage] || { displayName: stage, retryable: true };
 
@@ -376,6 +376,10 @@ export class JobRunner {
       // Execute stage
       const result = await executor.execute(stageContext);
 
+      // Paused or cancelled mid-stage: the executor stopped early, so neither
+      // complete nor retry it. Resuming runs the stage again from its own state.
+      if (this.isInterrupted(jobId)) return;
+
       // Complete stage
       if (typeof executor.teardown === 'function') {
         await executor.teardown();
@@ -389,6 +393,7 @@ export class JobRunner {
       }
 
     } catch (error) {
+      if (this.isInterrupted(jobId)) return;
       this.addActivity('error', `Error in ${stageMeta.displayName} stage`, {
         error: error instanceof Error ? error.message : 'Unknown error'
       });
@@ -413,7 +418,9 @@ export class JobRunner {
       this.addActivity('warn', `Retrying ${stageConfig.displayName} stage (${currentRetries + 1}/${maxRetries})`);
 
       const retryDelay = Number.isFinite(this.options.retryDelay) ? this.options.retryDelay : DEFAULT_OPTIONS.retryDelay;
+      const { jobId } = this.currentJob;
       await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      if (this.isInterrupted(jobId)) return;
 
       this.executeCurrentStage().catch((err) => {
         console.error('Retry execution failed:', err);
@@ -438,6 +445,13 @@ export class JobRunner {
     }
   }
 
+  /**
+   * Whether job `jobId` was paused, cancelled or replaced while a stage ran
+   */
+  isInterrupted(jobId) {
+    return !this.currentJob || this.currentJob.jobId !== jobId || !['queued', 'running'].includes(this.currentJob.status);
+  }
+
   /**
    * Update stage progress
    */
@@ -7,6 +7,8 @@
 import { JobRunner } from './jobRunner.js';
 import { getJobBus } from './jobBus.js';
 import { getJobStore } from './jobStore.js';
+import { edgeToKeeper, normalizeReviewEntry } from '../utils/duplicateClusters.js';
+import { describeReason } from '../utils/duplicateReasons.js';
 
 const DEFAULT_ALLOWED_SENDER_PREFIX = () => `chrome-extension://${chrome.runtime.id}`;
 
@@ -404,8 +406,11 @@ export const JobSystemCommands = {
         }
       }
 
+      // Duplicate verdicts waiting in the review queue, with the reason for each
+      const duplicates = await loadDuplicateVerdicts();
+
       // Generate report based on format
-      const report = generateReport(snapshot, activity, format, redactUrls);
+      const report = generateReport(snapshot, activity, format, redactUrls, duplicates);
       const filename = `job-report-${jobId}.${format}`;
 
       // Create blob URL for download
@@ -427,13 +432,44 @@ export const JobSystemCommands = {
 /**
  * Helper functions for report generation
  */
-function generateReport(snapshot, activity, format, redactUrls) {
+
+// One row per non-keeper member of each review-queue cluster
+async function loadDuplicateVerdicts() {
+  try {
+    const { reviewQueue } = await chrome.storage.local.get('reviewQueue');
+    const clusters = (Array.isArray(reviewQueue) ? reviewQueue : []).map(normalizeReviewEntry).filter(Boolean);
+    return clusters.flatMap((cluster) => {
+      const keeper = cluster.members.find(m => m.id === cluster.keeperId) || cluster.members[0];
+      return cluster.members
+        .filter(m => m.id !== keeper.id)
+        .map((member) => {
+          const edge = edgeToKeeper({ ...cluster, keeperId: keeper.id }, member.id);
+          return {
+            clusterId: cluster.id,
+            id: member.id,
+            title: member.title,
+            url: member.url,
+            keeper: { id: keeper.id, title: keeper.title, url: keeper.url },
+            similarity: edge?.similarity ?? 0,
+            reason: edge?.reason || null,
+            explanation: describeReason(edge?.reason)
+          };
+        });
+    });
+  } catch (e) {
+    console.warn('Failed to load duplicate verdicts for report:', e);
+    return [];
+  }
+}
+
+function generateReport(snapshot, activity, format, redactUrls, duplicates = []) {
   switch (format) {
     case 'json':
       // For JSON, handle redaction separately
       let reportData = {
         job: snapshot,
         activity,
+        duplicates,
         exportedAt: new Date().toISOString()
       };
       if (redactUrls) {
@@ -442,17 +478,21 @@ function generateReport(snapshot, activity, format, redactUrls) {
       return JSON.stringify(reportData, null, 2);
 
     case 'csv':
-      return generateCsvReport(snapshot, activity, redactUrls);
+      return generateCsvReport(snapshot, activity, redactUrls, duplicates);
 
     case 'txt':
-      return generateTextReport(snapshot, activity, redactUrls);
+      return generateTextReport(snapshot, activity, redactUrls, duplicates);
 
     default:
       throw new Error(`Unsupported format: ${format}`);
   }
 }
 
-function generateCsvReport(snapshot, activity, redactUrls) {
+function csvCell(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+function generateCsvReport(snapshot, activity, redactUrls, duplicates = []) {
   const headers = ['Timestamp', 'Level', 'Message', 'Stage'];
   let rows = activity.map(a => [
     a.timestamp,
@@ -471,10 +511,21 @@ function generateCsvReport(snapshot, activity, redactUrls) {
     ]);
   }
 
-  return [headers, ...rows].map(row => row.join(',')).join('\n');
+  const lines = [headers, ...rows].map(row => row.join(','));
+  if (duplicates.length) {
+    const verdicts = redactUrls ? redactUrlsFromData(duplicates) : duplicates;
+    lines.push('', ['Cluster', 'Title', 'URL', 'Kept Title', 'Kept URL', 'Similarity', 'Reason', 'Explanation'].join(','));
+    for (const d of verdicts) {
+      lines.push([
+        d.clusterId, d.title, d.url, d.keeper.title, d.keeper.url,
+        Math.round(d.similarity * 100), d.reason?.type || '', d.explanation
+      ].map(csvCell).join(','));
+    }
+  }
+  return lines.join('\n');
 }
 
-function generateTextReport(snapshot, activity, redactUrls) {
+function generateTextReport(snapshot, activity, redactUrls, duplicates = []) {
   const jobId = redactUrls ? redactUrlsFromText(snapshot.jobId) : snapshot.jobId;
   const status = redactUrls ? redactUrlsFromText(snapshot.status) : snapshot.status;
   const stage = redactUrls ? redactUrlsFromText(snapshot.stage) : snapshot.stage;
@@ -501,6 +552,15 @@ function generateTextReport(snapshot, activity, redactUrls) {
     )
   ];
 
+  if (duplicates.length) {
+    const verdicts = redactUrls ? redactUrlsFromData(duplicates) : duplicates;
+    lines.push('', 'Duplicates:');
+    for (const d of verdicts) {
+      lines.push(`- ${d.title || d.url} (${d.url}) -> ${d.keeper.title || d.keeper.url} (${d.keeper.url})`);
+      lines.push(`  ${Math.round(d.similarity * 100)}% similar. ${d.explanation || 'No reason recorded'}`);
+    }
+  }
+
   return lines.join('\n');
 }
 
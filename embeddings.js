@@ -1,20 +1,57 @@
-import { cosineSimilarity } from './lib/cosine.js';
-import { getPageText } from './scraper.js';
+import { VectorIndex } from './lib/vectorIndex.js';
+import { createLocalEmbedder } from './lib/localEmbedder.js';
+import { createOpenAI } from './openaiClient.js';
+import { getPageInfo } from './scraper.js';
 import { DuplicateDetector } from './utils/duplicateDetector.js';
+import { buildDuplicateClusters, resolveClusters } from './utils/duplicateClusters.js';
+import { applyKeeperPolicy } from './utils/keeperPolicy.js';
+import { folderPolicyOf } from './utils/folderPolicies.js';
+import { semanticReason, urlMatchReason } from './utils/duplicateReasons.js';
 import { makePairKey, normalizeUrlForKey } from './utils/url.js';
+import { estimateTokens, truncateToTokens } from './utils/tokenEstimator.js';
+import { hashText } from './utils/contentHash.js';
+import { isVectorEntryCurrent } from './utils/storageManager.js';
 
-export async function embedNode(node, openai, limiter, { allowScrape = true } = {}) {
-  let body = '';
-  if (allowScrape && node.url) {
-    body = (await limiter.execute(() => getPageText(node.url))) || '';
+/**
+ * Clients for the configured similarity engine. Without Azure credentials, or
+ * with the local engine chosen, embeddings come from the offline lexical
+ * embedder; `openai` is null when Azure is not configured.
+ * @returns {{ openai: object | null, embedder: object, useLocal: boolean }}
+ */
+export function selectEmbedder(cfg = {}) {
+  let openai = null;
+  if (cfg.apiKey) {
+    try {
+      openai = createOpenAI(cfg);
+    } catch (e) {
+      console.warn('Azure OpenAI is not fully configured:', e);
+    }
   }
+  const useLocal = cfg.similarityEngine === 'local' || !openai;
+  return { openai, embedder: useLocal ? createLocalEmbedder() : openai, useLocal };
+}
 
+function composeEmbeddingText(node, body) {
   const parts = [];
   if (node.title) parts.push(node.title);
   if (body) parts.push(body);
   else if (node.url) parts.push(node.url);
 
-  const payload = parts.join('\n\n').trim();
+  return parts.join('\n\n').trim();
+}
+
+async function scrapePage(node, limiter, allowScrape) {
+  if (!allowScrape || !node.url) return null;
+  return (await limiter.execute(() => getPageInfo(node.url))) || null;
+}
+
+async function buildEmbeddingText(node, limiter, allowScrape) {
+  const page = await scrapePage(node, limiter, allowScrape);
+  return composeEmbeddingText(node, page?.text || '');
+}
+
+export async function embedNode(node, openai, limiter, { allowScrape = true } = {}) {
+  const payload = await buildEmbeddingText(node, limiter, allowScrape);
   if (!payload) return new Float32Array(0);
 
   const { data } = await limiter.execute(() => openai.embed(payload));
@@ -22,91 +59,454 @@ export async function embedNode(node, openai, limiter, { allowScrape = true } =
   return new Float32Array(arr);
 }
 
-// Returns { keep, dupes }
+// Greedily pack items into batches bounded by count and estimated tokens.
+function packBatches(items, maxBatchSize, maxBatchTokens) {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+  for (const item of items) {
+    if (current.length && (current.length >= maxBatchSize || tokens + item.tokens > maxBatchTokens)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(item);
+    tokens += item.tokens;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+/**
+ * Embed many bookmarks with batched `/embeddings` calls. Cached vectors are
+ * reused when they were computed from the same text (by SHA-256), model and
+ * dimensions; the rest are packed into batches of at most `maxBatchSize` inputs
+ * and `maxBatchTokens` estimated tokens. A failed batch is split in half and
+ * retried, so one bad input only loses its own vector. Pages are scraped a
+ * batch's worth at a time and embedded as batches fill.
+ *
+ * With a `pageCache` (UrlResolutionCache), a page scraped within the cache TTL
+ * is not fetched again when its cached vector is still current. Where each URL
+ * resolved to (final URL after redirects, canonical link) is recorded into
+ * `resolutions` by node id.
+ * @returns {Promise<Map<string, Float32Array>>} vectors keyed by node id
+ */
+export async function embedNodes(
+  nodes,
+  openai,
+  limiter,
+  {
+    allowScrape = true,
+    storage,
+    notifier,
+    maxBatchSize = 64,
+    maxBatchTokens = 8000,
+    pageCache,
+    resolutions
+  } = {}
+) {
+  const vectors = new Map();
+  if (!nodes.length) return vectors;
+  const model = openai.embeddingModel;
+  // At the model's default size, vectors from a custom size must still miss
+  const dims = openai.embeddingDimensions || (await storage?.getModelDims(model));
+
+  const getCached = async node => (node.url && storage ? storage.getVectorEntry(node.url) : null);
+  const isUsable = (entry, hash) => entry?.vector.length && isVectorEntryCurrent(entry, { hash, model, dims });
+  const recordResolution = (node, page) => {
+    if (page?.finalUrl || page?.canonicalUrl) {
+      resolutions?.set(node.id, { finalUrl: page.finalUrl || '', canonicalUrl: page.canonicalUrl || '' });
+    }
+  };
+
+  // Turn one scraped node into a cached vector or an item to embed
+  const prepare = async ({ node, page, cached, text: fullText }) => {
+    recordResolution(node, page);
+    if (cached) {
+      vectors.set(node.id, cached.vector);
+      return null;
+    }
+    if (!fullText) {
+      vectors.set(node.id, new Float32Array(0));
+      return null;
+    }
+    const text = truncateToTokens(fullText, maxBatchTokens);
+    const hash = await hashText(text);
+    // Failed fetches are not remembered so the page is retried next run
+    if (page?.finalUrl) pageCache?.set(node.url, { ...page, title: node.title, textHash: hash });
+    const entry = await getCached(node);
+    if (isUsable(entry, hash)) {
+      vectors.set(node.id, entry.vector);
+      return null;
+    }
+    return { node, text, hash, tokens: estimateTokens(text) };
+  };
+
+  // The total grows as pages are scraped, since cached nodes are only known then
+  let queued = 0;
+  let done = 0;
+  const report = (count) => {
+    done += count;
+    notifier?.showProgress(done, queued, `Embedding ${done}/${queued}`);
+  };
+
+  // Batches resolve concurrently; cache writes happen afterwards, one at a time,
+  // so the vector store applies its byte budget in order.
+  let fresh = [];
+  const store = (item, embedding) => {
+    const vector = new Float32Array(embedding || []);
+    vectors.set(item.node.id, vector);
+    if (vector.length && item.node.url) fresh.push({ item, vector });
+  };
+
+  const runBatch = async (batch) => {
+    let data;
+    try {
+      ({ data } = await limiter.execute(() => openai.embed(batch.map(item => item.text))));
+    } catch (e) {
+      if (batch.length > 1) {
+        const mid = Math.ceil(batch.length / 2);
+        await Promise.all([runBatch(batch.slice(0, mid)), runBatch(batch.slice(mid))]);
+        return;
+      }
+      console.warn(`Embedding failed for ${batch[0].node.url || batch[0].node.id}:`, e);
+      store(batch[0], null);
+      report(1);
+      return;
+    }
+
+    // Results carry the input position in `index`; fall back to array order
+    const byIndex = new Map();
+    (data || []).forEach((entry, pos) => byIndex.set(Number.isInteger(entry?.index) ? entry.index : pos, entry?.embedding));
+    const missing = [];
+    for (let i = 0; i < batch.length; i++) {
+      const embedding = byIndex.get(i);
+      if (embedding?.length) store(batch[i], embedding);
+      else missing.push(batch[i]);
+    }
+    report(batch.length - missing.length);
+
+    if (missing.length) {
+      if (batch.length === 1) {
+        store(batch[0], null);
+        report(1);
+      } else {
+        await Promise.all(missing.map(item => runBatch([item])));
+      }
+    }
+  };
+
+  let dimsRecorded = Boolean(openai.embeddingDimensions);
+  const runBatches = async (batches) => {
+    await Promise.all(batches.map(runBatch));
+    if (!storage) return;
+    for (const { item, vector } of fresh) {
+      await storage.saveVector(item.node.url, vector, false, { hash: item.hash, model });
+    }
+    if (fresh.length && !dimsRecorded) {
+      await storage.recordModelDims(model, fresh[0].vector.length);
+      dimsRecorded = true;
+    }
+    fresh = [];
+  };
+
+  // Scrape one window of nodes at a time (concurrently through the limiter)
+  // and embed full batches as they fill, so page texts don't pile up in memory
+  // for the whole run. A batch that isn't full yet waits for the next window.
+  let pending = [];
+  for (let start = 0; start < nodes.length; start += maxBatchSize) {
+    const scraped = await Promise.all(nodes.slice(start, start + maxBatchSize).map(async (node) => {
+      const known = allowScrape ? pageCache?.get(node.url) : null;
+      if (known?.textHash && known.title === (node.title || '')) {
+        const cached = await getCached(node);
+        if (isUsable(cached, known.textHash)) return { node, page: known, cached };
+      }
+      const page = await scrapePage(node, limiter, allowScrape);
+      return { node, page, text: composeEmbeddingText(node, page?.text || '') };
+    }));
+    for (const one of scraped) {
+      const item = await prepare(one);
+      if (!item) continue;
+      pending.push(item);
+      queued++;
+    }
+    if (pending.length < maxBatchSize) continue;
+    const batches = packBatches(pending, maxBatchSize, maxBatchTokens);
+    pending = batches.at(-1).length < maxBatchSize ? batches.pop() : [];
+    await runBatches(batches);
+  }
+  if (pending.length) await runBatches(packBatches(pending, maxBatchSize, maxBatchTokens));
+  return vectors;
+}
+
+/**
+ * The model and size cached vectors must match to be current. Without a
+ * configured size the model's default is used; when that is not recorded yet,
+ * one short input is embedded to learn it. With `probe: false` nothing is
+ * sent, and an unknown size leaves the model as the only thing to match.
+ * @returns {Promise<{ model: string, dims?: number }>}
+ */
+export async function resolveExpectedVectors(embedder, storage, { probe = true } = {}) {
+  const model = embedder.embeddingModel;
+  if (embedder.embeddingDimensions) return { model, dims: embedder.embeddingDimensions };
+  let dims = await storage.getModelDims(model);
+  if (!dims && probe) {
+    try {
+      const { data } = await embedder.embed(['dimension probe']);
+      dims = data?.[0]?.embedding?.length || undefined;
+      await storage.recordModelDims(model, dims);
+    } catch (e) {
+      console.warn('Failed to check the embedding size:', e);
+    }
+  }
+  return { model, dims };
+}
+
+// The canonical link wins over the redirect target, except for canonicals that
+// point a deep page at the site root (a common CMS misconfiguration). Both go
+// through the same canonicalization rules as bookmarked URLs.
+function resolvedUrl(resolution) {
+  if (!resolution) return null;
+  const { canonicalUrl, finalUrl } = resolution;
+  const useCanonical = canonicalUrl && !(finalUrl && isRootOnly(canonicalUrl) && !isRootOnly(finalUrl));
+  const url = useCanonical ? canonicalUrl : finalUrl;
+  const key = url ? normalizeUrlForKey(url) : '';
+  return key ? { key, url, via: useCanonical ? 'canonical' : 'redirect' } : null;
+}
+
+function isRootOnly(raw) {
+  try {
+    const url = new URL(raw);
+    return url.pathname === '/' && !url.search;
+  } catch {
+    return false;
+  }
+}
+
+// Returns { keep, dupes, clusters }. Near-duplicate links (semantic and exact
+// matches on the normalized URL or on where it resolves to via redirects and
+// canonical links) are grouped into connected clusters; `keeperPolicy`
+// picks the member to keep and the rest are reported as dupes. A node's
+// `folderPolicy` (see folderPolicies.js) can exclude it or limit its scope.
+// `threshold` applies to same-domain pairs and `crossDomainThreshold` (default
+// threshold + 0.05) to pairs on different hosts. Nodes with an entry in
+// `vectors` (node id -> vector) are not embedded; an empty vector means the
+// node only takes part in URL matching.
 export async function dedupeNodes(
   nodes,
   openai,
   {
     threshold = 0.90,
-    localOnly = false,
+    crossDomainThreshold,
     notifier,
     total = nodes.length,
     limiter,
     storage,
     enableScraping = true,
-    ignorePairs
+    ignorePairs,
+    candidateCount = 8,
+    keeperPolicy,
+    embedBatchSize = 64,
+    pageCache,
+    vectors: knownVectors
   } = {}
 ) {
-  const detector = new DuplicateDetector(threshold);
+  const detector = new DuplicateDetector(threshold, crossDomainThreshold);
   const keep = [];
-  const dupes = [];
   const keepVectors = [];
+  const links = [];
   const ignored = ignorePairs || new Set();
 
-  // Map of normalized URLs to indices in keep array for exact duplicate detection
-  const normalizedUrlMap = new Map();
+  const resolutions = new Map();
+
+  // Bookmarks in a "dedupe only within this folder" scope are compared only
+  // with each other, so each scope ('' for the rest) gets its own lookups:
+  // - index: ANN index over keepVectors, grown as items are kept. Ids are
+  //   indices into keep/keepVectors.
+  // - urlMap: normalized URLs (as bookmarked and as resolved) to indices in keep
+  //   for exact duplicate detection. `resolution` is set for resolved keys.
+  const scopes = new Map();
+  const scopeOf = (n) => {
+    const scope = folderPolicyOf(n).dedupeScope || '';
+    if (!scopes.has(scope)) scopes.set(scope, { index: new VectorIndex(), urlMap: new Map() });
+    return scopes.get(scope);
+  };
+
+  // Protected folders sit out entirely; their bookmarks end up in `keep`
+  const candidates = nodes.filter(n => !folderPolicyOf(n).noDedupe);
+
+  // Embed up front in batches, skipping repeats of a URL that will short-circuit
+  // as exact matches below. Anything missed is embedded one at a time in the loop.
+  const seenUrls = new Set();
+  const toEmbed = candidates.filter((n) => {
+    if (knownVectors?.has(n.id)) return false;
+    const key = n.url ? normalizeUrlForKey(n.url) : '';
+    if (!key) return true;
+    const scopedKey = `${folderPolicyOf(n).dedupeScope || ''}\n${key}`;
+    if (seenUrls.has(scopedKey)) return false;
+    seenUrls.add(scopedKey);
+    return true;
+  });
+  const vectors = await embedNodes(toEmbed, openai, limiter, {
+    allowScrape: enableScraping,
+    storage,
+    notifier,
+    maxBatchSize: embedBatchSize,
+    pageCache,
+    resolutions
+  });
+  for (const [id, vector] of knownVectors || []) vectors.set(id, vector);
 
   for (let i = 0; i < nodes.length; i++) {
     const n = nodes[i];
     notifier?.showProgress(i + 1, total, `Processing ${i + 1}/${total}`);
+    if (folderPolicyOf(n).noDedupe) continue;
+    const { index, urlMap } = scopeOf(n);
 
-    // Check for exact normalized URL match first (before computing embeddings)
+    // Check for exact normalized or resolved URL match first (before computing embeddings)
     const normalizedUrl = n.url ? normalizeUrlForKey(n.url) : '';
-    if (normalizedUrl && normalizedUrlMap.has(normalizedUrl)) {
-      const matchIdx = normalizedUrlMap.get(normalizedUrl);
-      const target = keep[matchIdx];
+    const resolved = resolvedUrl(resolutions.get(n.id));
+    const urlKeys = [{ key: normalizedUrl, resolution: null }, { key: resolved?.key, resolution: resolved }];
+    const hit = urlKeys.find(({ key }) => key && urlMap.has(key));
+    if (hit) {
+      const match = urlMap.get(hit.key);
+      const target = keep[match.idx];
 
       // Check if this pair is in the ignore list
       const ignoreKey = makePairKey(n.url, target.url);
       if (!ignoreKey || !ignored.has(ignoreKey)) {
-        // Exact URL match found - mark as duplicate without computing embedding
-        dupes.push({
-          id: n.id,
-          title: n.title,
-          url: n.url,
-          similarity: 1.0, // Exact match
-          duplicateOf: { id: target.id, title: target.title, url: target.url }
-        });
+        // Exact URL match found - link as duplicate without computing embedding
+        const reason = urlMatchReason(n, target, hit.resolution || match.resolution);
+        links.push({ a: n.id, b: target.id, similarity: 1.0, reason });
         continue;
       }
     }
 
     // No exact match or pair is ignored - proceed with embedding and similarity check
-    let v = n.url ? await storage.getVector(n.url, localOnly) : null;
-    if (!v || v.length === 0) {
-      v = await embedNode(n, openai, limiter, { allowScrape: enableScraping });
-      if (n.url) await storage.saveVector(n.url, v, localOnly);
-    }
-
-    let best = { idx: -1, sim: -1 };
-    for (let k = 0; k < keep.length; k++) {
-      const sim = cosineSimilarity(v, keepVectors[k]) || 0;
-      if (sim > best.sim) best = { idx: k, sim };
-    }
-
-    const target = keep[best.idx];
-    const ignoreKey = n.url && target?.url ? makePairKey(n.url, target.url) : '';
-    const isIgnoredPair = ignoreKey && ignored.has(ignoreKey);
-    const isDupe = !isIgnoredPair && target && detector.isDuplicate(v, keepVectors[best.idx], n.url || '', target.url || '');
-
-    if (isDupe) {
-      dupes.push({
-        id: n.id,
-        title: n.title,
-        url: n.url,
-        similarity: best.sim,
-        duplicateOf: { id: target.id, title: target.title, url: target.url }
+    let v = vectors.get(n.id);
+    if (!v) {
+      const single = await embedNodes([n], openai, limiter, {
+        allowScrape: enableScraping,
+        storage,
+        pageCache,
+        resolutions
       });
-    } else {
+      v = single.get(n.id);
+    }
+
+    // Link to every top-k candidate that passes the detector; clustering makes
+    // the links transitive, so a bookmark bridging two kept items joins them.
+    let matched = false;
+    for (const { id: k, similarity } of index.search(v, candidateCount)) {
+      const target = keep[k];
+      const ignoreKey = n.url && target?.url ? makePairKey(n.url, target.url) : '';
+      if (ignoreKey && ignored.has(ignoreKey)) continue;
+      const verdict = detector.evaluate(v, keepVectors[k], n.url || '', target.url || '');
+      if (verdict.isDuplicate) {
+        links.push({ a: n.id, b: target.id, similarity, reason: semanticReason(n, target, { ...verdict, similarity }) });
+        matched = true;
+      }
+    }
+
+    if (!matched) {
       keep.push(n);
       keepVectors.push(v);
+      index.add(keep.length - 1, v);
+
+      // Add normalized and resolved URLs to map for future exact match checks
+      for (const { key, resolution } of urlKeys) {
+        if (key && !urlMap.has(key)) urlMap.set(key, { idx: keep.length - 1, resolution });
+      }
+    }
+  }
+
+  const clusters = applyKeeperPolicy(buildDuplicateClusters(nodes, links), keeperPolicy);
+  const { keep: kept, dupes } = resolveClusters(nodes, clusters);
+  return { keep: kept, dupes, clusters };
+}
+
+/**
+ * Incremental dedupe for freshly created bookmarks. Only the new bookmarks are
+ * embedded and looked up: against `index` (a CachedVectorIndex over the
+ * existing bookmarks' cached vectors, loaded by the caller) and by URL against
+ * `existing`. Existing bookmarks are never scraped or embedded, and links
+ * between them are not looked for, so an older cluster is not proposed again
+ * because a new bookmark joined it. Options are those of dedupeNodes.
+ * @returns {Promise<Array>} clusters of new bookmarks and the bookmarks they duplicate
+ */
+export async function dedupeNewNodes(
+  added,
+  existing,
+  openai,
+  {
+    index,
+    threshold = 0.90,
+    crossDomainThreshold,
+    limiter,
+    storage,
+    enableScraping = true,
+    ignorePairs,
+    candidateCount = 8,
+    keeperPolicy,
+    pageCache
+  } = {}
+) {
+  const addedIds = new Set(added.map(n => n.id));
+  const fresh = added.filter(n => !folderPolicyOf(n).noDedupe);
+  if (!fresh.length) return [];
+  const others = existing.filter(n => !addedIds.has(n.id) && !folderPolicyOf(n).noDedupe);
+  const detector = new DuplicateDetector(threshold, crossDomainThreshold);
+  const ignored = ignorePairs || new Set();
+  const scopeOf = n => folderPolicyOf(n).dedupeScope || '';
+  const linkable = (n, target) => {
+    if (scopeOf(n) !== scopeOf(target)) return false;
+    const ignoreKey = n.url && target.url ? makePairKey(n.url, target.url) : '';
+    return !ignoreKey || !ignored.has(ignoreKey);
+  };
+
+  // Bookmarks by normalized URL and by URL (for index hits); the first one
+  // listed stands for the rest. New bookmarks join as they are processed.
+  const byKey = new Map();
+  const byUrl = new Map();
+  const remember = (n, keys) => {
+    for (const { key, resolution } of keys) {
+      if (key && !byKey.has(key)) byKey.set(key, { node: n, resolution });
+    }
+    if (n.url && !byUrl.has(n.url)) byUrl.set(n.url, []);
+    byUrl.get(n.url)?.push(n);
+  };
+  for (const n of others) remember(n, [{ key: n.url ? normalizeUrlForKey(n.url) : '', resolution: null }]);
+
+  const resolutions = new Map();
+  const vectors = await embedNodes(fresh, openai, limiter, {
+    allowScrape: enableScraping,
+    storage,
+    pageCache,
+    resolutions
+  });
 
-      // Add normalized URL to map for future exact match checks
-      if (normalizedUrl) {
-        normalizedUrlMap.set(normalizedUrl, keep.length - 1);
+  const links = [];
+  for (const n of fresh) {
+    const resolved = resolvedUrl(resolutions.get(n.id));
+    const urlKeys = [{ key: n.url ? normalizeUrlForKey(n.url) : '', resolution: null }, { key: resolved?.key, resolution: resolved }];
+    const hit = urlKeys.find(({ key }) => key && byKey.has(key) && linkable(n, byKey.get(key).node));
+    const v = vectors.get(n.id);
+    if (hit) {
+      const match = byKey.get(hit.key);
+      links.push({ a: n.id, b: match.node.id, similarity: 1.0, reason: urlMatchReason(n, match.node, hit.resolution || match.resolution) });
+    } else if (v?.length) {
+      for (const { id: url, similarity } of index.search(v, candidateCount)) {
+        const target = (byUrl.get(url) || []).find(t => t.id !== n.id && linkable(n, t));
+        if (!target) continue;
+        const verdict = detector.judge(similarity, n.url || '', target.url || '');
+        if (verdict.isDuplicate) {
+          links.push({ a: n.id, b: target.id, similarity, reason: semanticReason(n, target, { ...verdict, similarity }) });
+        }
       }
     }
+    remember(n, urlKeys);
+    if (v?.length) index.add(n.url, v);
   }
 
-  return { keep, dupes };
+  return applyKeeperPolicy(buildDuplicateClusters([...others, ...fresh], links), keeperPolicy);
 }
@@ -1,8 +1,9 @@
+// Vectors of different lengths come from different embedding models or
+// dimension settings and are not comparable, so they score 0.
 export function cosineSimilarity(a, b) {
-  if (!a || !b) return 0;
+  if (!a || !b || a.length !== b.length) return 0;
   let dot = 0, na = 0, nb = 0;
-  const len = Math.min(a.length, b.length);
-  for (let i = 0; i < len; i++) {
+  for (let i = 0; i < a.length; i++) {
     dot += a[i] * b[i];
     na += a[i] * a[i];
     nb += b[i] * b[i];
@@ -0,0 +1,114 @@
+// Offline lexical embedder. Texts become signed feature-hashed vectors of word
+// and character-trigram weights (log-scaled), with URL host and path tokens as
+// their own features. It exposes the same `embed()` shape as the Azure client
+// so dedupeNodes can use either engine.
+
+export const LOCAL_EMBEDDING_MODEL = 'local-lexical-v1';
+
+// Lexical cosine runs lower than semantic similarity for true duplicates and
+// higher for sibling pages on one site, so it needs its own cut-off.
+export const LOCAL_SIMILARITY_THRESHOLD = 0.88;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with',
+  'www', 'http', 'https', 'com', 'org', 'net', 'html', 'htm', 'php', 'index'
+]);
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s]+/gi;
+
+// FNV-1a, 32-bit
+function hash32(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function words(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(w => w.length > 1 && !STOPWORDS.has(w));
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+function urlFeatures(raw) {
+  try {
+    const url = new URL(raw);
+    const host = url.hostname.replace(/^www\./, '');
+    const features = [[`host:${host}`, 1]];
+    const segments = url.pathname.split('/').filter(Boolean);
+    segments.forEach((segment, i) => {
+      // The last segment usually names the page, so it carries the most weight
+      const weight = i === segments.length - 1 ? 2 : 0.5;
+      for (const w of words(safeDecode(segment))) features.push([`path:${w}`, weight]);
+    });
+    return features;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Collect weighted features. The first paragraph is the bookmark title (see
+ * buildEmbeddingText): its words count double and the whole title is one more
+ * feature. URLs anywhere in the text contribute host/path features instead of
+ * word features.
+ */
+function extractFeatures(text) {
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+  const [title = '', ...rest] = String(text || '').split(/\n\s*\n/);
+  const body = rest.join('\n');
+
+  for (const [part, weight] of [[title, 2], [body, 1]]) {
+    const urls = part.match(URL_PATTERN) || [];
+    urls.forEach(u => urlFeatures(u).forEach(([f, w]) => add(f, w)));
+    const plain = part.replace(URL_PATTERN, ' ');
+    const phrase = words(plain).join(' ');
+    if (phrase && weight > 1) add(`title:${phrase}`, 3);
+    for (const w of words(plain)) {
+      add(`w:${w}`, weight);
+      if (w.length > 3) {
+        const padded = `_${w}_`;
+        for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, weight * 0.25);
+      }
+    }
+  }
+  return counts;
+}
+
+export function embedText(text, dimensions = 256) {
+  const vector = new Float32Array(dimensions);
+  for (const [feature, count] of extractFeatures(text)) {
+    const h = hash32(feature);
+    const sign = h & 0x80000000 ? -1 : 1;
+    vector[h % dimensions] += sign * Math.log1p(count);
+  }
+  return vector;
+}
+
+/**
+ * Create an offline embedder with the Azure client's `embed()` response shape.
+ */
+export function createLocalEmbedder({ dimensions = 256 } = {}) {
+  return {
+    embeddingModel: LOCAL_EMBEDDING_MODEL,
+    embeddingDimensions: dimensions,
+    async embed(input) {
+      const inputs = Array.isArray(input) ? input : [input];
+      return {
+        data: inputs.map((text, index) => ({ index, embedding: Array.from(embedText(text, dimensions)) }))
+      };
+    }
+  };
+}
@@ -0,0 +1,267 @@
+// Approximate nearest-neighbour index (HNSW) over cosine similarity.
+// Vectors are normalised on insert so similarity reduces to a dot product.
+// Ids are caller-supplied and returned verbatim from search().
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (!norm) return null;
+  const out = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) out[i] = vector[i] / norm;
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Binary heap ordered by `dist`; `max` flips it into a max-heap.
+class DistanceHeap {
+  constructor(max = false) {
+    this.items = [];
+    this.sign = max ? -1 : 1;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.sign * (items[parent].dist - items[i].dist) <= 0) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let best = i;
+        if (l < items.length && this.sign * (items[l].dist - items[best].dist) < 0) best = l;
+        if (r < items.length && this.sign * (items[r].dist - items[best].dist) < 0) best = r;
+        if (best === i) break;
+        [items[best], items[i]] = [items[i], items[best]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+export class VectorIndex {
+  constructor({ M = 8, efConstruction = 40, efSearch = 24, seed = 42 } = {}) {
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = Math.max(efConstruction, M);
+    this.efSearch = efSearch;
+    this.levelMult = 1 / Math.log(M);
+    this.random = mulberry32(seed);
+
+    this.dimensions = 0;
+    this.ids = [];
+    this.vectors = [];
+    this.links = []; // links[node][level] -> neighbour node indices
+    this.linkDists = []; // distances parallel to `links`
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+
+    this.visitMarks = new Uint32Array(1024);
+    this.visitEpoch = 0;
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  _dist(q, node) {
+    return 1 - dot(q, this.vectors[node]);
+  }
+
+  _nextEpoch() {
+    if (this.visitMarks.length < this.vectors.length) {
+      const grown = new Uint32Array(Math.max(this.vectors.length, this.visitMarks.length * 2));
+      grown.set(this.visitMarks);
+      this.visitMarks = grown;
+    }
+    this.visitEpoch++;
+    if (this.visitEpoch === 0xFFFFFFFF) {
+      this.visitMarks.fill(0);
+      this.visitEpoch = 1;
+    }
+    return this.visitEpoch;
+  }
+
+  _searchLayer(q, entries, ef, level) {
+    const epoch = this._nextEpoch();
+    const marks = this.visitMarks;
+    const candidates = new DistanceHeap(false);
+    const results = new DistanceHeap(true);
+
+    for (const entry of entries) {
+      marks[entry.node] = epoch;
+      candidates.push(entry);
+      results.push(entry);
+    }
+
+    while (candidates.size) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.dist > results.peek().dist) break;
+
+      const neighbours = this.links[current.node][level] || [];
+      for (const nb of neighbours) {
+        if (marks[nb] === epoch) continue;
+        marks[nb] = epoch;
+        const dist = this._dist(q, nb);
+        if (results.size < ef || dist < results.peek().dist) {
+          const item = { node: nb, dist };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.dist - b.dist);
+  }
+
+  // HNSW neighbour-selection heuristic: prefer candidates that are closer to
+  // the base than to any already selected neighbour, then top up.
+  _selectNeighbours(sorted, max) {
+    if (sorted.length <= max) return sorted;
+    const selected = [];
+    const pruned = [];
+    for (const candidate of sorted) {
+      if (selected.length >= max) break;
+      const vec = this.vectors[candidate.node];
+      let keep = true;
+      for (const chosen of selected) {
+        if (1 - dot(vec, this.vectors[chosen.node]) < candidate.dist) {
+          keep = false;
+          break;
+        }
+      }
+      if (keep) selected.push(candidate);
+      else pruned.push(candidate);
+    }
+    for (const candidate of pruned) {
+      if (selected.length >= max) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+
+  _connect(node, neighbour, level, dist) {
+    const list = this.links[neighbour][level];
+    const dists = this.linkDists[neighbour][level];
+    const max = level === 0 ? this.maxM0 : this.M;
+    if (list.length < max) {
+      list.push(node);
+      dists.push(dist);
+      return;
+    }
+
+    // Full: replace the farthest existing link if the new one is closer.
+    let worst = 0;
+    for (let i = 1; i < dists.length; i++) {
+      if (dists[i] > dists[worst]) worst = i;
+    }
+    if (dist < dists[worst]) {
+      list[worst] = node;
+      dists[worst] = dist;
+    }
+  }
+
+  /**
+   * Insert a vector. Zero vectors and vectors whose dimensions differ from the
+   * first inserted vector are ignored.
+   * @returns {boolean} whether the vector was indexed
+   */
+  add(id, vector) {
+    if (!vector || !vector.length) return false;
+    if (this.dimensions && vector.length !== this.dimensions) return false;
+    const q = normalize(vector);
+    if (!q) return false;
+    if (!this.dimensions) this.dimensions = vector.length;
+
+    const node = this.vectors.length;
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelMult);
+    this.ids.push(id);
+    this.vectors.push(q);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.linkDists.push(Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return true;
+    }
+
+    let entries = [{ node: this.entryPoint, dist: this._dist(q, this.entryPoint) }];
+    for (let l = this.maxLevel; l > level; l--) {
+      entries = this._searchLayer(q, entries, 1, l).slice(0, 1);
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this._searchLayer(q, entries, this.efConstruction, l);
+      const neighbours = this._selectNeighbours(found, this.M);
+      this.links[node][l] = neighbours.map(c => c.node);
+      this.linkDists[node][l] = neighbours.map(c => c.dist);
+      for (const nb of neighbours) this._connect(node, nb.node, l, nb.dist);
+      entries = found;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+    return true;
+  }
+
+  /**
+   * Return up to `k` nearest neighbours ordered by descending similarity.
+   * @returns {Array<{ id: any, similarity: number }>}
+   */
+  search(vector, k = 5) {
+    if (this.entryPoint === -1 || !vector || vector.length !== this.dimensions) return [];
+    const q = normalize(vector);
+    if (!q) return [];
+
+    let entries = [{ node: this.entryPoint, dist: this._dist(q, this.entryPoint) }];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entries = this._searchLayer(q, entries, 1, l).slice(0, 1);
+    }
+
+    const found = this._searchLayer(q, entries, Math.max(this.efSearch, k), 0);
+    return found.slice(0, k).map(({ node, dist }) => ({ id: this.ids[node], similarity: 1 - dist }));
+  }
+}
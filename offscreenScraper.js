@@ -31,8 +31,11 @@ chrome.runtime.onMessage.addListener(async (msg, _sender, reply) => {
     const html = await res.text();
     const doc = new DOMParser().parseFromString(html, 'text/html');
     const text = extractMeaningfulText(doc);
+    const finalUrl = res.url || msg.url;
+    const canonicalUrl = extractCanonicalUrl(doc, finalUrl);
+    const lang = doc.documentElement?.getAttribute('lang')?.trim() || '';
 
-    reply({ ok: true, text });
+    reply({ ok: true, text, finalUrl, canonicalUrl, lang });
   } catch (e) {
     reply({ ok: false, error: String(e), text: '' });
   }
@@ -65,3 +68,15 @@ function extractMeaningfulText(doc) {
   const firstP = doc.querySelector('p')?.textContent || '';
   return (`${meta}\n\n${firstP}`).trim().slice(0, 4000);
 }
+
+// <link rel="canonical"> resolved against the final URL; only http(s) targets count
+function extractCanonicalUrl(doc, baseUrl) {
+  const href = doc.querySelector('link[rel~="canonical" i][href]')?.getAttribute('href')?.trim();
+  if (!href) return '';
+  try {
+    const url = new URL(href, baseUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : '';
+  } catch {
+    return '';
+  }
+}
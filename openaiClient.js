@@ -39,6 +39,7 @@ export function createOpenAI({
   baseUrl,
   deployment,
   embeddingDeployment,
+  embeddingDimensions,
   apiVersion = 'v1'
 }) {
   if (!apiKey) throw new Error('Azure OpenAI apiKey is required');
@@ -46,6 +47,8 @@ export function createOpenAI({
   if (!deployment) throw new Error('Azure OpenAI deployment is required');
   const cleaned = sanitizeBaseUrl(baseUrl);
   const embedModel = embeddingDeployment || deployment;
+  // Optional shortened output size (text-embedding-3 models only)
+  const embedDims = Number(embeddingDimensions) > 0 ? Number(embeddingDimensions) : undefined;
 
   // Unified ("v1") vs legacy (preview date string) Azure endpoint selection.
   // Unified:   {endpoint}/openai/v1/chat/completions  body: { model: <deployment>, ... }
@@ -132,7 +135,8 @@ export function createOpenAI({
       : { input };
 
     if (opts.encoding_format) body.encoding_format = opts.encoding_format;
-    if (opts.dimensions != null) body.dimensions = opts.dimensions;
+    const dimensions = opts.dimensions ?? embedDims;
+    if (dimensions != null) body.dimensions = dimensions;
 
     const res = await fetch(embeddingsUrl, {
       method: 'POST',
@@ -143,5 +147,5 @@ export function createOpenAI({
     return parseJsonOrThrow(res, 'Embed error');
   }
 
-  return { chat, embed };
+  return { chat, embed, embeddingModel: embedModel, embeddingDimensions: embedDims };
 }
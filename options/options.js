@@ -1,8 +1,38 @@
+import { normalizeKeeperPolicy } from '../utils/keeperPolicy.js';
+import { CANONICAL_RULES_STORAGE_KEY, parseCanonicalRules } from '../utils/urlCanonicalizer.js';
+import { FOLDER_POLICIES_STORAGE_KEY, FOLDER_POLICY_FLAGS, normalizeFolderPolicies } from '../utils/folderPolicies.js';
+import { normalizeThresholds, SIMILARITY_THRESHOLDS_STORAGE_KEY } from '../utils/thresholdCalibration.js';
+import { defaultTaxonomy, isDefaultTaxonomy, normalizeTaxonomy, parseTaxonomyJson, TAXONOMY_STORAGE_KEY } from '../utils/taxonomy.js';
+import { resolveTagLanguage } from '../utils/languageDetector.js';
+import { resolveConfidenceThreshold } from '../utils/tagReviewQueue.js';
+import { TAG_MERGE_PROPOSAL_KEY, TAG_MERGE_UNDO_KEY } from '../utils/tagConsolidation.js';
+import { parseTagRules, TAG_RULES_STORAGE_KEY } from '../utils/tagRules.js';
+import { COST_SETTING_KEYS } from '../utils/costEstimator.js';
+import { clearTagExamples, loadTagExamples, removeTagExamples, TAG_EXAMPLES_KEY } from '../utils/tagExamples.js';
+
 const form = document.getElementById('cfg');
 const runNow = document.getElementById('runNow');
 const testConnectionBtn = document.getElementById('testConnection');
 let testResult = document.getElementById('testResult');
 const scrapingNotice = document.getElementById('scrapingNotice');
+const localEngineNotice = document.getElementById('localEngineNotice');
+const addFolderPolicyBtn = document.getElementById('addFolderPolicy');
+const folderPoliciesTable = document.getElementById('folderPolicies');
+const calibrateBtn = document.getElementById('calibrate');
+const calibrationPanel = document.getElementById('calibration');
+const calibrationSummary = document.getElementById('calibrationSummary');
+const histogramEl = document.getElementById('similarityHistogram');
+const calibrationSamples = document.getElementById('calibrationSamples');
+const taxonomyTable = document.getElementById('taxonomyCategories');
+const taxonomyFile = document.getElementById('taxonomyFile');
+const findTagVariantsBtn = document.getElementById('findTagVariants');
+const tagMergeStatus = document.getElementById('tagMergeStatus');
+const tagMergesTable = document.getElementById('tagMerges');
+const applyTagMergesBtn = document.getElementById('applyTagMerges');
+const undoTagMergesBtn = document.getElementById('undoTagMerges');
+const tagExampleStatus = document.getElementById('tagExampleStatus');
+const tagExamplesTable = document.getElementById('tagExamples');
+const clearTagExamplesBtn = document.getElementById('clearTagExamples');
 const ALL_URLS_PERMISSION = { origins: ['<all_urls>'] };
 
 function recordLastError(context, ignoreClosedPort = true) {
@@ -84,6 +114,405 @@ async function handleScrapingToggleChange() {
   }
 }
 
+// Azure credentials are only mandatory when Azure does the similarity work
+function syncEngineRequirements() {
+  const local = form.similarityEngine.value === 'local';
+  form.key.required = !local;
+  form.url.required = !local;
+  form.dep.required = !local;
+  if (localEngineNotice) {
+    localEngineNotice.hidden = !local;
+  }
+}
+
+// Folder policies being edited; saved with the rest of the settings
+let folderPolicies = [];
+// Folder id -> "Parent/Child" path from the live bookmark tree
+let folderPaths = new Map();
+
+async function loadFolderTree() {
+  const roots = await chrome.bookmarks.getTree();
+  const folders = [];
+  const walk = (node, path, depth) => {
+    if (node.url) return;
+    const nextPath = node.title ? [...path, node.title] : path;
+    if (node.title) folders.push({ id: node.id, path: nextPath.join('/'), title: node.title, depth });
+    (node.children || []).forEach(child => walk(child, nextPath, node.title ? depth + 1 : depth));
+  };
+  roots.forEach(root => walk(root, [], 0));
+  return folders;
+}
+
+async function refreshFolderPicker() {
+  let folders = [];
+  try {
+    folders = await loadFolderTree();
+  } catch (error) {
+    console.warn('Failed to read bookmark folders:', error);
+  }
+  folderPaths = new Map(folders.map(f => [f.id, f.path]));
+
+  const select = form.policyFolder;
+  const selected = select.value;
+  select.replaceChildren(...folders.map((folder) => {
+    const option = document.createElement('option');
+    option.value = folder.id;
+    option.textContent = `${'\u00a0\u00a0'.repeat(folder.depth)}${folder.title}`;
+    return option;
+  }));
+  if (folderPaths.has(selected)) select.value = selected;
+  addFolderPolicyBtn.disabled = !folders.length;
+  renderFolderPolicies();
+}
+
+function renderFolderPolicies() {
+  const tbody = folderPoliciesTable.querySelector('tbody');
+  folderPoliciesTable.hidden = !folderPolicies.length;
+  tbody.replaceChildren(...folderPolicies.map((policy) => {
+    const row = document.createElement('tr');
+    const name = document.createElement('td');
+    const path = folderPaths.get(policy.folderId);
+    name.textContent = path || `${policy.title || policy.folderId} (folder no longer exists)`;
+    if (!path) name.classList.add('missing');
+    row.appendChild(name);
+
+    for (const flag of FOLDER_POLICY_FLAGS) {
+      const cell = document.createElement('td');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = policy[flag];
+      box.setAttribute('aria-label', `${flag} for ${path || policy.title}`);
+      box.addEventListener('change', () => {
+        policy[flag] = box.checked;
+      });
+      cell.appendChild(box);
+      row.appendChild(cell);
+    }
+
+    const actions = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      folderPolicies = folderPolicies.filter(p => p !== policy);
+      renderFolderPolicies();
+    });
+    actions.appendChild(remove);
+    row.appendChild(actions);
+    return row;
+  }));
+}
+
+function addFolderPolicy() {
+  const folderId = form.policyFolder.value;
+  if (!folderId || folderPolicies.some(p => p.folderId === folderId)) return;
+  // New entries protect the folder fully; untick what should still apply
+  folderPolicies.push({
+    folderId,
+    title: folderPaths.get(folderId) || '',
+    noDedupe: true,
+    noTagging: true,
+    noMoves: true,
+    dedupeWithin: false
+  });
+  renderFolderPolicies();
+}
+
+// Taxonomy categories being edited ({ name, description, subcategories } with
+// subcategories as typed); saved with the rest of the settings
+let taxonomyCategories = [];
+
+function textInput(value, label, onInput) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.setAttribute('aria-label', label);
+  input.addEventListener('input', () => onInput(input.value));
+  return input;
+}
+
+function renderTaxonomy() {
+  const tbody = taxonomyTable.querySelector('tbody');
+  tbody.replaceChildren(...taxonomyCategories.map((category, index) => {
+    const row = document.createElement('tr');
+    const fields = [
+      ['name', 'Category name'],
+      ['description', 'Description'],
+      ['subcategories', 'Sub-categories']
+    ];
+    for (const [field, label] of fields) {
+      const cell = document.createElement('td');
+      cell.appendChild(textInput(category[field], `${label} ${index + 1}`, (value) => {
+        category[field] = value;
+      }));
+      row.appendChild(cell);
+    }
+
+    const actions = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      taxonomyCategories = taxonomyCategories.filter(c => c !== category);
+      renderTaxonomy();
+    });
+    actions.appendChild(remove);
+    row.appendChild(actions);
+    return row;
+  }));
+}
+
+function fillTaxonomy(taxonomy) {
+  taxonomyCategories = taxonomy.categories.map(c => ({ ...c, subcategories: c.subcategories.join(', ') }));
+  form.tagBlacklist.value = taxonomy.blacklist.join(', ');
+  form.tagSynonyms.value = Object.entries(taxonomy.synonyms).map(([from, to]) => `${from} = ${to}`).join('\n');
+  renderTaxonomy();
+}
+
+function readTaxonomy() {
+  const synonyms = {};
+  for (const line of form.tagSynonyms.value.split('\n')) {
+    const [from, ...to] = line.split('=');
+    if (to.length) synonyms[from] = to.join('=');
+  }
+  return normalizeTaxonomy({
+    categories: taxonomyCategories.map(c => ({ ...c, subcategories: c.subcategories.split(',') })),
+    blacklist: form.tagBlacklist.value.split(','),
+    synonyms
+  });
+}
+
+function addCategory() {
+  taxonomyCategories.push({ name: '', description: '', subcategories: '' });
+  renderTaxonomy();
+  taxonomyTable.querySelector('tbody tr:last-child input')?.focus();
+}
+
+function exportTaxonomy() {
+  const blob = new Blob([JSON.stringify(readTaxonomy(), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'tag-taxonomy.json';
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function importTaxonomy() {
+  const [file] = taxonomyFile.files;
+  taxonomyFile.value = '';
+  if (!file) return;
+  const { taxonomy, error } = parseTaxonomyJson(await file.text());
+  if (error) {
+    alert(`The taxonomy was not imported:\n${error}`);
+    return;
+  }
+  fillTaxonomy(taxonomy);
+}
+
+// Groups from the last tag consolidation job, with the reviewer's choices
+let tagMergeGroups = [];
+
+function renderTagMerges(proposal) {
+  tagMergeGroups = (proposal?.groups || []).map(group => ({ ...group, accepted: true }));
+  tagMergesTable.hidden = !tagMergeGroups.length;
+  applyTagMergesBtn.hidden = !tagMergeGroups.length;
+  if (proposal) {
+    tagMergeStatus.textContent = tagMergeGroups.length
+      ? `${tagMergeGroups.length} group(s) of variants among ${proposal.tags} tag(s). Untick groups to skip them or edit the canonical tag.`
+      : `No variants found among ${proposal.tags} tag(s).`;
+  }
+
+  tagMergesTable.querySelector('tbody').replaceChildren(...tagMergeGroups.map((group) => {
+    const row = document.createElement('tr');
+    const accept = document.createElement('input');
+    accept.type = 'checkbox';
+    accept.checked = true;
+    accept.setAttribute('aria-label', `Merge into ${group.canonical}`);
+    accept.addEventListener('change', () => {
+      group.accepted = accept.checked;
+    });
+    const variants = document.createElement('td');
+    variants.textContent = group.variants.map(v => `${v.tag} (${v.count})`).join(', ');
+    const source = document.createElement('td');
+    source.textContent = group.suggestedBy === 'model' ? 'Model' : 'Spelling';
+
+    const cells = [accept, textInput(group.canonical, `Canonical tag for ${group.canonical}`, (value) => {
+      group.canonical = value.trim();
+    })].map((control) => {
+      const cell = document.createElement('td');
+      cell.appendChild(control);
+      return cell;
+    });
+    row.append(...cells, variants, source);
+    return row;
+  }));
+}
+
+async function refreshTagMerges() {
+  const { [TAG_MERGE_PROPOSAL_KEY]: proposal, [TAG_MERGE_UNDO_KEY]: undo } = await chrome.storage.local.get([TAG_MERGE_PROPOSAL_KEY, TAG_MERGE_UNDO_KEY]);
+  renderTagMerges(proposal);
+  undoTagMergesBtn.hidden = !undo;
+}
+
+async function refreshTagExamples() {
+  const examples = await loadTagExamples();
+  tagExamplesTable.hidden = !examples.length;
+  clearTagExamplesBtn.hidden = !examples.length;
+  tagExampleStatus.textContent = examples.length
+    ? `${examples.length} corrected bookmark(s).`
+    : 'No corrections yet.';
+
+  tagExamplesTable.querySelector('tbody').replaceChildren(...examples.map((example) => {
+    const row = document.createElement('tr');
+    const bookmark = document.createElement('td');
+    bookmark.textContent = example.title || example.url;
+    bookmark.title = example.url;
+    const tags = document.createElement('td');
+    tags.textContent = example.tags.join(', ');
+    const category = document.createElement('td');
+    category.textContent = example.category || '';
+
+    const actions = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      removeTagExamples([example.id]).catch(error => console.warn('Failed to remove tag example:', error));
+    });
+    actions.appendChild(remove);
+    row.append(bookmark, tags, category, actions);
+    return row;
+  }));
+}
+
+function findTagVariants() {
+  findTagVariantsBtn.disabled = true;
+  tagMergeStatus.textContent = 'Collecting tags…';
+  chrome.runtime.sendMessage({ type: 'CONSOLIDATE_TAGS', useModel: form.consolidateWithModel.checked }, (response) => {
+    findTagVariantsBtn.disabled = false;
+    if (recordLastError('Tag consolidation', false) || !response?.success) {
+      tagMergeStatus.textContent = `Could not start: ${response?.error || 'no response from the extension'}`;
+    }
+  });
+}
+
+function sendTagMergeCommand(message, describe) {
+  applyTagMergesBtn.disabled = true;
+  undoTagMergesBtn.disabled = true;
+  chrome.runtime.sendMessage(message, (response) => {
+    applyTagMergesBtn.disabled = false;
+    undoTagMergesBtn.disabled = false;
+    if (recordLastError('Tag merge', false) || !response?.success) {
+      tagMergeStatus.textContent = `Failed: ${response?.error || 'no response from the extension'}`;
+      return;
+    }
+    refreshTagMerges()
+      .then(() => {
+        tagMergeStatus.textContent = describe(response);
+      })
+      .catch(error => console.warn('Failed to refresh tag merges:', error));
+  });
+}
+
+// Result of the last calibration run ({ model, histogram, samples, ... })
+let calibration = null;
+
+function readThreshold(input) {
+  const value = Number.parseFloat(input.value);
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : null;
+}
+
+function renderHistogram() {
+  const bins = calibration?.histogram || [];
+  const sameDomain = readThreshold(form.sameDomainThreshold) ?? 1;
+  const crossDomain = readThreshold(form.crossDomainThreshold) ?? 1;
+  const tallest = Math.max(1, ...bins.map(b => b.sameDomain + b.crossDomain));
+  histogramEl.replaceChildren(...bins.map((bin) => {
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.title = `${bin.from.toFixed(2)}–${bin.to.toFixed(2)}: ${bin.sameDomain} same site, ${bin.crossDomain} different sites`;
+    for (const [kind, count, threshold] of [['same-domain', bin.sameDomain, sameDomain], ['cross-domain', bin.crossDomain, crossDomain]]) {
+      const segment = document.createElement('div');
+      segment.className = kind;
+      segment.classList.toggle('flagged', bin.from >= threshold - 1e-9);
+      segment.style.height = `${(count / tallest) * 100}%`;
+      bar.appendChild(segment);
+    }
+    return bar;
+  }));
+  histogramEl.parentElement.querySelector('[data-min]').textContent = bins.length ? bins[0].from.toFixed(2) : '';
+}
+
+function describePair(pair) {
+  const item = document.createElement('li');
+  const where = pair.sameDomain ? 'same site' : 'different sites';
+  item.textContent = `${pair.similarity.toFixed(3)} · ${pair.a.title || pair.a.url} ↔ ${pair.b.title || pair.b.url} (${where})`;
+  return item;
+}
+
+function renderCalibrationSamples() {
+  calibrationSamples.replaceChildren(...(calibration?.samples || []).flatMap((sample) => {
+    const heading = document.createElement('h4');
+    heading.textContent = `Around ${sample.cutoff.toFixed(2)}`;
+    const list = document.createElement('ul');
+    list.append(...sample.above.map(describePair), ...sample.below.map(describePair));
+    if (!list.children.length) return [];
+    return [heading, list];
+  }));
+}
+
+async function runCalibration() {
+  calibrateBtn.disabled = true;
+  const originalLabel = calibrateBtn.textContent;
+  calibrateBtn.textContent = 'Calibrating...';
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CALIBRATE_THRESHOLDS' });
+    if (!response?.success) {
+      alert(`Calibration failed: ${response?.error || 'no response from the service worker'}`);
+      return;
+    }
+    calibration = response;
+    calibrationPanel.hidden = false;
+    if (!response.vectors) {
+      calibrationSummary.textContent = `No cached vectors for ${response.model} yet. Run a cleanup first, then calibrate.`;
+    } else {
+      const source = response.thresholds.calibrated ? 'saved' : 'default';
+      calibrationSummary.textContent = `${response.vectors} of ${response.bookmarks} bookmarks have vectors for ${response.model}; showing ${source} thresholds.`;
+    }
+    form.sameDomainThreshold.value = response.thresholds.sameDomain.toFixed(2);
+    form.crossDomainThreshold.value = response.thresholds.crossDomain.toFixed(2);
+    renderHistogram();
+    renderCalibrationSamples();
+  } catch (error) {
+    console.error('Calibration crashed:', error);
+    alert(`Calibration failed: ${error?.message || error}`);
+  } finally {
+    calibrateBtn.disabled = false;
+    calibrateBtn.textContent = originalLabel;
+  }
+}
+
+async function saveThresholds(reset = false) {
+  if (!calibration?.model) return;
+  const sameDomain = readThreshold(form.sameDomainThreshold);
+  const crossDomain = readThreshold(form.crossDomainThreshold);
+  if (!reset && (sameDomain === null || crossDomain === null)) {
+    alert('Thresholds must be numbers between 0 and 1.');
+    return;
+  }
+  const { [SIMILARITY_THRESHOLDS_STORAGE_KEY]: stored } = await chrome.storage.sync.get(SIMILARITY_THRESHOLDS_STORAGE_KEY);
+  const thresholds = normalizeThresholds(stored);
+  if (reset) delete thresholds[calibration.model];
+  else thresholds[calibration.model] = { sameDomain, crossDomain };
+  await chrome.storage.sync.set({ [SIMILARITY_THRESHOLDS_STORAGE_KEY]: thresholds });
+  if (reset) {
+    await runCalibration();
+  } else {
+    calibrationSummary.textContent = `Saved thresholds for ${calibration.model}.`;
+  }
+}
+
 function ensureTestResultElement() {
   if (testResult) {
     return testResult;
@@ -121,42 +550,149 @@ async function loadSettings() {
     'baseUrl',
     'deployment',
     'embeddingDeployment',
+    'embeddingDimensions',
     'apiVersion',
     'enableScraping',
-    'deviceOnly',
+    'vectorEncoding',
+    'vectorBudgetMb',
+    'taggingMaxTokens',
+    'tagConfidenceThreshold',
     'previewMode',
-    'schedule'
+    'incrementalDedupe',
+    'tagTitles',
+    'summarizeBookmarks',
+    'tagLanguage',
+    'schedule',
+    'keeperPolicy',
+    'similarityEngine',
+    CANONICAL_RULES_STORAGE_KEY,
+    FOLDER_POLICIES_STORAGE_KEY,
+    TAXONOMY_STORAGE_KEY,
+    TAG_RULES_STORAGE_KEY,
+    ...COST_SETTING_KEYS
   ]);
 
   form.key.value = data.apiKey || '';
   form.url.value = data.baseUrl || '';
   form.dep.value = data.deployment || '';
   form.edep.value = data.embeddingDeployment || '';
+  form.edims.value = data.embeddingDimensions || '';
   form.apiVersion.value = data.apiVersion || 'v1';
   form.scraping.checked = data.enableScraping ?? true;
-  form.deviceOnly.checked = data.deviceOnly ?? false;
+  form.vectorEncoding.value = data.vectorEncoding || 'float32';
+  form.vectorBudgetMb.value = data.vectorBudgetMb || '';
+  form.taggingMaxTokens.value = data.taggingMaxTokens || '';
+  form.tagConfidenceThreshold.value = data.tagConfidenceThreshold ?? '';
+  for (const key of COST_SETTING_KEYS) form[key].value = data[key] ?? '';
   form.preview.checked = data.previewMode ?? true;
+  form.incrementalDedupe.checked = data.incrementalDedupe ?? true;
+  form.tagTitles.checked = data.tagTitles ?? true;
+  form.summarizeBookmarks.checked = data.summarizeBookmarks ?? true;
+  form.tagLanguage.value = resolveTagLanguage(data.tagLanguage);
   form.schedule.value = data.schedule ?? 'DAILY_3AM';
+  form.similarityEngine.value = data.similarityEngine || (data.apiKey ? 'azure' : 'local');
+  syncEngineRequirements();
+
+  const keeperPolicy = normalizeKeeperPolicy(data.keeperPolicy);
+  form.keeperRule.value = keeperPolicy.rule;
+  form.keeperTieBreaker.value = keeperPolicy.tieBreaker;
+  form.preferredFolders.value = (data.keeperPolicy?.preferredFolders || []).join(', ');
+  const urlRules = data[CANONICAL_RULES_STORAGE_KEY];
+  form.urlRules.value = Array.isArray(urlRules) && urlRules.length ? JSON.stringify(urlRules, null, 2) : '';
+  const tagRules = data[TAG_RULES_STORAGE_KEY];
+  form.tagRules.value = Array.isArray(tagRules) && tagRules.length ? JSON.stringify(tagRules, null, 2) : '';
+  folderPolicies = normalizeFolderPolicies(data[FOLDER_POLICIES_STORAGE_KEY]);
+  await refreshFolderPicker();
+  const storedTaxonomy = data[TAXONOMY_STORAGE_KEY];
+  fillTaxonomy(storedTaxonomy && !isDefaultTaxonomy(storedTaxonomy)
+    ? normalizeTaxonomy(storedTaxonomy)
+    : defaultTaxonomy(form.tagLanguage.value));
+  await refreshTagMerges();
+  await refreshTagExamples();
 
   await ensureScrapingToggleMatchesPermissions(data.enableScraping);
 }
 
+// Names shown when a setting is too large to sync
+const SYNC_ITEM_LABELS = {
+  [CANONICAL_RULES_STORAGE_KEY]: 'Custom URL rules',
+  [FOLDER_POLICIES_STORAGE_KEY]: 'Folder policies',
+  [TAXONOMY_STORAGE_KEY]: 'The tag taxonomy',
+  [TAG_RULES_STORAGE_KEY]: 'Tagging rules'
+};
+
 async function saveSettings(e) {
   e.preventDefault();
 
+  const { rules: urlRules, errors: urlRuleErrors } = parseCanonicalRules(form.urlRules.value);
+  if (urlRuleErrors.length) {
+    alert(`Custom URL rules were not saved:\n${urlRuleErrors.join('\n')}`);
+    return;
+  }
+  const { rules: tagRules, errors: tagRuleErrors } = parseTagRules(form.tagRules.value);
+  if (tagRuleErrors.length) {
+    alert(`Tagging rules were not saved:\n${tagRuleErrors.join('\n')}`);
+    return;
+  }
+
+  const taxonomy = readTaxonomy();
+
   const settings = {
     apiKey: form.key.value,
     baseUrl: form.url.value,
     deployment: form.dep.value,
     embeddingDeployment: form.edep.value || form.dep.value,
+    embeddingDimensions: Number.parseInt(form.edims.value, 10) || null,
     apiVersion: form.apiVersion.value || 'v1',
     enableScraping: form.scraping.checked,
-    deviceOnly: form.deviceOnly.checked,
+    vectorEncoding: form.vectorEncoding.value,
+    vectorBudgetMb: Number.parseInt(form.vectorBudgetMb.value, 10) || null,
+    taggingMaxTokens: Number.parseInt(form.taggingMaxTokens.value, 10) || null,
+    tagConfidenceThreshold: form.tagConfidenceThreshold.value.trim()
+      ? resolveConfidenceThreshold(form.tagConfidenceThreshold.value)
+      : null,
     previewMode: form.preview.checked,
-    schedule: form.schedule.value
+    incrementalDedupe: form.incrementalDedupe.checked,
+    tagTitles: form.tagTitles.checked,
+    summarizeBookmarks: form.summarizeBookmarks.checked,
+    tagLanguage: form.tagLanguage.value,
+    ...Object.fromEntries(COST_SETTING_KEYS.map((key) => {
+      const value = Number.parseFloat(form[key].value);
+      return [key, Number.isFinite(value) && value >= 0 ? value : null];
+    })),
+    schedule: form.schedule.value,
+    similarityEngine: form.similarityEngine.value,
+    keeperPolicy: {
+      rule: form.keeperRule.value,
+      tieBreaker: form.keeperTieBreaker.value,
+      preferredFolders: form.preferredFolders.value.split(',').map(f => f.trim()).filter(Boolean)
+    },
+    [CANONICAL_RULES_STORAGE_KEY]: urlRules,
+    [FOLDER_POLICIES_STORAGE_KEY]: normalizeFolderPolicies(folderPolicies.map(p => ({
+      ...p,
+      title: folderPaths.get(p.folderId) || p.title
+    }))),
+    [TAXONOMY_STORAGE_KEY]: taxonomy,
+    [TAG_RULES_STORAGE_KEY]: tagRules
   };
 
-  await chrome.storage.sync.set(settings);
+  // chrome.storage.sync rejects any single key over its per-item quota
+  const maxItemBytes = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+  const oversized = Object.entries(settings)
+    .map(([key, value]) => [key, new TextEncoder().encode(JSON.stringify({ [key]: value })).length])
+    .filter(([, bytes]) => bytes > maxItemBytes)
+    .map(([key, bytes]) => `${SYNC_ITEM_LABELS[key] || key} (${bytes} of ${maxItemBytes} bytes)`);
+  if (oversized.length) {
+    alert(`Settings were not saved; these are too large to sync:\n${oversized.join('\n')}\nShorten them and save again.`);
+    return;
+  }
+
+  try {
+    await chrome.storage.sync.set(settings);
+  } catch (error) {
+    alert(`Settings were not saved:\n${error.message || error}`);
+    return;
+  }
 
   chrome.runtime.sendMessage(
     { type: 'UPDATE_SCHEDULE', mode: settings.schedule },
@@ -167,8 +703,9 @@ async function saveSettings(e) {
 }
 
 function triggerCleanup() {
-  chrome.storage.sync.get(['apiKey', 'baseUrl', 'deployment']).then(config => {
-    if (!config.apiKey || !config.baseUrl || !config.deployment) {
+  chrome.storage.sync.get(['apiKey', 'baseUrl', 'deployment', 'similarityEngine']).then(config => {
+    const local = (config.similarityEngine || (config.apiKey ? 'azure' : 'local')) === 'local';
+    if (!local && (!config.apiKey || !config.baseUrl || !config.deployment)) {
       alert('Please configure Azure OpenAI settings before running cleanup.');
       return;
     }
@@ -225,8 +762,59 @@ async function testConnection() {
 }
 
 form.scraping.addEventListener('change', handleScrapingToggleChange);
+form.similarityEngine.addEventListener('change', syncEngineRequirements);
 form.addEventListener('submit', saveSettings);
 runNow.addEventListener('click', triggerCleanup);
+addFolderPolicyBtn.addEventListener('click', addFolderPolicy);
+document.getElementById('addCategory').addEventListener('click', addCategory);
+// An unedited default taxonomy follows the tag language
+form.tagLanguage.addEventListener('change', () => {
+  if (isDefaultTaxonomy(readTaxonomy())) fillTaxonomy(defaultTaxonomy(form.tagLanguage.value));
+});
+document.getElementById('exportTaxonomy').addEventListener('click', exportTaxonomy);
+document.getElementById('importTaxonomy').addEventListener('click', () => taxonomyFile.click());
+taxonomyFile.addEventListener('change', () => {
+  importTaxonomy().catch(error => alert(`The taxonomy was not imported:\n${error.message || error}`));
+});
+
+// Keep the folder picker in step with the live bookmark tree. A cleanup run
+// retitles many bookmarks at once, so refreshes are debounced.
+let folderRefreshTimer = null;
+for (const event of ['onCreated', 'onRemoved', 'onChanged', 'onMoved', 'onImportEnded']) {
+  chrome.bookmarks[event]?.addListener(() => {
+    clearTimeout(folderRefreshTimer);
+    folderRefreshTimer = setTimeout(() => {
+      refreshFolderPicker().catch(error => console.warn('Failed to refresh folders:', error));
+    }, 250);
+  });
+}
+findTagVariantsBtn.addEventListener('click', findTagVariants);
+applyTagMergesBtn.addEventListener('click', () => {
+  const groups = tagMergeGroups.filter(g => g.accepted && g.canonical);
+  sendTagMergeCommand({ type: 'APPLY_TAG_MERGES', groups }, r => `Merged tags on ${r.changed} bookmark(s).`);
+});
+undoTagMergesBtn.addEventListener('click', () => {
+  sendTagMergeCommand({ type: 'UNDO_TAG_MERGES' }, r => `Restored the previous tags of ${r.restored} bookmark(s).`);
+});
+// The consolidation job finishes in the background and leaves its proposal in storage
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (TAG_MERGE_PROPOSAL_KEY in changes || TAG_MERGE_UNDO_KEY in changes)) {
+    refreshTagMerges().catch(error => console.warn('Failed to refresh tag merges:', error));
+  }
+  if (area === 'local' && TAG_EXAMPLES_KEY in changes) {
+    refreshTagExamples().catch(error => console.warn('Failed to refresh tag examples:', error));
+  }
+});
+clearTagExamplesBtn.addEventListener('click', () => {
+  if (confirm('Remove all tag examples?')) {
+    clearTagExamples().catch(error => console.warn('Failed to clear tag examples:', error));
+  }
+});
 testConnectionBtn.addEventListener('click', testConnection);
+calibrateBtn.addEventListener('click', runCalibration);
+form.sameDomainThreshold.addEventListener('input', renderHistogram);
+form.crossDomainThreshold.addEventListener('input', renderHistogram);
+document.getElementById('saveThresholds').addEventListener('click', () => saveThresholds());
+document.getElementById('resetThresholds').addEventListener('click', () => saveThresholds(true));
 
 loadSettings().catch(error => console.error('Failed to load settings:', error));
@@ -61,17 +61,40 @@ const styles = {
 } as const;
 
 // Types
-interface Duplicate {
+interface ClusterMember {
   id: string;
-  url: string;
   title: string;
-  tags?: string[];
+  url: string;
+  parentId?: string;
+  dateAdded?: number;
+}
+
+// Why two bookmarks were linked; see utils/duplicateReasons.js
+interface DuplicateReason {
+  type: 'exact' | 'normalized' | 'resolved' | 'semantic';
+  rules?: string[];
+  via?: 'redirect' | 'canonical';
+  resolvedUrl?: string;
+  similarity?: number;
+  threshold?: number;
+  scope?: 'same-domain' | 'cross-domain';
+  titleScore?: number;
+}
+
+interface DuplicateEdge {
+  a: string;
+  b: string;
   similarity: number;
-  duplicateOf?: {
-    id: string;
-    title: string;
-    url: string;
-  };
+  reason?: DuplicateReason;
+}
+
+interface DuplicateCluster {
+  id: string;
+  keeperId: string;
+  members: ClusterMember[];
+  similarities: DuplicateEdge[];
+  similarity: number;
+  keeperRule?: string;
 }
 
 interface BookmarkNode {
@@ -81,19 +104,137 @@ interface BookmarkNode {
   children?: BookmarkNode[];
 }
 
+// Low-confidence tagging result waiting for review; see utils/tagReviewQueue.js
+interface TagReviewEntry {
+  id: string;
+  title: string;
+  url: string;
+  tags: string[];
+  tagConfidence: Array<number | null>;
+  category: string | null;
+  categoryConfidence: number | null;
+  confidence: number | null;
+}
+
+interface RequestEstimate {
+  requests: number;
+  inputTokens: number;
+  outputTokens: number;
+}
+
+// Dry-run estimate of a cleanup run; see utils/costEstimator.js
+interface CleanupEstimate {
+  bookmarks: number;
+  uncachedUrls: number;
+  embeddingTokens: number;
+  localEmbeddings: boolean;
+  tagging: RequestEstimate;
+  folders: RequestEstimate;
+  summaries: RequestEstimate;
+  cost: { embedding: number; chat: number; total: number };
+  pricesSet: boolean;
+  budget: number | null;
+}
+
+// AI summary kept in the bookmarkEnhancement_<id> record; see summarizer.js
+interface BookmarkSummary {
+  summary: string;
+  keyPoints: string[];
+}
+
+// Ids of the bookmarks (not folders) in the tree
+function leafIds(nodes: BookmarkNode[]): string[] {
+  const ids: string[] = [];
+  const walk = (n: BookmarkNode) => {
+    if (n.url) ids.push(n.id);
+    (n.children ?? []).forEach(walk);
+  };
+  nodes.forEach(walk);
+  return ids;
+}
+
+// Bookmarks whose title, URL, summary or key points contain the query
+function searchBookmarks(nodes: BookmarkNode[], summaries: Record<string, BookmarkSummary>, query: string): BookmarkNode[] {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  const out: BookmarkNode[] = [];
+  const walk = (n: BookmarkNode) => {
+    if (n.url) {
+      const info = summaries[n.id];
+      const haystack = [n.title, n.url, info?.summary, ...(info?.keyPoints ?? [])].join('\n').toLowerCase();
+      if (haystack.includes(needle)) out.push(n);
+    }
+    (n.children ?? []).forEach(walk);
+  };
+  nodes.forEach(walk);
+  return out;
+}
+
 // JobSnapshot type is now managed by JobContext
 
+// Link between a member and the selected keeper; members only linked through
+// another bookmark fall back to their strongest link in the cluster.
+function edgeTo(cluster: DuplicateCluster, memberId: string, keeperId: string): DuplicateEdge | null {
+  let direct: DuplicateEdge | null = null;
+  let strongest: DuplicateEdge | null = null;
+  for (const edge of cluster.similarities || []) {
+    if (edge.a !== memberId && edge.b !== memberId) continue;
+    if (!strongest || edge.similarity > strongest.similarity) strongest = edge;
+    if ((edge.a === keeperId || edge.b === keeperId) && (!direct || edge.similarity > direct.similarity)) {
+      direct = edge;
+    }
+  }
+  return direct ?? strongest;
+}
+
+const percent = (value?: number) => Math.round((value ?? 0) * 100);
+const camelKey = (name: string) => name.replace(/-(\w)/g, (_, c: string) => c.toUpperCase());
+
+function describeReason(t: (key: string, vars?: Record<string, string | number>) => string, reason?: DuplicateReason): string {
+  if (!reason) return '';
+  let text: string;
+  switch (reason.type) {
+    case 'exact':
+      text = t('reviewQueue.reasons.exact');
+      break;
+    case 'normalized':
+      text = reason.rules?.length
+        ? t('reviewQueue.reasons.normalizedRules', {
+          rules: reason.rules.map(rule => t(`reviewQueue.reasons.rules.${camelKey(rule)}`)).join(', ')
+        })
+        : t('reviewQueue.reasons.normalized');
+      break;
+    case 'resolved':
+      text = t(reason.via === 'canonical' ? 'reviewQueue.reasons.canonical' : 'reviewQueue.reasons.redirect');
+      break;
+    case 'semantic':
+      text = t('reviewQueue.reasons.semantic', {
+        similarity: percent(reason.similarity),
+        threshold: percent(reason.threshold),
+        scope: t(`reviewQueue.reasons.scopes.${camelKey(reason.scope ?? 'cross-domain')}`)
+      });
+      break;
+    default:
+      return '';
+  }
+  if (typeof reason.titleScore === 'number') {
+    text += ` · ${t('reviewQueue.reasons.titleScore', { percent: percent(reason.titleScore) })}`;
+  }
+  return text;
+}
+
 // Review Queue Component
 function ReviewQueue() {
   const { t } = useI18n();
-  const [pending, setPending] = useState<Duplicate[]>([]);
+  const [pending, setPending] = useState<DuplicateCluster[]>([]);
+  const [keepers, setKeepers] = useState<Record<string, string>>({});
   const [filter, setFilter] = useState('');
   const [loading, setLoading] = useState(false);
 
   const refresh = () => {
     setLoading(true);
-    sendRuntimeMessageWithCallback<Duplicate[]>({ type: 'GET_PENDING' }, (data) => {
-      setPending(data || []);
+    sendRuntimeMessageWithCallback<DuplicateCluster[]>({ type: 'GET_PENDING' }, (data) => {
+      setPending(Array.isArray(data) ? data.filter(c => Array.isArray(c?.members)) : []);
       setLoading(false);
     });
   };
@@ -102,8 +243,13 @@ function ReviewQueue() {
     refresh();
   }, []);
 
-  const accept = (id: string) => {
-    sendRuntimeMessageWithCallback({ type: 'ACCEPT_MERGE', id }, () => refresh());
+  const keeperFor = (cluster: DuplicateCluster) => keepers[cluster.id] || cluster.keeperId;
+
+  const accept = (cluster: DuplicateCluster) => {
+    sendRuntimeMessageWithCallback(
+      { type: 'ACCEPT_MERGE', id: cluster.id, keeperId: keeperFor(cluster) },
+      () => refresh()
+    );
   };
 
   const reject = (id: string) => {
@@ -116,8 +262,9 @@ function ReviewQueue() {
     }
   };
 
-  const list = pending.filter(p =>
-    (p.title || '').toLowerCase().includes(filter.toLowerCase())
+  const query = filter.toLowerCase();
+  const list = pending.filter(c =>
+    c.members.some(m => (m.title || '').toLowerCase().includes(query))
   );
 
   return (
@@ -183,77 +330,395 @@ function ReviewQueue() {
       )}
 
       <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
-        {list.map((d) => (
-          <li
-            key={d.id}
-            style={{
-              border: `1px solid ${styles.colors.borderLight}`,
-              borderRadius: '4px',
-              padding: styles.spacing.md,
-              marginBottom: styles.spacing.sm,
-              background: styles.colors.background,
-              lineHeight: styles.typography.lineBody
-            }}
-          >
-            <strong style={{
-              fontWeight: styles.typography.weightSemibold,
-              color: styles.colors.text
-            }}>
-              {d.title}
+        {list.map((cluster) => {
+          const keeperId = keeperFor(cluster);
+          return (
+            <li
+              key={cluster.id}
+              data-testid="duplicate-cluster"
+              style={{
+                border: `1px solid ${styles.colors.borderLight}`,
+                borderRadius: '4px',
+                padding: styles.spacing.md,
+                marginBottom: styles.spacing.sm,
+                background: styles.colors.background,
+                lineHeight: styles.typography.lineBody
+              }}
+            >
+              <strong style={{
+                fontWeight: styles.typography.weightSemibold,
+                color: styles.colors.text
+              }}>
+                {t('reviewQueue.clusterTitle', { count: cluster.members.length })}
+              </strong>
+              {cluster.keeperRule && (
+                <>
+                  <br />
+                  <small style={{
+                    color: styles.colors.textMuted,
+                    fontSize: styles.typography.fontCaption
+                  }}>
+                    {t('reviewQueue.keeperRule', { rule: t(`reviewQueue.keeperRules.${cluster.keeperRule}`) })}
+                  </small>
+                </>
+              )}
+              <ul style={{ listStyle: 'none', padding: 0, margin: `${styles.spacing.sm} 0 0` }}>
+                {cluster.members.map((member) => {
+                  const edge = member.id === keeperId ? null : edgeTo(cluster, member.id, keeperId);
+                  return (
+                    <li key={member.id} style={{ marginBottom: styles.spacing.xs }}>
+                      <label style={{ display: 'flex', gap: styles.spacing.sm, alignItems: 'flex-start', cursor: 'pointer' }}>
+                        <input
+                          type="radio"
+                          name={`keeper-${cluster.id}`}
+                          checked={member.id === keeperId}
+                          onChange={() => setKeepers(prev => ({ ...prev, [cluster.id]: member.id }))}
+                          aria-label={t('reviewQueue.keepThis', { title: member.title || member.url })}
+                        />
+                        <span>
+                          <span style={{ color: styles.colors.text }}>{member.title || member.url}</span>
+                          <br />
+                          <small style={{
+                            color: styles.colors.textMuted,
+                            fontSize: styles.typography.fontCaption,
+                            lineHeight: styles.typography.lineBody
+                          }}>
+                            {member.url}
+                          </small>
+                          <br />
+                          <span style={{
+                            color: styles.colors.primary,
+                            fontSize: styles.typography.fontCaption
+                          }}>
+                            {member.id === keeperId
+                              ? t('reviewQueue.keeper')
+                              : t('reviewQueue.similarToKeeper', { percent: percent(edge?.similarity) })}
+                          </span>
+                          {edge?.reason && (
+                            <>
+                              <br />
+                              <small
+                                data-testid="duplicate-reason"
+                                title={edge.reason.resolvedUrl}
+                                style={{
+                                  color: styles.colors.textMuted,
+                                  fontSize: styles.typography.fontCaption
+                                }}
+                              >
+                                {describeReason(t, edge.reason)}
+                              </small>
+                            </>
+                          )}
+                        </span>
+                      </label>
+                    </li>
+                  );
+                })}
+              </ul>
+              <div style={{ marginTop: styles.spacing.sm }}>
+                <button
+                  onClick={() => accept(cluster)}
+                  style={{
+                    background: styles.colors.success,
+                    color: styles.colors.white,
+                    border: 'none',
+                    padding: `${styles.spacing.xs} ${styles.spacing.md}`,
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    marginRight: styles.spacing.sm,
+                    fontSize: styles.typography.fontBody,
+                    fontWeight: styles.typography.weightSemibold,
+                    lineHeight: styles.typography.lineBody
+                  }}
+                >
+                  {t('reviewQueue.accept')}
+                </button>
+                <button
+                  onClick={() => reject(cluster.id)}
+                  style={{
+                    background: styles.colors.danger,
+                    color: styles.colors.white,
+                    border: 'none',
+                    padding: `${styles.spacing.xs} ${styles.spacing.md}`,
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: styles.typography.fontBody,
+                    fontWeight: styles.typography.weightSemibold,
+                    lineHeight: styles.typography.lineBody
+                  }}
+                >
+                  {t('reviewQueue.reject')}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// Tag Review Component: tags the model was unsure about, held back until accepted
+function TagReviewQueue() {
+  const { t } = useI18n();
+  const [entries, setEntries] = useState<TagReviewEntry[]>([]);
+  const [edits, setEdits] = useState<Record<string, { tags: string; category: string }>>({});
+
+  const refresh = () => {
+    sendRuntimeMessageWithCallback<TagReviewEntry[]>({ type: 'GET_TAG_REVIEW_QUEUE' }, (data) => {
+      setEntries(Array.isArray(data) ? data : []);
+    });
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const stopEditing = (id: string) => {
+    setEdits(({ [id]: _done, ...rest }) => rest);
+  };
+
+  const accept = (entry: TagReviewEntry) => {
+    const edit = edits[entry.id];
+    const message = edit
+      ? { type: 'ACCEPT_TAG_REVIEW', id: entry.id, tags: edit.tags.split(','), category: edit.category }
+      : { type: 'ACCEPT_TAG_REVIEW', id: entry.id };
+    sendRuntimeMessageWithCallback(message, () => {
+      stopEditing(entry.id);
+      refresh();
+    });
+  };
+
+  const reject = (entry: TagReviewEntry) => {
+    sendRuntimeMessageWithCallback({ type: 'REJECT_TAG_REVIEW', id: entry.id }, () => {
+      stopEditing(entry.id);
+      refresh();
+    });
+  };
+
+  const startEditing = (entry: TagReviewEntry) => {
+    setEdits(prev => ({ ...prev, [entry.id]: { tags: entry.tags.join(', '), category: entry.category ?? '' } }));
+  };
+
+  const sure = (confidence: number | null | undefined) =>
+    (typeof confidence === 'number' ? ` (${t('tagReview.confidence', { percent: Math.round(confidence * 100) })})` : '');
+
+  const inputStyle = {
+    width: '100%',
+    padding: `${styles.spacing.xs} ${styles.spacing.sm}`,
+    marginTop: styles.spacing.xs,
+    marginBottom: styles.spacing.sm,
+    border: `1px solid ${styles.colors.borderLight}`,
+    borderRadius: '4px',
+    fontSize: styles.typography.fontBody,
+    lineHeight: styles.typography.lineBody
+  };
+
+  const buttonStyle = (background: string) => ({
+    background,
+    color: styles.colors.white,
+    border: 'none',
+    padding: `${styles.spacing.xs} ${styles.spacing.md}`,
+    borderRadius: '4px',
+    cursor: 'pointer',
+    marginRight: styles.spacing.sm,
+    fontSize: styles.typography.fontBody,
+    fontWeight: styles.typography.weightSemibold,
+    lineHeight: styles.typography.lineBody
+  });
+
+  if (!entries.length) return null;
+
+  return (
+    <div style={{ padding: styles.spacing.lg, paddingTop: 0 }}>
+      <h3 style={{
+        fontSize: styles.typography.fontSubtitle,
+        lineHeight: styles.typography.lineSubtitle,
+        fontWeight: styles.typography.weightSemibold,
+        color: styles.colors.text,
+        margin: 0,
+        marginBottom: styles.spacing.lg
+      }}>
+        {t('tagReview.title')} ({entries.length})
+      </h3>
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {entries.map((entry) => {
+          const edit = edits[entry.id];
+          return (
+            <li
+              key={entry.id}
+              data-testid="tag-review-entry"
+              style={{
+                border: `1px solid ${styles.colors.borderLight}`,
+                borderRadius: '4px',
+                padding: styles.spacing.md,
+                marginBottom: styles.spacing.sm,
+                background: styles.colors.background,
+                lineHeight: styles.typography.lineBody
+              }}
+            >
+              <strong style={{ fontWeight: styles.typography.weightSemibold, color: styles.colors.text }}>
+                {entry.title || entry.url}
+              </strong>
+              <br />
+              <small style={{ color: styles.colors.textMuted, fontSize: styles.typography.fontCaption }}>
+                {entry.url}
+              </small>
+
+              {edit ? (
+                <div style={{ marginTop: styles.spacing.sm }}>
+                  <label style={{ display: 'block', fontSize: styles.typography.fontCaption, color: styles.colors.text }}>
+                    {t('tagReview.tagsLabel')}
+                    <input
+                      type="text"
+                      value={edit.tags}
+                      onChange={e => setEdits(prev => ({ ...prev, [entry.id]: { ...edit, tags: e.target.value } }))}
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'block', fontSize: styles.typography.fontCaption, color: styles.colors.text }}>
+                    {t('tagReview.categoryLabel')}
+                    <input
+                      type="text"
+                      value={edit.category}
+                      onChange={e => setEdits(prev => ({ ...prev, [entry.id]: { ...edit, category: e.target.value } }))}
+                      style={inputStyle}
+                    />
+                  </label>
+                </div>
+              ) : (
+                <ul style={{ margin: `${styles.spacing.sm} 0`, paddingLeft: styles.spacing.lg, fontSize: styles.typography.fontCaption }}>
+                  {entry.tags.map((tag, i) => (
+                    <li key={tag}>#{tag}{sure(entry.tagConfidence[i])}</li>
+                  ))}
+                  <li>{t('tagReview.category', { category: entry.category ?? '' })}{sure(entry.categoryConfidence)}</li>
+                </ul>
+              )}
+
+              <div style={{ marginTop: styles.spacing.sm }}>
+                <button onClick={() => accept(entry)} style={buttonStyle(styles.colors.success)}>
+                  {t('tagReview.accept')}
+                </button>
+                <button
+                  onClick={() => (edit ? stopEditing(entry.id) : startEditing(entry))}
+                  style={buttonStyle(styles.colors.primary)}
+                >
+                  {edit ? t('tagReview.cancelEdit') : t('tagReview.edit')}
+                </button>
+                <button onClick={() => reject(entry)} style={buttonStyle(styles.colors.danger)}>
+                  {t('tagReview.reject')}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// Small amounts keep two significant digits instead of rounding to 0.00
+function formatCost(value: number): string {
+  return value > 0 && value < 0.01 ? value.toPrecision(2) : value.toFixed(2);
+}
+
+// Estimate of a cleanup run's tokens and cost, shown before it can be started
+function CleanupEstimatePanel() {
+  const { t } = useI18n();
+  const [estimate, setEstimate] = useState<CleanupEstimate | null>(null);
+  const [status, setStatus] = useState<'idle' | 'estimating' | 'failed' | 'started'>('idle');
+
+  const runEstimate = () => {
+    setStatus('estimating');
+    sendRuntimeMessageWithCallback<{ success: boolean; estimate?: CleanupEstimate }>({ type: 'ESTIMATE_CLEANUP' }, (res) => {
+      if (res?.success && res.estimate) {
+        setEstimate(res.estimate);
+        setStatus('idle');
+      } else {
+        setStatus('failed');
+      }
+    });
+  };
+
+  const run = () => {
+    setStatus('started');
+    setEstimate(null);
+    sendRuntimeMessageWithCallback({ type: 'RUN_NOW' }, () => {});
+  };
+
+  const tokens = (part: RequestEstimate) => (part.inputTokens + part.outputTokens).toLocaleString();
+  const buttonStyle = (background: string) => ({
+    background,
+    color: styles.colors.white,
+    border: 'none',
+    padding: `${styles.spacing.xs} ${styles.spacing.md}`,
+    borderRadius: '4px',
+    cursor: 'pointer',
+    marginRight: styles.spacing.sm,
+    fontSize: styles.typography.fontBody,
+    fontWeight: styles.typography.weightSemibold,
+    lineHeight: styles.typography.lineBody
+  });
+
+  return (
+    <div style={{ padding: styles.spacing.lg, paddingBottom: 0 }} data-testid="cleanup-estimate">
+      <h3 style={{
+        fontSize: styles.typography.fontSubtitle,
+        lineHeight: styles.typography.lineSubtitle,
+        fontWeight: styles.typography.weightSemibold,
+        color: styles.colors.text,
+        margin: 0,
+        marginBottom: styles.spacing.sm
+      }}>
+        {t('cleanupEstimate.title')}
+      </h3>
+
+      {estimate && (
+        <ul style={{ margin: `${styles.spacing.sm} 0`, paddingLeft: styles.spacing.lg, fontSize: styles.typography.fontCaption, lineHeight: styles.typography.lineBody }}>
+          <li>{t('cleanupEstimate.bookmarks', { bookmarks: estimate.bookmarks, uncached: estimate.uncachedUrls })}</li>
+          <li>
+            {t('cleanupEstimate.embedding', { tokens: estimate.embeddingTokens.toLocaleString() })}
+            {estimate.localEmbeddings && ` ${t('cleanupEstimate.embeddingLocal')}`}
+          </li>
+          <li>{t('cleanupEstimate.tagging', { requests: estimate.tagging.requests, tokens: tokens(estimate.tagging) })}</li>
+          <li>{t('cleanupEstimate.folders', { requests: estimate.folders.requests, tokens: tokens(estimate.folders) })}</li>
+          <li>{t('cleanupEstimate.summaries', { requests: estimate.summaries.requests, tokens: tokens(estimate.summaries) })}</li>
+          <li>
+            <strong>
+              {estimate.pricesSet
+                ? t('cleanupEstimate.cost', { cost: formatCost(estimate.cost.total) })
+                : t('cleanupEstimate.noPrices')}
             </strong>
-            <br />
-            <small style={{
-              color: styles.colors.textMuted,
-              fontSize: styles.typography.fontCaption,
-              lineHeight: styles.typography.lineBody
-            }}>
-              {d.url}
-            </small>
-            <br />
-            <span style={{
-              color: styles.colors.primary,
-              fontSize: styles.typography.fontCaption
-            }}>
-              {t('reviewQueue.similarText', { percent: d.similarity, title: d.duplicateOf?.title || '' })}
-            </span>
-            <div style={{ marginTop: styles.spacing.sm }}>
-              <button
-                onClick={() => accept(d.id)}
-                style={{
-                  background: styles.colors.success,
-                  color: styles.colors.white,
-                  border: 'none',
-                  padding: `${styles.spacing.xs} ${styles.spacing.md}`,
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  marginRight: styles.spacing.sm,
-                  fontSize: styles.typography.fontBody,
-                  fontWeight: styles.typography.weightSemibold,
-                  lineHeight: styles.typography.lineBody
-                }}
-              >
-                {t('reviewQueue.accept')}
-              </button>
-              <button
-                onClick={() => reject(d.id)}
-                style={{
-                  background: styles.colors.danger,
-                  color: styles.colors.white,
-                  border: 'none',
-                  padding: `${styles.spacing.xs} ${styles.spacing.md}`,
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  fontSize: styles.typography.fontBody,
-                  fontWeight: styles.typography.weightSemibold,
-                  lineHeight: styles.typography.lineBody
-                }}
-              >
-                {t('reviewQueue.reject')}
-              </button>
-            </div>
           </li>
-        ))}
-      </ul>
+          {estimate.budget != null && estimate.cost.total > estimate.budget && (
+            <li style={{ color: styles.colors.danger }}>
+              {t('cleanupEstimate.overBudget', { budget: formatCost(estimate.budget) })}
+            </li>
+          )}
+        </ul>
+      )}
+      {status === 'failed' && (
+        <p role="alert" style={{ color: styles.colors.danger, fontSize: styles.typography.fontCaption }}>
+          {t('cleanupEstimate.failed')}
+        </p>
+      )}
+      {status === 'started' && (
+        <p role="status" style={{ color: styles.colors.textMuted, fontSize: styles.typography.fontCaption }}>
+          {t('cleanupEstimate.started')}
+        </p>
+      )}
+
+      <div style={{ marginBottom: styles.spacing.lg }}>
+        <button onClick={runEstimate} disabled={status === 'estimating'} style={buttonStyle(styles.colors.primary)}>
+          {status === 'estimating' ? t('cleanupEstimate.estimating') : t('cleanupEstimate.estimate')}
+        </button>
+        {estimate && (
+          <button onClick={run} style={buttonStyle(styles.colors.success)}>
+            {t('cleanupEstimate.run')}
+          </button>
+        )}
+      </div>
     </div>
   );
 }
@@ -412,6 +877,8 @@ function AddForm() {
 function TreeView() {
   const { t } = useI18n();
   const [tree, setTree] = useState<BookmarkNode[]>([]);
+  const [summaries, setSummaries] = useState<Record<string, BookmarkSummary>>({});
+  const [query, setQuery] = useState('');
   const [loading, setLoading] = useState(false);
 
   const refresh = () => {
@@ -419,6 +886,10 @@ function TreeView() {
     sendRuntimeMessageWithCallback<BookmarkNode[]>({ type: 'GET_TREE' }, (data) => {
       setTree(data || []);
       setLoading(false);
+      sendRuntimeMessageWithCallback<Record<string, BookmarkSummary>>(
+        { type: 'GET_BOOKMARK_SUMMARIES', ids: leafIds(data ?? []) },
+        (summaryData) => setSummaries(summaryData ?? {})
+      );
     });
   };
 
@@ -442,6 +913,35 @@ function TreeView() {
     }
   };
 
+  const summarize = (node: BookmarkNode) => {
+    sendRuntimeMessageWithCallback<{ success: boolean; error?: string }>(
+      { type: 'SUMMARIZE_FOLDER', folderId: node.id },
+      (res) => {
+        alert(res?.success ? t('manageBookmarks.summarizeStarted') : (res?.error ?? t('manageBookmarks.summarizeFailed')));
+      }
+    );
+  };
+
+  const renderSummary = (n: BookmarkNode) => {
+    const info = summaries[n.id];
+    if (!info) return null;
+    return (
+      <div style={{
+        marginLeft: styles.spacing.lg,
+        fontSize: styles.typography.fontCaption,
+        lineHeight: styles.typography.lineCaption,
+        color: styles.colors.textSecondary
+      }}>
+        <p style={{ margin: `${styles.spacing.xs} 0` }}>{info.summary}</p>
+        {info.keyPoints.length > 0 && (
+          <ul aria-label={t('manageBookmarks.keyPoints')} style={{ margin: 0, paddingLeft: styles.spacing.lg }}>
+            {info.keyPoints.map((point, i) => <li key={i}>{point}</li>)}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
   const renderNode = (n: BookmarkNode) => (
     <li key={n.id} style={{
       marginBottom: styles.spacing.xs,
@@ -474,6 +974,26 @@ function TreeView() {
       >
         {t('manageBookmarks.delete')}
       </button>
+      {!n.url && n.children && n.children.length > 0 && (
+        <button
+          onClick={() => summarize(n)}
+          title={t('manageBookmarks.summarizeDescription')}
+          style={{
+            marginLeft: styles.spacing.xs,
+            background: styles.colors.primary,
+            color: styles.colors.white,
+            border: 'none',
+            padding: `2px ${styles.spacing.sm}`,
+            borderRadius: '3px',
+            cursor: 'pointer',
+            fontSize: styles.typography.fontCaption,
+            fontWeight: styles.typography.weightSemibold
+          }}
+        >
+          {t('manageBookmarks.summarize')}
+        </button>
+      )}
+      {renderSummary(n)}
       {n.children && n.children.length > 0 && (
         <ul style={{ marginLeft: '1.25rem' }}>
           {n.children.map(renderNode)}
@@ -482,6 +1002,8 @@ function TreeView() {
     </li>
   );
 
+  const results = searchBookmarks(tree, summaries, query);
+
   return (
     <div style={{ padding: styles.spacing.lg }}>
       <h3 style={{
@@ -495,11 +1017,41 @@ function TreeView() {
         {t('manageBookmarks.title')}
       </h3>
 
+      <input
+        type="search"
+        placeholder={t('manageBookmarks.searchPlaceholder')}
+        aria-label={t('manageBookmarks.searchPlaceholder')}
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: `${styles.spacing.xs} ${styles.spacing.sm}`,
+          marginBottom: styles.spacing.md,
+          border: `1px solid ${styles.colors.borderLight}`,
+          borderRadius: '4px',
+          fontSize: styles.typography.fontBody,
+          lineHeight: styles.typography.lineBody
+        }}
+      />
+
       {loading && <p style={{ lineHeight: styles.typography.lineBody }}>{t('manageBookmarks.loading')}</p>}
 
-      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
-        {tree.map(renderNode)}
-      </ul>
+      {query.trim() ? (
+        results.length ? (
+          <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+            {results.map(renderNode)}
+          </ul>
+        ) : (
+          <p style={{ lineHeight: styles.typography.lineBody, color: styles.colors.textMuted }}>
+            {t('manageBookmarks.noResults')}
+          </p>
+        )
+      ) : (
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {tree.map(renderNode)}
+        </ul>
+      )}
     </div>
   );
 }
@@ -753,7 +1305,13 @@ function AppContent() {
           minHeight: '400px', // Ensure adequate content area
         }}
       >
-        {tab === 'review' && <ReviewQueue />}
+        {tab === 'review' && (
+          <>
+            <CleanupEstimatePanel />
+            <ReviewQueue />
+            <TagReviewQueue />
+          </>
+        )}
         {tab === 'add' && <AddForm />}
         {tab === 'manage' && <TreeView />}
         {tab === 'io' && <ImportExport />}
@@ -27,7 +27,71 @@ export interface TranslationKeys {
     accept: string;
     reject: string;
     confirmAcceptAll: string;
-    similarText: string;
+    clusterTitle: string;
+    keeper: string;
+    keepThis: string;
+    similarToKeeper: string;
+    keeperRule: string;
+    keeperRules: {
+      first: string;
+      oldest: string;
+      newest: string;
+      shortestPath: string;
+      deepestPath: string;
+      preferredFolders: string;
+      https: string;
+      longestTitle: string;
+    };
+    reasons: {
+      exact: string;
+      normalized: string;
+      normalizedRules: string;
+      redirect: string;
+      canonical: string;
+      semantic: string;
+      titleScore: string;
+      scopes: {
+        sameDomain: string;
+        crossDomain: string;
+      };
+      rules: {
+        unwrap: string;
+        host: string;
+        path: string;
+        params: string;
+        queryOrder: string;
+        fragment: string;
+        case: string;
+      };
+    };
+  };
+  tagReview: {
+    title: string;
+    confidence: string;
+    category: string;
+    tagsLabel: string;
+    categoryLabel: string;
+    accept: string;
+    edit: string;
+    cancelEdit: string;
+    reject: string;
+  };
+  cleanupEstimate: {
+    title: string;
+    estimate: string;
+    estimating: string;
+    failed: string;
+    bookmarks: string;
+    embedding: string;
+    embeddingLocal: string;
+    tagging: string;
+    folders: string;
+    summaries: string;
+    cost: string;
+    noPrices: string;
+    overBudget: string;
+    run: string;
+    started: string;
   };
   addBookmark: {
     title: string;
@@ -50,6 +114,13 @@ export interface TranslationKeys {
     confirmDelete: string;
     newTitlePrompt: string;
     untitled: string;
+    summarize: string;
+    summarizeDescription: string;
+    summarizeStarted: string;
+    summarizeFailed: string;
+    keyPoints: string;
+    searchPlaceholder: string;
+    noResults: string;
   };
   importExport: {
     title: string;
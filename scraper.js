@@ -1,14 +1,16 @@
 import { ensureOffscreen } from './utils/offscreen.js';
 
-// Fetch page text via offscreen document with retry to avoid noisy
-// "message port closed" errors when the offscreen page isn't ready yet.
-export async function getPageText(url) {
-  if (!url) return '';
+// Fetch page text plus where the request ended up (after redirects), the
+// page's <link rel="canonical"> and its <html lang>, via the offscreen document. Retries avoid
+// noisy "message port closed" errors when the offscreen page isn't ready yet.
+export async function getPageInfo(url) {
+  const empty = { text: '', finalUrl: '', canonicalUrl: '', lang: '' };
+  if (!url) return empty;
   const MAX_ATTEMPTS = 3;
   try {
     await ensureOffscreen();
   } catch {
-    return '';
+    return empty;
   }
 
   return await new Promise((resolve) => {
@@ -22,12 +24,20 @@ export async function getPageText(url) {
             setTimeout(() => attempt(n + 1), 150 * (n + 1));
             return;
           }
-          return resolve('');
+          return resolve(empty);
+        }
+        if (res?.ok) {
+          resolve({ text: res.text || '', finalUrl: res.finalUrl || '', canonicalUrl: res.canonicalUrl || '', lang: res.lang || '' });
+        } else {
+          resolve(empty);
         }
-        if (res?.ok) resolve(res.text || '');
-        else resolve('');
       });
     };
     attempt(0);
   });
 }
+
+export async function getPageText(url) {
+  const { text } = await getPageInfo(url);
+  return text;
+}
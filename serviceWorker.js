@@ -1,18 +1,56 @@
 import { createOpenAI } from "./openaiClient.js";
-import { dedupeNodes } from "./embeddings.js";
-import { tagNodes } from "./tagger.js";
+import { LOCAL_SIMILARITY_THRESHOLD } from './lib/localEmbedder.js';
+import { dedupeNewNodes, dedupeNodes, resolveExpectedVectors, selectEmbedder } from './embeddings.js';
+import { estimateTagRequests, tagNodes } from './tagger.js';
+import { estimateSummaryRequests, summarizeNodes } from './summarizer.js';
 import { writeTags } from "./writer.js";
 import { addBookmark, editBookmark, deleteBookmark } from "./bookmarksCrud.js";
 import { exportBookmarks } from "./exporter.js";
 import { importHtml } from "./importer.js";
 import { createRateLimiter } from "./utils/rateLimiter.js";
-import { StorageManager } from "./utils/storageManager.js";
+import { StorageManager } from './utils/storageManager.js';
+import { CachedVectorIndex } from './utils/cachedVectorIndex.js';
+import { UrlResolutionCache } from './utils/urlResolutionCache.js';
+import { applyFolderPolicies, folderPolicyOf, loadBookmarkFolderPolicy, loadFolderPolicies } from './utils/folderPolicies.js';
 import { NotificationManager } from "./utils/notificationManager.js";
-import { suggestFolders } from "./utils/folderOrganizer.js";
+import { listFolderTitles, suggestFolders } from './utils/folderOrganizer.js';
 import { SyncManager } from "./utils/syncManager.js";
-import { makePairKey, normalizeUrlForKey } from "./utils/url.js";
+import { makePairKey, normalizeUrlForKey, PAIR_SEPARATOR } from './utils/url.js';
+import { normalizeReviewEntry } from './utils/duplicateClusters.js';
+import { loadCanonicalRules } from './utils/urlCanonicalizer.js';
+import { getTagEntry, migrateTitleTags, parseTagSuffix, removeTagEntries, saveTagEntries } from './utils/tagStore.js';
+import { loadTaxonomy, resolveCategory } from './utils/taxonomy.js';
+import { resolveTagLanguage } from './utils/languageDetector.js';
+import { applyTagMerges, undoTagMerges } from './utils/tagConsolidation.js';
+import { loadEnhancements, removeEnhancements, updateEnhancements } from './utils/bookmarkEnhancements.js';
+import {
+  cleanEditedTags,
+  loadTagReviewQueue,
+  needsTagReview,
+  queueTagReviews,
+  removeTagReviews,
+  resolveConfidenceThreshold
+} from './utils/tagReviewQueue.js';
+import {
+  buildHistogram,
+  loadSimilarityThresholds,
+  nearestNeighbourPairs,
+  samplePairs,
+  thresholdsFor
+} from './utils/thresholdCalibration.js';
+import { loadTagExamples, recordTagExamples, removeTagExamples } from './utils/tagExamples.js';
+import { loadTagRules } from './utils/tagRules.js';
+import {
+  buildCostEstimate,
+  COST_SETTING_KEYS,
+  estimateEmbeddingInput,
+  estimateFolderPrompts,
+  exceedsBudget,
+  resolveBudget,
+  resolvePrices
+} from './utils/costEstimator.js';
 import { initializeJobSystem, JobSystemCommands, getJobSystem } from "./background/jobSystem.js";
-import { registerImportJobStages, wireUrlIndexListeners, rebuildUrlIndex, ensureUrlIndexIntegrity, JOB_META_PREFIX, ENRICH_PAYLOAD_PREFIX } from "./background/importStages.js";
+import { registerImportJobStages, wireUrlIndexListeners, rebuildUrlIndex, ensureUrlIndexIntegrity, JOB_META_PREFIX, ENRICH_PAYLOAD_PREFIX, REEMBED_JOB_TYPE, REEMBED_TRIGGER_KEYS, TAG_CONSOLIDATION_JOB_TYPE, SUMMARIZE_JOB_TYPE } from './background/importStages.js';
 import { ConnectionTestStageExecutor } from './background/connectionStage.js';
 
 let reviewQueue = [];
@@ -38,11 +76,19 @@ const swLog = (...args) => {
 })();
 
 const IGNORE_STORAGE_KEY = "ignoredDuplicates";
+// Set when embedding settings changed while another job was active
+const REEMBED_PENDING_KEY = 'reembedPending';
 
 const initializationPromise = (async () => {
   try {
     const jobSystem = await initializeJobSystem();
-    registerImportJobStages(jobSystem);
+    registerImportJobStages(jobSystem, { storage: storageManager });
+    jobSystem.bus.subscribe('reembed', (event) => {
+      if (event.type === 'jobCompleted' || event.type === 'jobTerminated') {
+        queuePendingReembedJob().catch(e => console.warn('Failed to queue re-embed job:', e));
+      }
+    });
+    await loadCanonicalRules();
     wireUrlIndexListeners();
     const { urlIndex: existingIndex } = await chrome.storage.local.get("urlIndex");
     if (!existingIndex) {
@@ -50,6 +96,7 @@ const initializationPromise = (async () => {
     } else {
       await ensureUrlIndexIntegrity();
     }
+    await queuePendingReembedJob();
   } catch (error) {
     console.warn("Job system bootstrap failed:", error);
   }
@@ -68,6 +115,16 @@ const initializationPromise = (async () => {
   }
 })();
 
+// Copy ` -- #tag` title suffixes from earlier versions into the tag store once
+(async () => {
+  try {
+    const migrated = await migrateTitleTags();
+    if (migrated) swLog(`[ServiceWorker] Copied title tags of ${migrated} bookmark(s) into the tag store`);
+  } catch (error) {
+    console.warn('Failed to migrate title tags:', error);
+  }
+})();
+
 async function queueEnrichJob(bookmarkId) {
   if (!bookmarkId) return null;
 
@@ -93,6 +150,93 @@ async function queueEnrichJob(bookmarkId) {
   }
 }
 
+// Re-embed cached vectors after the embedding model or size changes. Only one
+// job runs at a time, so if one is active the re-embed waits for it to end.
+async function queueReembedJob() {
+  const { snapshot } = await JobSystemCommands.getJobStatus();
+  if (snapshot && ['queued', 'running', 'paused', 'cancelling'].includes(snapshot.status)) {
+    await chrome.storage.local.set({ [REEMBED_PENDING_KEY]: true });
+    return null;
+  }
+  await chrome.storage.local.remove(REEMBED_PENDING_KEY);
+
+  const result = await JobSystemCommands.startJob('manual', { metadata: { jobType: REEMBED_JOB_TYPE } });
+  if (!result.success || !result.jobId) {
+    return null;
+  }
+  try {
+    await chrome.storage.local.set({ [`${JOB_META_PREFIX}${result.jobId}`]: { type: REEMBED_JOB_TYPE } });
+    return result.jobId;
+  } catch (error) {
+    console.warn('Failed to persist re-embed job metadata:', error);
+    await JobSystemCommands.cancelJob().catch(() => {});
+    return null;
+  }
+}
+
+// Group tag variants into a merge proposal for the options page. Unlike the
+// re-embed job this is user-initiated, so it doesn't wait behind another job.
+async function queueTagConsolidationJob(useModel) {
+  const { snapshot } = await JobSystemCommands.getJobStatus();
+  if (snapshot && ['queued', 'running', 'paused', 'cancelling'].includes(snapshot.status)) {
+    return { success: false, error: 'Another job is running. Try again when it has finished.' };
+  }
+  const result = await JobSystemCommands.startJob('manual', { metadata: { jobType: TAG_CONSOLIDATION_JOB_TYPE } });
+  if (!result.success || !result.jobId) {
+    return { success: false, error: result.error || 'Failed to start tag consolidation' };
+  }
+  try {
+    await chrome.storage.local.set({
+      [`${JOB_META_PREFIX}${result.jobId}`]: { type: TAG_CONSOLIDATION_JOB_TYPE, useModel: useModel === true }
+    });
+    return { success: true, jobId: result.jobId };
+  } catch (error) {
+    console.warn('Failed to persist tag consolidation job metadata:', error);
+    await JobSystemCommands.cancelJob().catch(() => {});
+    return { success: false, error: error?.message || String(error) };
+  }
+}
+
+// Summaries for every bookmark in a folder, started from the popup
+async function queueSummarizeJob(folderId) {
+  if (folderId == null || folderId === '') {
+    return { success: false, error: 'No folder selected' };
+  }
+  const { snapshot } = await JobSystemCommands.getJobStatus();
+  if (snapshot && ['queued', 'running', 'paused', 'cancelling'].includes(snapshot.status)) {
+    return { success: false, error: 'Another job is running. Try again when it has finished.' };
+  }
+  const result = await JobSystemCommands.startJob('manual', { metadata: { jobType: SUMMARIZE_JOB_TYPE } });
+  if (!result.success || !result.jobId) {
+    return { success: false, error: result.error || 'Failed to start summaries' };
+  }
+  try {
+    await chrome.storage.local.set({
+      [`${JOB_META_PREFIX}${result.jobId}`]: { type: SUMMARIZE_JOB_TYPE, folderId: String(folderId) }
+    });
+    return { success: true, jobId: result.jobId };
+  } catch (error) {
+    console.warn('Failed to persist summarize job metadata:', error);
+    await JobSystemCommands.cancelJob().catch(() => {});
+    return { success: false, error: error?.message || String(error) };
+  }
+}
+
+async function queuePendingReembedJob() {
+  const { [REEMBED_PENDING_KEY]: pending } = await chrome.storage.local.get(REEMBED_PENDING_KEY);
+  if (pending) await queueReembedJob();
+}
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'sync' || !REEMBED_TRIGGER_KEYS.some(key => key in changes)) return;
+  await initializationPromise;
+  try {
+    await queueReembedJob();
+  } catch (e) {
+    console.warn('Failed to queue re-embed job:', e);
+  }
+});
+
 async function isDuplicateUrl(url) {
   if (!url) return false;
   const normalized = normalizeUrlForKey(url);
@@ -109,18 +253,43 @@ async function isDuplicateUrl(url) {
 
 async function loadQueue() {
   const { reviewQueue: stored } = await chrome.storage.local.get('reviewQueue');
-  reviewQueue = stored || [];
+  // Entries are duplicate clusters; older pairwise entries are upgraded on read.
+  reviewQueue = (stored || []).map(normalizeReviewEntry).filter(Boolean);
 }
 
 async function saveQueue() {
   await chrome.storage.local.set({ reviewQueue });
 }
 
+// Review entries carry the weakest link in the cluster as a percentage
+function toReviewEntry(cluster) {
+  return {
+    ...cluster,
+    similarity: Math.round(Math.min(...cluster.similarities.map(e => e.similarity)) * 100)
+  };
+}
+
+async function deleteClusterDuplicates(cluster, keeperId = cluster.keeperId) {
+  const keeper = cluster.members.some(m => m.id === keeperId) ? keeperId : cluster.keeperId;
+  for (const member of cluster.members) {
+    if (member.id === keeper) continue;
+    try {
+      await deleteBookmark(member.id);
+    } catch (e) {
+      console.warn('Failed to delete accepted duplicate:', e);
+    }
+  }
+}
+
 async function loadIgnorePairs(force = false) {
   if (!ignorePairsCache || force) {
     const { [IGNORE_STORAGE_KEY]: stored } = await chrome.storage.local.get(IGNORE_STORAGE_KEY);
     const list = Array.isArray(stored) ? stored : [];
-    ignorePairsCache = new Set(list);
+    // Re-key pairs under the current canonicalization rules
+    ignorePairsCache = new Set(list.map((key) => {
+      const [a, b] = String(key).split(PAIR_SEPARATOR);
+      return (b && makePairKey(a, b)) || key;
+    }));
   }
   return ignorePairsCache;
 }
@@ -191,6 +360,173 @@ function scheduleAlarm(mode) {
   });
 }
 
+// Every bookmark in tree order. folderPath (ancestor folder titles) feeds the
+// path-based keeper rules; ancestorIds feeds the per-folder policies.
+async function loadBookmarkLeaves() {
+  const roots = await chrome.bookmarks.getTree();
+  const leaves = [];
+  const walk = (n, path = [], ancestorIds = []) => {
+    if (n.children && n.children.length) {
+      const childPath = n.title ? [...path, n.title] : path;
+      n.children.forEach(c => walk(c, childPath, [...ancestorIds, n.id]));
+    } else if (n.url) {
+      leaves.push({ ...n, folderPath: path, ancestorIds });
+    }
+  };
+  roots.forEach(r => walk(r));
+  return leaves;
+}
+
+// Write a tagging result from the review queue, with the user's edits if any.
+// The bookmark's current title is used, since it may have changed since.
+// The entry stays queued until everything is written, so a failure can be
+// retried from the popup
+async function acceptTagReview(id, { tags, category } = {}) {
+  const entry = (await loadTagReviewQueue()).find(e => e.id === String(id));
+  if (!entry) return false;
+  const [node] = await chrome.bookmarks.get(String(id)).catch(() => []);
+  if (!node) {
+    await removeTagReviews([id]);
+    return false;
+  }
+
+  const cfg = await chrome.storage.sync.get(['tagTitles', 'tagLanguage', 'apiKey', 'baseUrl', 'deployment', 'apiVersion']);
+  const editedTags = Array.isArray(tags);
+  const editedCategory = typeof category === 'string' && category !== entry.category;
+  const item = {
+    id: node.id,
+    title: node.title,
+    tags: editedTags ? cleanEditedTags(tags) : entry.tags,
+    category: editedCategory ? resolveCategory(category, await loadTaxonomy(resolveTagLanguage(cfg.tagLanguage))) : entry.category
+  };
+  const edited = editedTags || editedCategory;
+  await writeTags([item], [], { titleTags: cfg.tagTitles ?? true, source: edited ? 'user' : 'ai' });
+  if (edited) {
+    try {
+      await recordTagExamples([{ ...item, title: parseTagSuffix(node.title).title, url: node.url }]);
+    } catch (e) {
+      console.warn('Failed to record tag example:', e);
+    }
+  }
+
+  // The enrich job left these out of the enhancement record until review
+  if (entry.enrich) {
+    const update = { id: node.id, tags: item.tags, category: item.category || '' };
+    const { openai } = selectEmbedder(cfg);
+    if (openai && !(await loadBookmarkFolderPolicy(node)).noMoves) {
+      try {
+        update.suggestedFolder = await suggestFolders({ ...item, url: node.url }, openai);
+      } catch (folderError) {
+        console.warn('Folder suggestion failed:', folderError);
+      }
+    }
+    await updateEnhancements([update]);
+  }
+  await removeTagReviews([id]);
+  return true;
+}
+
+const sameTags = (a, b) => a.map(t => t.toLowerCase()).sort().join(' ') === b.map(t => t.toLowerCase()).sort().join(' ');
+
+// A title edit that changes the ` -- #tag` suffix corrects the tags: they are
+// stored as the user's and recorded as a tagging example.
+async function updateBookmark(id, changes) {
+  const [before] = typeof changes?.title === 'string' ? await chrome.bookmarks.get(String(id)).catch(() => []) : [];
+  const result = await editBookmark(id, changes);
+  const { title, tags } = parseTagSuffix(changes?.title);
+  if (before && tags.length && !sameTags(parseTagSuffix(before.title).tags, tags)) {
+    try {
+      const item = { id: before.id, title, url: before.url, tags, category: (await getTagEntry(before.id))?.category || null };
+      await saveTagEntries([item], 'user');
+      await recordTagExamples([item]);
+    } catch (e) {
+      console.warn('Failed to record tag edit:', e);
+    }
+  }
+  return result;
+}
+
+// Calibrated thresholds for the embedder's model, or the defaults
+async function similarityThresholds(embedder, useLocal) {
+  return thresholdsFor(
+    await loadSimilarityThresholds(),
+    embedder.embeddingModel,
+    useLocal ? LOCAL_SIMILARITY_THRESHOLD : 0.90 // Align with README
+  );
+}
+
+// Settings runCleanup reads
+const CLEANUP_SETTING_KEYS = [
+  'apiKey', 'baseUrl', 'deployment', 'embeddingDeployment', 'embeddingDimensions',
+  'apiVersion', 'enableScraping', 'previewMode', 'keeperPolicy',
+  'similarityEngine', 'vectorEncoding', 'vectorBudgetMb', 'tagTitles',
+  'taggingMaxTokens', 'summarizeBookmarks', 'tagLanguage', 'tagConfidenceThreshold'
+];
+
+// Tokens and cost a cleanup run would take, without fetching pages or calling
+// the model. Every bookmark in scope is counted, since duplicates aren't known
+// until the run.
+async function estimateCleanup() {
+  const cfg = await chrome.storage.sync.get([...CLEANUP_SETTING_KEYS, ...COST_SETTING_KEYS]);
+  const { openai, embedder, useLocal } = selectEmbedder(cfg);
+  const scoped = applyFolderPolicies(await loadBookmarkLeaves(), await loadFolderPolicies());
+  const scrape = cfg.enableScraping !== false;
+  // A dry run sends nothing to the model, not even to learn the embedding size
+  const expected = await resolveExpectedVectors(embedder, storageManager, { probe: false });
+  const cachedUrls = await storageManager.listCurrentHashes(expected);
+  const parts = {
+    bookmarks: scoped.length,
+    embedding: estimateEmbeddingInput(scoped.filter(n => !folderPolicyOf(n).noDedupe), { cachedUrls, scrape }),
+    localEmbeddings: useLocal
+  };
+
+  if (openai) {
+    const pageCache = await new UrlResolutionCache().load();
+    const tagLanguage = resolveTagLanguage(cfg.tagLanguage);
+    parts.tagging = estimateTagRequests(scoped, {
+      taxonomy: await loadTaxonomy(tagLanguage),
+      language: tagLanguage,
+      pageCache: scrape ? pageCache : null,
+      rules: await loadTagRules(),
+      examples: await loadTagExamples(),
+      maxBatchTokens: cfg.taggingMaxTokens
+    });
+    const movable = scoped.filter(n => !folderPolicyOf(n).noTagging && !folderPolicyOf(n).noMoves);
+    parts.folders = estimateFolderPrompts(movable, listFolderTitles(await chrome.bookmarks.getTree()));
+    if (scrape && cfg.summarizeBookmarks !== false) {
+      const existing = await loadEnhancements(scoped.map(n => String(n.id)));
+      const pending = scoped.filter(n => !existing[n.id]?.summary);
+      parts.summaries = estimateSummaryRequests(pending, { pageCache, language: tagLanguage, expectText: true });
+    }
+  }
+  return { ...buildCostEstimate(parts, resolvePrices(cfg)), budget: resolveBudget(cfg.cleanupBudget) };
+}
+
+// Scheduled runs are skipped when their estimate goes over the budget. An
+// estimate that fails also skips the run, since the budget can't be checked.
+async function runScheduledCleanup() {
+  const { cleanupBudget } = await chrome.storage.sync.get('cleanupBudget');
+  const budget = resolveBudget(cleanupBudget);
+  if (budget != null) {
+    let message = null;
+    try {
+      const estimate = await estimateCleanup();
+      if (exceedsBudget(estimate, budget)) {
+        message = `Estimated cost ${estimate.cost.total.toFixed(2)} is over the budget of ${budget.toFixed(2)}.`;
+      }
+    } catch (e) {
+      console.warn('Cleanup cost estimate failed:', e);
+      message = 'The cost of the run could not be estimated.';
+    }
+    if (message) {
+      console.warn(`Scheduled cleanup skipped: ${message}`);
+      await new NotificationManager().showNotice('Scheduled Cleanup Skipped', message);
+      return;
+    }
+  }
+  await runCleanup();
+}
+
 // Main cleanup orchestrator
 async function runCleanup() {
   if (cleanupTask) {
@@ -204,19 +540,15 @@ async function runCleanup() {
   }
 
   const task = (async () => {
-    const cfg = await chrome.storage.sync.get([
-      "apiKey", "baseUrl", "deployment", "embeddingDeployment",
-      "apiVersion", "enableScraping", "deviceOnly", "previewMode"
-    ]);
-
-    if (!cfg.apiKey) {
-      console.warn("Azure API key not set");
-      return;
-    }
+    const cfg = await chrome.storage.sync.get(CLEANUP_SETTING_KEYS);
 
-    const openai = createOpenAI(cfg);
+    // Without Azure credentials dedupe falls back to the offline lexical engine
+    // and tagging/folder suggestions are skipped.
+    const { openai, embedder, useLocal } = selectEmbedder(cfg);
+    const thresholds = await similarityThresholds(embedder, useLocal);
     const notifier = new NotificationManager();
     const storage = storageManager;
+    storage.configure({ encoding: cfg.vectorEncoding, maxBytes: cfg.vectorBudgetMb * 1024 * 1024 });
     const limiter = createRateLimiter(8);
     const ignorePairs = await loadIgnorePairs(true);
 
@@ -267,16 +599,8 @@ async function runCleanup() {
       await notifier.ensureProgress('Starting cleanup...');
 
       // Get all bookmarks
-      const roots = await chrome.bookmarks.getTree();
-      const leaves = [];
-      const walk = (n) => {
-        if (n.children && n.children.length) {
-          n.children.forEach(walk);
-        } else if (n.url) {
-          leaves.push(n);
-        }
-      };
-      roots.forEach(walk);
+      const leaves = await loadBookmarkLeaves();
+      const scopedLeaves = applyFolderPolicies(leaves, await loadFolderPolicies());
       const total = leaves.length;
 
       // Seed popup with initial scanning stage
@@ -285,59 +609,104 @@ async function runCleanup() {
       } catch {}
 
       // Dedupe
-      const { keep, dupes } = await dedupeNodes(leaves, openai, {
-        threshold: 0.90, // Align with README
-        localOnly: cfg.deviceOnly,
+      const pageCache = await new UrlResolutionCache().load();
+      const { keep, dupes, clusters } = await dedupeNodes(scopedLeaves, embedder, {
+        threshold: thresholds.sameDomain,
+        crossDomainThreshold: thresholds.crossDomain,
         notifier,
         total,
         limiter,
         storage,
         enableScraping: cfg.enableScraping !== false,
-        ignorePairs
+        ignorePairs,
+        keeperPolicy: cfg.keeperPolicy,
+        pageCache
       });
+      await pageCache.save();
 
       // Stage: grouping (complete)
-      await setSnapshot('grouping', 1, 1, `Found ${dupes.length} duplicate(s)`, { indeterminate: false });
-// Tag
-const resolveTotal = (keep.length || 0) * 2 || 1;
-let resolveProcessed = 0;
-let tagged = await tagNodes(keep, openai, {
-  onProgress: (i, totalI) => {
-    resolveProcessed = Math.min(resolveTotal, i);
-    try { setSnapshot('resolving', resolveProcessed, resolveTotal, `Tagging ${i}/${totalI}`, { indeterminate: false }); } catch {}
-  }
-});
+      await setSnapshot('grouping', 1, 1, `Found ${dupes.length} duplicate(s) in ${clusters.length} cluster(s)`, { indeterminate: false });
+      // Summaries come from cached page text, so they need scraping
+      const summarize = Boolean(openai) && cfg.enableScraping !== false && cfg.summarizeBookmarks !== false;
+      // Tag
+      const resolveTotal = (keep.length || 0) * (summarize ? 3 : 2) || 1;
+      let resolveProcessed = 0;
+      const tagLanguage = resolveTagLanguage(cfg.tagLanguage);
+      const tagExamples = openai ? await loadTagExamples() : [];
+      const tagged = openai
+        ? await tagNodes(keep, openai, {
+          taxonomy: await loadTaxonomy(tagLanguage),
+          language: tagLanguage,
+          pageCache: cfg.enableScraping !== false ? pageCache : null,
+          rules: await loadTagRules(),
+          examples: tagExamples,
+          // Vectors were just cached by dedupe
+          vectors: tagExamples.length
+            ? await storage.getVectors([...keep, ...tagExamples].map(item => item.url), await resolveExpectedVectors(embedder, storage))
+            : null,
+          maxBatchTokens: cfg.taggingMaxTokens,
+          onProgress: (i, totalI) => {
+            resolveProcessed = Math.min(resolveTotal, i);
+            try { setSnapshot('resolving', resolveProcessed, resolveTotal, `Tagging ${i}/${totalI}`, { indeterminate: false }); } catch {}
+          }
+        })
+        : [];
 
+      try {
+        await updateEnhancements(tagged.filter(n => n.language).map(n => ({ id: n.id, language: n.language })));
+      } catch (e) {
+        console.warn('Failed to store page languages:', e);
+      }
 
       // Suggest folders
       for (let i = 0; i < tagged.length; i++) {
         const item = tagged[i];
-        try {
-          item.suggestedFolder = await suggestFolders(item, openai);
-        } catch (e) {
-          console.warn(`Folder suggestion failed for ${item.id}:`, e);
+        // Folders excluded from moves get no suggestion
+        if (!folderPolicyOf(item).noMoves) {
+          try {
+            item.suggestedFolder = await suggestFolders(item, openai);
+          } catch (e) {
+            console.warn(`Folder suggestion failed for ${item.id}:`, e);
+          }
         }
         resolveProcessed = (keep.length || 0) + (i + 1);
         await setSnapshot('resolving', resolveProcessed, resolveTotal, `Suggesting folders ${i + 1}/${tagged.length}`, { indeterminate: false });
       }
 
+      // Summarize bookmarks that don't have a summary yet
+      if (summarize) {
+        try {
+          const existing = await loadEnhancements(keep.map(n => String(n.id)));
+          const pending = keep.filter(n => !existing[n.id]?.summary);
+          const summaries = await summarizeNodes(pending, openai, {
+            pageCache,
+            limiter,
+            language: tagLanguage,
+            onProgress: (i, totalI) => {
+              resolveProcessed = (keep.length || 0) * 2 + Math.round((keep.length || 0) * (totalI ? i / totalI : 1));
+              try { setSnapshot('resolving', resolveProcessed, resolveTotal, `Summarizing ${i}/${totalI}`, { indeterminate: false }); } catch {}
+            }
+          });
+          await updateEnhancements(summaries);
+        } catch (e) {
+          console.warn('Summaries failed:', e);
+        }
+      }
+
       if (cfg.previewMode) {
         // Save to review queue
-        reviewQueue = dupes.map(d => ({
-          id: d.id,
-          url: d.url,
-          title: d.title,
-          tags: d.tags,
-          similarity: Math.round((d.similarity || 0) * 100),
-          duplicateOf: d.duplicateOf
-        }));
+        reviewQueue = clusters.map(toReviewEntry);
         await saveQueue();
         await setSnapshot('summarizing', 1, 1, 'Creating summary…', { indeterminate: false });
         await notifier.showComplete({ total, duplicates: dupes.length });
       } else {
         // Auto-apply changes
         await setSnapshot('resolving', resolveTotal - 1, resolveTotal, 'Applying changes…', { indeterminate: false });
-        await writeTags(tagged, dupes);
+        // Low-confidence tags wait in the tag review queue instead
+        const threshold = resolveConfidenceThreshold(cfg.tagConfidenceThreshold);
+        const uncertain = tagged.filter(item => needsTagReview(item, threshold));
+        await queueTagReviews(uncertain);
+        await writeTags(tagged.filter(item => !uncertain.includes(item)), dupes, { titleTags: cfg.tagTitles ?? true });
         await setSnapshot('resolving', resolveTotal, resolveTotal, 'Applied changes', { indeterminate: false });
         await setSnapshot('summarizing', 1, 1, 'Creating summary…', { indeterminate: false });
         await notifier.showComplete({ total, duplicates: dupes.length });
@@ -366,9 +735,134 @@ let tagged = await tagNodes(keep, openai, {
   return task;
 }
 
+// Nearest-neighbour similarity distribution over the cached vectors of the
+// current embedding model, for picking thresholds on the options page
+async function calibrateThresholds() {
+  const cfg = await chrome.storage.sync.get([
+    'apiKey', 'baseUrl', 'deployment', 'embeddingDeployment', 'embeddingDimensions',
+    'apiVersion', 'similarityEngine'
+  ]);
+  const { embedder, useLocal } = selectEmbedder(cfg);
+  const expected = await resolveExpectedVectors(embedder, storageManager);
+  const cached = await storageManager.getCurrentVectors(expected);
+  const leaves = await loadBookmarkLeaves();
+
+  // Cached vectors are per URL, so each URL is counted once
+  const entries = [];
+  const seen = new Set();
+  for (const node of applyFolderPolicies(leaves, await loadFolderPolicies())) {
+    if (seen.has(node.url) || folderPolicyOf(node).noDedupe) continue;
+    seen.add(node.url);
+    const vector = cached.get(node.url);
+    if (vector) entries.push({ id: node.id, title: node.title, url: node.url, vector });
+  }
+
+  const pairs = nearestNeighbourPairs(entries);
+  const current = await similarityThresholds(embedder, useLocal);
+  const cutoffs = [...new Set([-0.1, -0.05, 0, 0.05].map(d => Math.round((current.sameDomain + d) * 100) / 100))]
+    .filter(c => c > 0 && c < 1);
+  return {
+    model: expected.model,
+    bookmarks: leaves.length,
+    vectors: entries.length,
+    histogram: buildHistogram(pairs),
+    samples: samplePairs(pairs, cutoffs),
+    thresholds: current
+  };
+}
+
+// Incremental dedupe: bookmarks created since the last check are looked up in
+// an index over the cached vectors of all the others (see dedupeNewNodes). Creations are
+// batched briefly; bulk additions such as imports are left to the scheduled
+// cleanup.
+const INCREMENTAL_DEDUPE_DELAY_MS = 2000;
+const INCREMENTAL_DEDUPE_MAX_BATCH = 20;
+const createdSinceCheck = new Set();
+// Kept between checks so the cached vectors are read once per worker lifetime
+const incrementalIndex = new CachedVectorIndex(storageManager);
+let incrementalTimer = null;
+let incrementalTask = Promise.resolve();
+
+function scheduleIncrementalDedupe(id) {
+  createdSinceCheck.add(id);
+  clearTimeout(incrementalTimer);
+  incrementalTimer = setTimeout(() => {
+    const ids = [...createdSinceCheck];
+    createdSinceCheck.clear();
+    incrementalTask = incrementalTask
+      .then(() => runIncrementalDedupe(ids))
+      .catch(e => console.warn('Incremental dedupe failed:', e));
+  }, INCREMENTAL_DEDUPE_DELAY_MS);
+}
+
+async function runIncrementalDedupe(ids) {
+  if (importInProgress || ids.length > INCREMENTAL_DEDUPE_MAX_BATCH) return;
+  const cfg = await chrome.storage.sync.get([
+    'apiKey', 'baseUrl', 'deployment', 'embeddingDeployment', 'embeddingDimensions',
+    'apiVersion', 'enableScraping', 'keeperPolicy', 'similarityEngine',
+    'vectorEncoding', 'vectorBudgetMb', 'incrementalDedupe'
+  ]);
+  if (cfg.incrementalDedupe === false) return;
+
+  const leaves = applyFolderPolicies(await loadBookmarkLeaves(), await loadFolderPolicies());
+  const created = new Set(ids);
+  const added = leaves.filter(n => created.has(n.id));
+  if (!added.length) return;
+
+  const { embedder, useLocal } = selectEmbedder(cfg);
+  const thresholds = await similarityThresholds(embedder, useLocal);
+  storageManager.configure({ encoding: cfg.vectorEncoding, maxBytes: cfg.vectorBudgetMb * 1024 * 1024 });
+  const urls = leaves.filter(n => !created.has(n.id) && !folderPolicyOf(n).noDedupe).map(n => n.url);
+  await incrementalIndex.load(urls, await resolveExpectedVectors(embedder, storageManager));
+  const pageCache = await new UrlResolutionCache().load();
+  const clusters = await dedupeNewNodes(added, leaves, embedder, {
+    threshold: thresholds.sameDomain,
+    crossDomainThreshold: thresholds.crossDomain,
+    limiter: createRateLimiter(4),
+    storage: storageManager,
+    enableScraping: cfg.enableScraping !== false,
+    ignorePairs: await loadIgnorePairs(),
+    keeperPolicy: cfg.keeperPolicy,
+    pageCache,
+    index: incrementalIndex
+  });
+  await pageCache.save();
+  if (!clusters.length) return;
+
+  // New bookmarks that duplicate a member of a pending cluster join it where
+  // it is in the queue; other clusters are queued
+  await loadQueue();
+  for (const cluster of clusters) {
+    const ids = new Set(cluster.members.map(m => m.id));
+    const pos = reviewQueue.findIndex(e => e.members.some(m => ids.has(m.id)));
+    if (pos === -1) {
+      reviewQueue.push(toReviewEntry(cluster));
+      continue;
+    }
+    const pending = reviewQueue[pos];
+    const known = new Set(pending.members.map(m => m.id));
+    reviewQueue[pos] = toReviewEntry({
+      ...pending,
+      members: [...pending.members, ...cluster.members.filter(m => !known.has(m.id))],
+      similarities: [...pending.similarities, ...cluster.similarities]
+    });
+  }
+  await saveQueue();
+
+  const notifier = new NotificationManager();
+  for (const node of added) {
+    const cluster = clusters.find(c => c.members.some(m => m.id === node.id));
+    if (!cluster) continue;
+    const others = cluster.members.filter(m => m.id !== node.id);
+    await notifier.showDuplicateFound(node, others.find(m => m.id === cluster.keeperId) || others[0]);
+  }
+}
+
 // Alarm listener
 chrome.alarms.onAlarm.addListener(async ({ name }) => {
-  if (name === "nightly-clean") await runCleanup();
+  // The alarm can wake the worker; wait for the URL rules and index first
+  await initializationPromise;
+  if (name === 'nightly-clean') await runScheduledCleanup();
 });
 
 // Message handler
@@ -401,33 +895,57 @@ chrome.runtime.onMessage.addListener((msg, _sender, reply) => {
           safeReply(reviewQueue);
           return;
 
+        case 'ESTIMATE_CLEANUP':
+          safeReply({ success: true, estimate: await estimateCleanup() });
+          return;
+
         case "ACCEPT_MERGE": {
+          // Keep one member of the cluster (msg.keeperId or the proposed keeper) and delete the rest
           const entry = reviewQueue.find(x => x.id === msg.id);
           reviewQueue = reviewQueue.filter(x => x.id !== msg.id);
           await saveQueue();
-          if (entry?.id) {
-            try { await deleteBookmark(entry.id); } catch (e) { console.warn('Failed to delete accepted duplicate:', e); }
+          if (entry) {
+            await deleteClusterDuplicates(entry, msg.keeperId);
           }
           safeReply(true);
           return;
         }
 
         case "REJECT_MERGE": {
+          // Not duplicates: remember every linked pair so the cluster is not proposed again
           const entry = reviewQueue.find(x => x.id === msg.id);
           reviewQueue = reviewQueue.filter(x => x.id !== msg.id);
           await saveQueue();
-          if (entry?.url && entry?.duplicateOf?.url) {
-            await addIgnoredPair(entry.url, entry.duplicateOf.url);
+          if (entry) {
+            const urls = new Map(entry.members.map(m => [m.id, m.url]));
+            for (const { a, b } of entry.similarities || []) {
+              if (urls.get(a) && urls.get(b)) {
+                await addIgnoredPair(urls.get(a), urls.get(b));
+              }
+            }
           }
           safeReply(true);
           return;
         }
 
+        case 'GET_TAG_REVIEW_QUEUE':
+          safeReply(await loadTagReviewQueue());
+          return;
+
+        case 'ACCEPT_TAG_REVIEW':
+          safeReply(await acceptTagReview(msg.id, { tags: msg.tags, category: msg.category }));
+          return;
+
+        case 'REJECT_TAG_REVIEW':
+          await removeTagReviews([msg.id]);
+          safeReply(true);
+          return;
+
         case "ACCEPT_ALL": {
           const entries = reviewQueue.slice();
           reviewQueue = [];
           await saveQueue();
-          await Promise.all(entries.map(e => deleteBookmark(e.id).catch(() => {})));
+          await Promise.all(entries.map(e => deleteClusterDuplicates(e)));
           safeReply(true);
           return;
         }
@@ -459,7 +977,7 @@ chrome.runtime.onMessage.addListener((msg, _sender, reply) => {
         }
 
         case "UPDATE_BOOKMARK":
-          safeReply(await editBookmark(msg.id, msg.changes));
+          safeReply(await updateBookmark(msg.id, msg.changes));
           return;
 
         case "DELETE_BOOKMARK":
@@ -493,6 +1011,47 @@ chrome.runtime.onMessage.addListener((msg, _sender, reply) => {
           safeReply(true);
           return;
 
+        case 'CALIBRATE_THRESHOLDS': {
+          try {
+            safeReply({ success: true, ...(await calibrateThresholds()) });
+          } catch (error) {
+            console.warn('Threshold calibration failed:', error);
+            safeReply({ success: false, error: error?.message || String(error) });
+          }
+          return;
+        }
+
+        case 'CONSOLIDATE_TAGS':
+          safeReply(await queueTagConsolidationJob(msg.useModel));
+          return;
+
+        case 'APPLY_TAG_MERGES': {
+          const { tagTitles } = await chrome.storage.sync.get('tagTitles');
+          safeReply({ success: true, changed: await applyTagMerges(msg.groups, { titleTags: tagTitles ?? true }) });
+          return;
+        }
+
+        case 'UNDO_TAG_MERGES': {
+          const { tagTitles } = await chrome.storage.sync.get('tagTitles');
+          safeReply({ success: true, restored: await undoTagMerges({ titleTags: tagTitles ?? true }) });
+          return;
+        }
+
+        case 'SUMMARIZE_FOLDER':
+          safeReply(await queueSummarizeJob(msg.folderId));
+          return;
+
+        case 'GET_BOOKMARK_SUMMARIES': {
+          // Only the bookmarks the popup shows (msg.ids) are read
+          const summaries = {};
+          const ids = Array.isArray(msg.ids) ? msg.ids.map(String) : [];
+          for (const [id, record] of Object.entries(await loadEnhancements(ids))) {
+            if (record.summary) summaries[id] = { summary: record.summary, keyPoints: record.keyPoints || [] };
+          }
+          safeReply(summaries);
+          return;
+        }
+
         case "TEST_CONNECTION": {
           try {
             const client = createOpenAI(msg.config);
@@ -628,15 +1187,6 @@ chrome.runtime.onConnect.addListener(async (port) => {
   // The job bus will automatically broadcast events to this port
   // We only need to handle job commands here
 
-  // Safe port messaging helper
-  const safePostMessage = (msg) => {
-    try {
-      port.postMessage(msg);
-    } catch (e) {
-      // Port disconnected, ignore
-    }
-  };
-
   // Handle job commands from popup
   port.onMessage.addListener((message) => {
     swLog('[ServiceWorker] Port message received:', message);
@@ -695,17 +1245,22 @@ chrome.bookmarks.onCreated.addListener((_id, node) => {
   if (!node?.id) return;
   if (node.url) {
     bookmarkUrlCache.set(node.id, node.url);
+    if (!importInProgress) scheduleIncrementalDedupe(node.id);
   } else {
     bookmarkUrlCache.delete(node.id);
   }
 });
 
-chrome.bookmarks.onRemoved.addListener(async (_id, removeInfo) => {
+chrome.bookmarks.onRemoved.addListener(async (id, removeInfo) => {
   const urls = new Set();
+  const ids = new Set([id]);
 
   const purge = (node) => {
     if (!node) return;
-    if (node.id) bookmarkUrlCache.delete(node.id);
+    if (node.id) {
+      bookmarkUrlCache.delete(node.id);
+      ids.add(node.id);
+    }
     if (node.url) urls.add(node.url);
     (node.children || []).forEach(purge);
   };
@@ -721,6 +1276,14 @@ chrome.bookmarks.onRemoved.addListener(async (_id, removeInfo) => {
     await storageManager.deleteVectorByNormalized(normalizeUrlForKey(url));
     await removeIgnoredPairsForUrl(url);
   }
+  try {
+    await removeTagEntries([...ids]);
+    await removeEnhancements([...ids]);
+    await removeTagReviews([...ids]);
+    await removeTagExamples([...ids]);
+  } catch (e) {
+    console.warn('Failed to remove stored tags:', e);
+  }
 });
 
 chrome.bookmarks.onChanged.addListener(async (id, changeInfo) => {
@@ -0,0 +1,168 @@
+import { packBatches } from './tagger.js';
+import { estimateTokens, excerptText } from './utils/tokenEstimator.js';
+import { resolveTagLanguage, TAG_LANGUAGES } from './utils/languageDetector.js';
+
+const BATCH = 20;
+export const DEFAULT_MAX_SUMMARY_TOKENS = 6000;
+// Page text sent per bookmark; cached excerpts are shorter than this
+const TEXT_TOKENS = 600;
+const MAX_KEY_POINTS = 5;
+// Reply size per bookmark: two sentences and five short key points
+const REPLY_TOKENS_PER_BOOKMARK = 120;
+
+function systemPrompt(language) {
+  return 'You are BookmarkSummarizer. The user sends a JSON array of bookmarks {id, title, url, excerpt}; the excerpt is the start of the page text. '
+    + 'Return one item per bookmark with its id unchanged: a summary of one or two sentences saying what the page is about, and 2-5 short key points. '
+    + `Use only what the excerpt and title say; do not guess. Write in ${TAG_LANGUAGES[language]}, whatever language the page is in.`;
+}
+
+export const SUMMARY_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'bookmark_summaries',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              summary: { type: 'string' },
+              keyPoints: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['id', 'summary', 'keyPoints'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['items'],
+      additionalProperties: false
+    }
+  }
+};
+
+const cleanText = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+/**
+ * Parse a summary reply into a Map of id -> { summary, keyPoints }. Items with
+ * an unknown id or an empty summary are left out.
+ */
+export function parseSummaryResults(content, ids) {
+  const results = new Map();
+  let parsed;
+  try {
+    parsed = JSON.parse(content || '{}');
+  } catch {
+    return results;
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(items)) return results;
+  for (const item of items) {
+    const id = item?.id == null ? '' : String(item.id);
+    const summary = cleanText(item?.summary);
+    if (!ids.has(id) || results.has(id) || !summary) continue;
+    const keyPoints = [...new Set((Array.isArray(item.keyPoints) ? item.keyPoints : []).map(cleanText).filter(Boolean))];
+    results.set(id, { summary, keyPoints: keyPoints.slice(0, MAX_KEY_POINTS) });
+  }
+  return results;
+}
+
+// Text to summarize: `node.content` when the page was just scraped, otherwise
+// the excerpt cached while embedding
+export function summaryText(node, pageCache) {
+  return excerptText(node.content || pageCache?.get(node.url)?.excerpt || '', TEXT_TOKENS);
+}
+
+async function requestSummaries(entries, openai, language) {
+  const res = await openai.chat([
+    { role: 'system', content: systemPrompt(language) },
+    { role: 'user', content: JSON.stringify(entries.map(e => e.item)) }
+  ], { response_format: SUMMARY_RESPONSE_FORMAT });
+  return parseSummaryResults(res.choices?.[0]?.message?.content, new Set(entries.map(e => e.item.id)));
+}
+
+function summaryItemTokens(language, maxBatchTokens) {
+  const max = Number(maxBatchTokens) > 0 ? Number(maxBatchTokens) : DEFAULT_MAX_SUMMARY_TOKENS;
+  return Math.max(1, max - estimateTokens(systemPrompt(language)));
+}
+
+// Summaries are written from page text only, so bookmarks without any are
+// skipped. Returns { id, summary, keyPoints, summarizedAt, language? } for each
+// bookmark that got one, with the page language when it is known. Options:
+//   pageCache:      UrlResolutionCache with page excerpts from embedding
+//   limiter:        createRateLimiter() instance the requests go through
+//   language:       language to write in (TAG_LANGUAGES key), like tagNodes
+//   maxBatchTokens: estimated prompt tokens per request, system prompt included
+export async function summarizeNodes(nodes, openai, opts = {}) {
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+  const language = resolveTagLanguage(opts.language);
+  const itemTokens = summaryItemTokens(language, opts.maxBatchTokens);
+  const run = opts.limiter ? fn => opts.limiter.execute(fn) : fn => fn();
+
+  const entries = [];
+  for (const node of nodes || []) {
+    const excerpt = summaryText(node, opts.pageCache);
+    if (!excerpt) continue;
+    const item = { id: String(node.id), title: node.title || '', url: node.url || '', excerpt };
+    const pageLanguage = node.language || opts.pageCache?.get(node.url)?.language || null;
+    entries.push({ node, item, pageLanguage, tokens: estimateTokens(JSON.stringify(item)) });
+  }
+  // An entry too large for a request loses its excerpt when packed; it has
+  // nothing left to summarize
+  const batches = packBatches(entries, BATCH, itemTokens)
+    .map(batch => batch.filter(e => e.item.excerpt))
+    .filter(batch => batch.length);
+  const total = batches.reduce((sum, batch) => sum + batch.length, 0);
+  if (onProgress) {
+    try { onProgress(0, total); } catch {}
+  }
+
+  const out = [];
+  let done = 0;
+  await Promise.all(batches.map(async (batch) => {
+    try {
+      const results = await run(() => requestSummaries(batch, openai, language));
+      const now = Date.now();
+      for (const { item, pageLanguage } of batch) {
+        const value = results.get(item.id);
+        if (!value) continue;
+        out.push({ id: item.id, ...value, summarizedAt: now, ...(pageLanguage && { language: pageLanguage }) });
+      }
+    } catch (e) {
+      console.warn(`Summary batch of ${batch.length} bookmark(s) failed:`, e);
+    }
+    done += batch.length;
+    if (onProgress) {
+      try { onProgress(done, total); } catch {}
+    }
+  }));
+  return out;
+}
+
+/**
+ * Requests and estimated tokens summarizeNodes would use, without calling the
+ * model. With `expectText`, bookmarks without known text count as if a scrape
+ * will give them a full excerpt.
+ * @returns {{ bookmarks: number, requests: number, inputTokens: number, outputTokens: number }}
+ */
+export function estimateSummaryRequests(nodes, opts = {}) {
+  const language = resolveTagLanguage(opts.language);
+  const systemTokens = estimateTokens(systemPrompt(language));
+  const entries = [];
+  for (const node of nodes || []) {
+    const excerpt = summaryText(node, opts.pageCache);
+    if (!excerpt && !opts.expectText) continue;
+    const item = { id: String(node.id), title: node.title || '', url: node.url || '', excerpt };
+    entries.push({ item, tokens: estimateTokens(JSON.stringify(item)) + (excerpt ? 0 : TEXT_TOKENS) });
+  }
+  const batches = packBatches(entries, BATCH, summaryItemTokens(language, opts.maxBatchTokens));
+  return {
+    bookmarks: entries.length,
+    requests: batches.length,
+    inputTokens: batches.reduce((sum, batch) => sum + systemTokens + batch.reduce((n, e) => n + e.tokens, 0), 0),
+    outputTokens: entries.length * REPLY_TOKENS_PER_BOOKMARK
+  };
+}
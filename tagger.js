@@ -1,51 +1,294 @@
 import { validateTags } from './utils/tagValidator.js';
+import { folderPolicyOf } from './utils/folderPolicies.js';
+import { canonicalTag, categoryPaths, DEFAULT_TAXONOMY, describeTaxonomy, fallbackCategory } from './utils/taxonomy.js';
+import { estimateTokens, excerptText } from './utils/tokenEstimator.js';
+import { resolveTagLanguage, TAG_LANGUAGES } from './utils/languageDetector.js';
+import { MAX_PROMPT_EXAMPLES, selectTagExamples } from './utils/tagExamples.js';
+import { matchTagRules, mergeRuleMatch, ruleResult } from './utils/tagRules.js';
 
-export async function tagNodes(nodes, openai, opts = {}) {
-  if (!nodes.length) return [];
-  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
-  const BATCH = 50;
-  const out = [];
+const BATCH = 50;
+// Items missing from a batch reply are asked for again in smaller requests
+const RETRY_BATCH = 10;
+export const DEFAULT_MAX_BATCH_TOKENS = 6000;
+// Page text sent per bookmark
+const EXCERPT_TOKENS = 150;
+// Reply size per bookmark: up to six scored tags, a category and its score
+const REPLY_TOKENS_PER_BOOKMARK = 90;
 
-  if (onProgress) {
-    try { onProgress(0, nodes.length); } catch {}
+// Corrections the user made to earlier results, as the model sees them
+function describeExamples(examples) {
+  if (!examples?.length) return '';
+  const lines = examples.map(e => JSON.stringify({ title: e.title, url: e.url, tags: e.tags, category: e.category }));
+  return `\nThe user corrected these bookmarks by hand. Follow their conventions for similar bookmarks:\n${lines.join('\n')}`;
+}
+
+function systemPrompt(taxonomy, language = 'en', examples = []) {
+  return `You are BookmarkTagger. The user sends a JSON array of bookmarks {id, title, url, excerpt?, language?}; the excerpt is the start of the page text and language the page's language, when known. Return one item per bookmark with its id unchanged, 3-6 tags and one category.
+Give every tag and the category a confidence from 0 (a guess) to 1 (certain).
+Write every tag in ${TAG_LANGUAGES[language]}, whatever language the page is in.
+${describeTaxonomy(taxonomy)}${describeExamples(examples)}`;
+}
+
+// Structured output schema; the category has to be one of the taxonomy's paths.
+// Tags and the category each come with a confidence between 0 and 1.
+export function tagResponseFormat(taxonomy = DEFAULT_TAXONOMY) {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'bookmark_tags',
+      strict: true,
+      schema: {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                tags: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { tag: { type: 'string' }, confidence: { type: 'number' } },
+                    required: ['tag', 'confidence'],
+                    additionalProperties: false
+                  }
+                },
+                category: { type: 'string', enum: categoryPaths(taxonomy) },
+                categoryConfidence: { type: 'number' }
+              },
+              required: ['id', 'tags', 'category', 'categoryConfidence'],
+              additionalProperties: false
+            }
+          }
+        },
+        required: ['items'],
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+// Confidence is null for results the model never scored
+const untagged = (item, taxonomy) => ({
+  ...item,
+  tags: ['untagged'],
+  category: fallbackCategory(taxonomy),
+  tagConfidence: [null],
+  categoryConfidence: null,
+  confidence: null
+});
+// Result with the page language that was sent for it
+const withLanguage = (tagged, item) => (item.language ? { ...tagged, language: item.language } : tagged);
+
+const score = value => (typeof value === 'number' && Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null);
+
+// Confidences for the validated tags. Tags validateTags added as padding were
+// never scored and count as 0; the overall confidence is the lower of the
+// category's and the tags' average.
+function scoreTags(rawTags, validated, categoryConfidence, taxonomy) {
+  const scores = new Map();
+  for (const { tag, confidence } of rawTags) {
+    const key = canonicalTag(tag, taxonomy)?.toLowerCase();
+    if (key && confidence != null) scores.set(key, Math.max(scores.get(key) ?? 0, confidence));
+  }
+  if (!scores.size && categoryConfidence == null) {
+    return { tagConfidence: validated.tags.map(() => null), categoryConfidence: null, confidence: null };
+  }
+  const tagConfidence = validated.tags.map(tag => scores.get(tag.toLowerCase()) ?? 0);
+  const average = tagConfidence.reduce((sum, c) => sum + c, 0) / (tagConfidence.length || 1);
+  return { tagConfidence, categoryConfidence, confidence: Math.min(average, categoryConfidence ?? 1) };
+}
+
+/**
+ * Parse a tagging reply into a Map of id -> { tags, category, tagConfidence,
+ * categoryConfidence, confidence }. Tags may be plain strings or { tag,
+ * confidence }. Items with an unknown id or without any tags are left out so
+ * they can be retried.
+ */
+export function parseTagResults(content, ids, taxonomy = DEFAULT_TAXONOMY) {
+  const results = new Map();
+  let parsed;
+  try {
+    parsed = JSON.parse(content || '{}');
+  } catch {
+    return results;
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(items)) return results;
+  for (const item of items) {
+    const id = item?.id == null ? '' : String(item.id);
+    if (!ids.has(id) || results.has(id)) continue;
+    const rawTags = (Array.isArray(item.tags) ? item.tags : [])
+      .map(t => (typeof t === 'string' ? { tag: t, confidence: null } : { tag: t?.tag, confidence: score(t?.confidence) }))
+      .filter(t => typeof t.tag === 'string' && t.tag.trim());
+    if (!rawTags.length) continue;
+    const validated = validateTags(rawTags.map(t => t.tag.trim()), item.category, taxonomy);
+    results.set(id, { ...validated, ...scoreTags(rawTags, validated, score(item.categoryConfidence), taxonomy) });
+  }
+  return results;
+}
+
+// One bookmark as sent to the model. The excerpt and page language come from
+// the node (scraped for this call) or from the page cache filled while
+// embedding.
+function promptEntry(node, pageCache) {
+  const item = { id: String(node.id), title: node.title || '', url: node.url || '' };
+  const cached = pageCache?.get(node.url);
+  const excerpt = excerptText(node.content || cached?.excerpt || '', EXCERPT_TOKENS);
+  if (excerpt) item.excerpt = excerpt;
+  const language = node.language || cached?.language;
+  if (language) item.language = language;
+  return { node, item, tokens: estimateTokens(JSON.stringify(item)) };
+}
+
+// Greedily pack entries into batches bounded by count and estimated tokens. An
+// entry too large for a batch of its own is sent without its excerpt.
+export function packBatches(entries, maxSize, maxTokens) {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+  for (const entry of entries) {
+    if (entry.tokens > maxTokens && entry.item.excerpt) {
+      const { excerpt: _excerpt, ...item } = entry.item;
+      entry.item = item;
+      entry.tokens = estimateTokens(JSON.stringify(item));
+    }
+    if (current.length && (current.length >= maxSize || tokens + entry.tokens > maxTokens)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(entry);
+    tokens += entry.tokens;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+async function requestTags(entries, openai, taxonomy, language, examples) {
+  const messages = [
+    { role: 'system', content: systemPrompt(taxonomy, language, examples) },
+    { role: 'user', content: JSON.stringify(entries.map(e => e.item)) }
+  ];
+  const res = await openai.chat(messages, { response_format: tagResponseFormat(taxonomy) });
+  return parseTagResults(res.choices?.[0]?.message?.content, new Set(entries.map(e => e.item.id)), taxonomy);
+}
+
+// Tags for one batch in input order. Items the reply skipped or got wrong, or
+// the whole batch when the request failed, get one retry in smaller requests;
+// whatever is still missing is left untagged.
+async function tagBatch(batch, openai, taxonomy, language, maxTokens, examples) {
+  let results = new Map();
+  let retrySize = RETRY_BATCH;
+  try {
+    results = await requestTags(batch, openai, taxonomy, language, examples);
+  } catch (e) {
+    console.warn(`Tagging batch of ${batch.length} bookmark(s) failed, retrying:`, e);
+    retrySize = Math.min(RETRY_BATCH, Math.ceil(batch.length / 2));
   }
 
-  for (let i = 0; i < nodes.length; i += BATCH) {
-    const slice = nodes.slice(i, i + BATCH);
-    const messages = [
-      { role: 'system', content: 'You are BookmarkTagger. For each line TITLE | URL return a JSON array matching input order: {tags:[3-6 strings], category:string}.' },
-      { role: 'user', content: slice.map(b => `${b.title || ''} | ${b.url || ''}`).join('\n') }
-    ];
+  const missing = batch.filter(e => !results.has(e.item.id));
+  for (const retry of packBatches(missing, retrySize, maxTokens)) {
     try {
-      const res = await openai.chat(messages);
-      let parsed = [];
-      try {
-        parsed = JSON.parse(res.choices?.[0]?.message?.content || '[]');
-        if (!Array.isArray(parsed)) throw new Error('Expected array');
-      } catch {
-        parsed = slice.map(() => ({ tags: ['untagged'], category: 'Reference' }));
-      }
-      parsed.forEach((p, idx) => {
-        const { tags, category } = validateTags(p?.tags || [], p?.category || 'Reference');
-        out.push({ ...slice[idx], tags, category });
-      });
-      if (onProgress) {
-        try { onProgress(out.length, nodes.length); } catch {}
-      }
+      for (const [id, value] of await requestTags(retry, openai, taxonomy, language, examples)) results.set(id, value);
     } catch (e) {
-      console.error(`Tagging batch ${i} failed:`, e);
-      slice.forEach(item => {
-        out.push({ ...item, tags: ['untagged'], category: 'Reference' });
-      });
-      if (onProgress) {
-        try { onProgress(out.length, nodes.length); } catch {}
-      }
+      console.warn(`Tagging retry for ${retry.length} bookmark(s) failed:`, e);
+    }
+  }
+
+  return batch.map(({ node, item }) => {
+    const value = results.get(item.id);
+    return withLanguage(value ? { ...node, ...value } : untagged(node, taxonomy), item);
+  });
+}
+
+// Settings shared by tagNodes and estimateTagRequests
+function taggingPlan(nodes, opts) {
+  const taxonomy = opts.taxonomy || DEFAULT_TAXONOMY;
+  const language = resolveTagLanguage(opts.language);
+  const maxBatchTokens = Number(opts.maxBatchTokens) > 0 ? Number(opts.maxBatchTokens) : DEFAULT_MAX_BATCH_TOKENS;
+  const examples = Array.isArray(opts.examples) ? opts.examples : [];
+  // Room left for bookmarks once the system prompt is counted, with the
+  // largest examples a request could get
+  const largestExamples = [...examples]
+    .sort((a, b) => describeExamples([b]).length - describeExamples([a]).length)
+    .slice(0, MAX_PROMPT_EXAMPLES);
+  const systemTokens = estimateTokens(systemPrompt(taxonomy, language, largestExamples));
+  const itemTokens = Math.max(1, maxBatchTokens - systemTokens);
+
+  // Bookmarks fully tagged by rules need no request
+  const ruleMatches = new Map();
+  const ruled = [];
+  const pending = [];
+  for (const node of nodes) {
+    const match = matchTagRules(node, opts.rules);
+    if (match?.skipModel) {
+      ruled.push(ruleResult(node, match, taxonomy));
+    } else {
+      if (match) ruleMatches.set(String(node.id), match);
+      pending.push(node);
     }
   }
+  return { taxonomy, language, examples, systemTokens, itemTokens, ruleMatches, ruled, pending };
+}
+
+// Bookmarks in folders excluded from tagging are left out of the result. Each
+// result carries the detected page `language` when one is known; results from
+// rules alone have `tagSource: 'rule'`.
+// Options:
+//   taxonomy:       see utils/taxonomy.js; defaults to the built-in categories
+//   language:       language tags are written in (TAG_LANGUAGES key); defaults
+//                   to the browser's UI language
+//   pageCache:      UrlResolutionCache with page excerpts from embedding
+//   examples:       user corrections from loadTagExamples(); each request gets
+//                   the ones most relevant to its bookmarks
+//   vectors:        cached embeddings by URL, to find relevant examples on
+//                   other domains
+//   rules:          tagging rules from loadTagRules(), applied first; see
+//                   utils/tagRules.js
+//   maxBatchTokens: estimated prompt tokens per request, system prompt included
+export async function tagNodes(allNodes, openai, opts = {}) {
+  const nodes = allNodes.filter(n => !folderPolicyOf(n).noTagging);
+  if (!nodes.length) return [];
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+  const { taxonomy, language, examples, itemTokens, ruleMatches, ruled, pending } = taggingPlan(nodes, opts);
+  const out = [...ruled];
 
   if (onProgress) {
     try { onProgress(out.length, nodes.length); } catch {}
   }
 
+  const entries = pending.map(node => promptEntry(node, opts.pageCache));
+  for (const batch of packBatches(entries, BATCH, itemTokens)) {
+    const batchExamples = selectTagExamples(batch.map(e => e.node), examples, { vectors: opts.vectors });
+    const results = await tagBatch(batch, openai, taxonomy, language, itemTokens, batchExamples);
+    out.push(...results.map((result) => {
+      const match = ruleMatches.get(String(result.id));
+      return match ? mergeRuleMatch(result, match, taxonomy) : result;
+    }));
+    if (onProgress) {
+      try { onProgress(out.length, nodes.length); } catch {}
+    }
+  }
+
   return out;
 }
+
+/**
+ * Requests and estimated tokens tagNodes would use for `allNodes` with the
+ * same options, without calling the model. Retries are not counted.
+ * @returns {{ bookmarks: number, requests: number, inputTokens: number, outputTokens: number }}
+ */
+export function estimateTagRequests(allNodes, opts = {}) {
+  const nodes = allNodes.filter(n => !folderPolicyOf(n).noTagging);
+  const { systemTokens, itemTokens, pending } = taggingPlan(nodes, opts);
+  const batches = packBatches(pending.map(node => promptEntry(node, opts.pageCache)), BATCH, itemTokens);
+  return {
+    bookmarks: pending.length,
+    requests: batches.length,
+    inputTokens: batches.reduce((sum, batch) => sum + systemTokens + batch.reduce((n, e) => n + e.tokens, 0), 0),
+    outputTokens: pending.length * REPLY_TOKENS_PER_BOOKMARK
+  };
+}
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ASSUMED_PAGE_TOKENS,
+  buildCostEstimate,
+  estimateEmbeddingInput,
+  estimateFolderPrompts,
+  exceedsBudget,
+  resolveBudget,
+  resolvePrices
+} from '../utils/costEstimator.js';
+import { estimateTagRequests, tagNodes } from '../tagger.js';
+import { estimateSummaryRequests } from '../summarizer.js';
+
+test('estimateEmbeddingInput counts each uncached URL once', () => {
+  const nodes = [
+    { id: '1', title: 'abcd', url: 'https://a.test/' },
+    { id: '2', title: 'abcd', url: 'https://a.test/' },
+    { id: '3', title: 'Cached', url: 'https://b.test/' },
+    { id: '4', title: 'No URL' }
+  ];
+  const cachedUrls = new Set(['https://b.test/']);
+  assert.deepEqual(estimateEmbeddingInput(nodes, { cachedUrls }), { uncachedUrls: 1, tokens: 1 + ASSUMED_PAGE_TOKENS });
+  assert.deepEqual(estimateEmbeddingInput(nodes, { cachedUrls, scrape: false }), { uncachedUrls: 1, tokens: 1 + 4 });
+});
+
+test('estimateFolderPrompts sends one prompt per bookmark listing every folder', () => {
+  const few = estimateFolderPrompts([{ title: 'A', url: 'https://a.test/' }, { title: 'B', url: 'https://b.test/' }], ['Work']);
+  const many = estimateFolderPrompts([{ title: 'A', url: 'https://a.test/' }, { title: 'B', url: 'https://b.test/' }], ['Work', 'Reading list', 'Archive 2024']);
+  assert.equal(few.requests, 2);
+  assert.ok(many.inputTokens > few.inputTokens);
+  assert.deepEqual(estimateFolderPrompts([{ title: 'A' }], []), { requests: 0, inputTokens: 0, outputTokens: 0 });
+});
+
+test('estimateTagRequests matches the requests tagNodes makes and skips rule-only bookmarks', async () => {
+  const nodes = Array.from({ length: 120 }, (_, i) => ({ id: String(i), title: `Page ${i}`, url: `https://site${i}.test/` }));
+  nodes.push({ id: 'r', title: 'Tool', url: 'https://github.com/org/tool' });
+  const rules = [{ domain: 'github.com/org', tags: ['repo'], skipModel: true }];
+  let calls = 0;
+  const openai = {
+    async chat(messages) {
+      calls++;
+      const items = JSON.parse(messages[1].content);
+      return { choices: [{ message: { content: JSON.stringify({ items: items.map(i => ({ id: i.id, tags: ['alpha', 'beta', 'gamma'], category: 'Reference' })) }) } }] };
+    }
+  };
+  const estimate = estimateTagRequests(nodes, { rules });
+  await tagNodes(nodes, openai, { rules });
+  assert.equal(estimate.bookmarks, 120);
+  assert.equal(estimate.requests, calls);
+  assert.ok(estimate.inputTokens > 0 && estimate.outputTokens > 0);
+});
+
+test('estimateSummaryRequests can count bookmarks whose text a scrape will bring', () => {
+  const nodes = [{ id: '1', title: 'A', url: 'https://a.test/', content: 'Some text' }, { id: '2', title: 'B', url: 'https://b.test/' }];
+  assert.equal(estimateSummaryRequests(nodes).bookmarks, 1);
+  const expected = estimateSummaryRequests(nodes, { expectText: true });
+  assert.equal(expected.bookmarks, 2);
+  assert.equal(expected.requests, 1);
+});
+
+test('buildCostEstimate prices tokens per 1K and checks the budget', () => {
+  const prices = resolvePrices({ embeddingPricePer1k: '0.1', chatInputPricePer1k: 1, chatOutputPricePer1k: 2, cleanupBudget: 5 });
+  const parts = {
+    bookmarks: 10,
+    embedding: { uncachedUrls: 4, tokens: 2000 },
+    tagging: { requests: 1, inputTokens: 1000, outputTokens: 500 },
+    folders: { requests: 10, inputTokens: 1000, outputTokens: 0 }
+  };
+  const estimate = buildCostEstimate(parts, prices);
+  assert.equal(estimate.chatInputTokens, 2000);
+  assert.deepEqual(estimate.cost, { embedding: 0.2, chat: 3, total: 3.2 });
+  assert.equal(estimate.pricesSet, true);
+  assert.equal(exceedsBudget(estimate, resolveBudget('3')), true);
+  assert.equal(exceedsBudget(estimate, resolveBudget('')), false);
+
+  const local = buildCostEstimate({ ...parts, localEmbeddings: true }, prices);
+  assert.equal(local.cost.embedding, 0);
+  assert.equal(buildCostEstimate(parts, resolvePrices({})).pricesSet, false);
+});
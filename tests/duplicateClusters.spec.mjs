@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDuplicateClusters,
+  resolveClusters,
+  normalizeReviewEntry,
+  similarityToKeeper
+} from '../utils/duplicateClusters.js';
+
+const nodes = ['1', '2', '3', '4', '5'].map(id => ({
+  id,
+  title: `Bookmark ${id}`,
+  url: `https://example.com/${id}`
+}));
+
+test('transitive links form a single cluster with the first member as keeper', () => {
+  const clusters = buildDuplicateClusters(nodes, [
+    { a: '3', b: '1', similarity: 0.93 },
+    { a: '4', b: '3', similarity: 0.95 },
+    { a: '5', b: '2', similarity: 1 }
+  ]);
+
+  assert.equal(clusters.length, 2);
+  const [first, second] = clusters;
+  assert.equal(first.keeperId, '1');
+  assert.deepEqual(first.members.map(m => m.id), ['1', '3', '4']);
+  assert.equal(first.similarities.length, 2);
+  assert.deepEqual(second.members.map(m => m.id), ['2', '5']);
+
+  // '4' has no direct link to the keeper, so its strongest link is reported
+  assert.equal(similarityToKeeper(first, '3'), 0.93);
+  assert.equal(similarityToKeeper(first, '4'), 0.95);
+});
+
+test('resolveClusters keeps keepers and unlinked nodes', () => {
+  const clusters = buildDuplicateClusters(nodes, [{ a: '3', b: '1', similarity: 0.91 }]);
+  const { keep, dupes } = resolveClusters(nodes, clusters);
+
+  assert.deepEqual(keep.map(n => n.id), ['1', '2', '4', '5']);
+  assert.equal(dupes.length, 1);
+  assert.equal(dupes[0].id, '3');
+  assert.equal(dupes[0].duplicateOf.id, '1');
+  assert.equal(dupes[0].clusterId, clusters[0].id);
+});
+
+test('legacy pairwise review entries are upgraded to clusters', () => {
+  const cluster = normalizeReviewEntry({
+    id: '7',
+    title: 'Dupe',
+    url: 'https://example.com/a',
+    similarity: 92,
+    duplicateOf: { id: '3', title: 'Original', url: 'https://example.com/b' }
+  });
+
+  assert.equal(cluster.keeperId, '3');
+  assert.deepEqual(cluster.members.map(m => m.id), ['3', '7']);
+  assert.equal(cluster.similarities[0].similarity, 0.92);
+  assert.equal(normalizeReviewEntry({ id: '8' }), null);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupeNodes } from '../embeddings.js';
+import {
+  canonicalizationSteps,
+  describeReason,
+  titleSimilarity,
+  urlMatchReason
+} from '../utils/duplicateReasons.js';
+import { buildDuplicateClusters, resolveClusters } from '../utils/duplicateClusters.js';
+import { byTitle, fakeOpenAI } from './fixtures/openai.mjs';
+
+const limiter = { execute: fn => fn() };
+
+test('titleSimilarity scores identical, related and unrelated titles', () => {
+  assert.equal(titleSimilarity('Array.prototype.map()', 'array prototype map'), 1);
+  assert.ok(titleSimilarity('Array.prototype.map() - MDN', 'Array.prototype.map()') > 0.7);
+  assert.ok(titleSimilarity('Array.prototype.map()', 'Weather in Oslo') < 0.2);
+  assert.equal(titleSimilarity('', 'Anything'), 0);
+});
+
+test('canonicalizationSteps names the rules that fired', () => {
+  assert.deepEqual(
+    canonicalizationSteps('https://www.example.com/a/?utm_source=x&b=2&a=1#top', 'https://example.com/a?a=1&b=2').sort(),
+    ['fragment', 'host', 'params', 'path', 'query-order']
+  );
+  assert.deepEqual(canonicalizationSteps('https://example.com/a', 'https://example.com/a'), []);
+});
+
+test('urlMatchReason distinguishes exact, normalized and resolved matches', () => {
+  const a = { title: 'Guide', url: 'https://example.com/guide' };
+  assert.equal(urlMatchReason(a, { ...a }).type, 'exact');
+  assert.deepEqual(urlMatchReason(a, { title: 'Guide', url: 'https://example.com/guide?utm_medium=mail' }), {
+    type: 'normalized',
+    rules: ['params'],
+    titleScore: 1
+  });
+  const resolved = urlMatchReason(a, { title: 'Short', url: 'https://bit.ly/x' }, { via: 'redirect', url: 'https://example.com/guide' });
+  assert.equal(resolved.type, 'resolved');
+  assert.equal(resolved.via, 'redirect');
+});
+
+test('dedupeNodes attaches reasons to links, clusters and dupes', async () => {
+  const nodes = [
+    { id: '1', title: 'Intro to streams', url: 'https://docs.example.com/streams' },
+    { id: '2', title: 'Intro to streams', url: 'https://docs.example.com/streams?utm_source=feed' },
+    { id: '3', title: 'Streams introduction', url: 'https://docs.example.com/guide/streams' },
+    { id: '4', title: 'Streams intro (mirror)', url: 'https://mirror.example.net/streams' }
+  ];
+  const openai = fakeOpenAI(byTitle({
+    'Intro to streams': [1, 0, 0],
+    'Streams introduction': [0.95, 0.31, 0],
+    'Streams intro (mirror)': [0.99, 0, 0.14]
+  }));
+  const { dupes, clusters } = await dedupeNodes(nodes, openai, { limiter, enableScraping: false, threshold: 0.9 });
+  const byId = Object.fromEntries(dupes.map(d => [d.id, d.reason]));
+
+  assert.equal(byId['2'].type, 'normalized');
+  assert.deepEqual(byId['2'].rules, ['params']);
+
+  assert.equal(byId['3'].type, 'semantic');
+  assert.equal(byId['3'].scope, 'same-domain');
+  assert.equal(byId['3'].threshold, 0.9);
+  assert.ok(byId['3'].similarity > 0.9);
+
+  assert.equal(byId['4'].type, 'semantic');
+  assert.equal(byId['4'].scope, 'cross-domain');
+  assert.ok(Math.abs(byId['4'].threshold - 0.95) < 1e-9);
+
+  assert.ok(clusters[0].similarities.every(edge => edge.reason));
+});
+
+test('clusters keep the reason of the strongest link', () => {
+  const nodes = [{ id: '1' }, { id: '2' }];
+  const clusters = buildDuplicateClusters(nodes, [
+    { a: '2', b: '1', similarity: 0.93, reason: { type: 'semantic' } },
+    { a: '2', b: '1', similarity: 1, reason: { type: 'exact' } }
+  ]);
+  const { dupes } = resolveClusters(nodes, clusters);
+  assert.equal(dupes[0].reason.type, 'exact');
+});
+
+test('describeReason renders one line per reason type', () => {
+  assert.equal(describeReason({ type: 'exact', titleScore: 1 }), 'Exact URL match; title match 100%');
+  assert.equal(
+    describeReason({ type: 'normalized', rules: ['params', 'host'], titleScore: 0.5 }),
+    'Same URL after tracking parameters, host folding; title match 50%'
+  );
+  assert.equal(
+    describeReason({ type: 'resolved', via: 'canonical', resolvedUrl: 'https://example.com/a' }),
+    'Same canonical link (https://example.com/a)'
+  );
+  assert.equal(
+    describeReason({ type: 'semantic', similarity: 0.934, threshold: 0.9, scope: 'same-domain', titleScore: 0.8 }),
+    'Semantic similarity 93% above same-domain threshold 90%; title match 80%'
+  );
+  assert.equal(describeReason(null), '');
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { embedNodes } from '../embeddings.js';
+import { hashText } from '../utils/contentHash.js';
+import { fakeOpenAI } from './fixtures/openai.mjs';
+
+const limiter = { execute: fn => fn() };
+
+// Embeds each input as [length, 1]; inputs starting with `failOn` fail the request
+function lengthEmbedder({ failOn, model } = {}) {
+  return fakeOpenAI((text) => {
+    if (failOn && text.startsWith(failOn)) throw new Error('Embed error 400: invalid input');
+    return [text.length, 1];
+  }, { model });
+}
+
+function fakeStorage(seed = {}) {
+  const saved = new Map(Object.entries(seed));
+  return {
+    saved,
+    async getVectorEntry(url) {
+      return saved.get(url) || null;
+    },
+    async saveVector(url, vector, _localOnly, meta) {
+      saved.set(url, { vector, ...meta, dims: vector.length });
+    },
+    async getModelDims() {
+      return undefined;
+    },
+    async recordModelDims() {}
+  };
+}
+
+const nodes = Array.from({ length: 10 }, (_, i) => ({
+  id: String(i),
+  title: `Title ${'x'.repeat(i)}`,
+  url: `https://example.com/${i}`
+}));
+
+test('batches uncached nodes and maps results by index', async () => {
+  const openai = lengthEmbedder();
+  const storage = fakeStorage({
+    'https://example.com/0': {
+      vector: new Float32Array([9, 9]),
+      hash: await hashText('Title \n\nhttps://example.com/0'),
+      model: 'embed-small',
+      dims: 2
+    }
+  });
+  const progress = [];
+  const notifier = { showProgress: (done, total) => progress.push([done, total]) };
+
+  const vectors = await embedNodes(nodes, openai, limiter, {
+    allowScrape: false,
+    storage,
+    notifier,
+    maxBatchSize: 4
+  });
+
+  assert.deepEqual(openai.calls.map(c => c.length), [4, 4, 1]);
+  assert.deepEqual(Array.from(vectors.get('0')), [9, 9]);
+  for (const node of nodes.slice(1)) {
+    const expected = `${node.title}\n\n${node.url}`.length;
+    assert.deepEqual(Array.from(vectors.get(node.id)), [expected, 1]);
+    assert.ok(storage.saved.has(node.url));
+  }
+  assert.deepEqual(progress.at(-1), [9, 9]);
+});
+
+test('batches are embedded before later nodes are read', async () => {
+  const events = [];
+  const openai = lengthEmbedder();
+  const { embed } = openai;
+  openai.embed = (input) => {
+    events.push('embed');
+    return embed(input);
+  };
+  const storage = fakeStorage();
+  const { getVectorEntry } = storage;
+  storage.getVectorEntry = (url) => {
+    events.push(url);
+    return getVectorEntry(url);
+  };
+
+  await embedNodes(nodes, openai, limiter, { allowScrape: false, storage, maxBatchSize: 4 });
+
+  assert.ok(events.indexOf('embed') < events.indexOf('https://example.com/9'));
+  assert.equal(storage.saved.size, nodes.length);
+});
+
+test('token budget limits batch size', async () => {
+  const openai = lengthEmbedder();
+  await embedNodes(nodes, openai, limiter, {
+    allowScrape: false,
+    storage: fakeStorage(),
+    maxBatchSize: 100,
+    maxBatchTokens: 20
+  });
+  assert.ok(openai.calls.length > 1);
+  for (const call of openai.calls) {
+    const tokens = call.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0);
+    assert.ok(call.length === 1 || tokens <= 20);
+  }
+});
+
+test('a failing input only loses its own vector', async () => {
+  const openai = lengthEmbedder({ failOn: 'Title xxxxx\n' });
+  const vectors = await embedNodes(nodes, openai, limiter, {
+    allowScrape: false,
+    storage: fakeStorage(),
+    maxBatchSize: 10
+  });
+
+  assert.equal(vectors.get('5').length, 0);
+  for (const node of nodes.filter(n => n.id !== '5')) {
+    assert.equal(vectors.get(node.id).length, 2, node.id);
+  }
+});
+
+test('cached vectors are re-embedded when text or model changes', async () => {
+  const [node] = nodes;
+  const text = `${node.title}\n\n${node.url}`;
+  const entry = { vector: new Float32Array([9, 9]), hash: await hashText(text), model: 'embed-small', dims: 2 };
+
+  const same = lengthEmbedder();
+  await embedNodes([node], same, limiter, { allowScrape: false, storage: fakeStorage({ [node.url]: entry }) });
+  assert.equal(same.calls.length, 0);
+
+  const newModel = lengthEmbedder({ model: 'embed-large' });
+  await embedNodes([node], newModel, limiter, { allowScrape: false, storage: fakeStorage({ [node.url]: entry }) });
+  assert.equal(newModel.calls.length, 1);
+
+  const renamed = lengthEmbedder();
+  const storage = fakeStorage({ [node.url]: entry });
+  await embedNodes([{ ...node, title: 'Renamed' }], renamed, limiter, { allowScrape: false, storage });
+  assert.equal(renamed.calls.length, 1);
+  assert.notEqual(storage.saved.get(node.url).hash, entry.hash);
+});
@@ -0,0 +1,29 @@
+// In-memory chrome.storage for specs. Installs `globalThis.chrome.storage` with
+// `local` and `sync` areas seeded from `seed` and returns their contents, so a
+// spec can inspect what was written. Values are copied through JSON on the way
+// in and out, like the real storage. Specs that need other chrome APIs add them
+// to `globalThis.chrome` afterwards.
+const copy = value => JSON.parse(JSON.stringify(value));
+
+export function fakeChromeStorage(seed = {}) {
+  const areas = { local: copy(seed.local || {}), sync: copy(seed.sync || {}) };
+  const area = name => ({
+    async get(keys) {
+      const data = areas[name];
+      if (keys == null) return copy(data);
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const wanted = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      return Object.fromEntries(wanted
+        .filter(key => key in data || key in defaults)
+        .map(key => [key, copy(key in data ? data[key] : defaults[key])]));
+    },
+    async set(items) {
+      Object.assign(areas[name], copy(items));
+    },
+    async remove(keys) {
+      for (const key of [keys].flat()) delete areas[name][key];
+    }
+  });
+  globalThis.chrome = { storage: { local: area('local'), sync: area('sync') } };
+  return areas;
+}
@@ -0,0 +1,20 @@
+// Embedding client for specs. `vectorFor(text)` gives each input's embedding
+// (throw from it to fail the request); `calls` records the inputs of every
+// request. Results come back in reverse order, the way the API is allowed to,
+// so callers must map them by `index`.
+export function fakeOpenAI(vectorFor, { model = 'embed-small' } = {}) {
+  const calls = [];
+  return {
+    calls,
+    embeddingModel: model,
+    async embed(input) {
+      const inputs = Array.isArray(input) ? input : [input];
+      calls.push(inputs);
+      const data = inputs.map((text, index) => ({ index, embedding: vectorFor(text) }));
+      return { data: data.reverse() };
+    }
+  };
+}
+
+// Looks vectors up by bookmark title, the first line of the embedded text
+export const byTitle = vectorsByTitle => text => vectorsByTitle[text.split('\n')[0]];
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupeNodes } from '../embeddings.js';
+import { tagNodes } from '../tagger.js';
+import {
+  applyFolderPolicies,
+  normalizeFolderPolicies,
+  resolveFolderPolicy
+} from '../utils/folderPolicies.js';
+
+const limiter = { execute: fn => fn() };
+
+// Every bookmark embeds to the same vector, so only policies keep them apart.
+const sameVector = {
+  embeddingModel: 'embed-small',
+  async embed(input) {
+    const inputs = Array.isArray(input) ? input : [input];
+    return { data: inputs.map((_, index) => ({ index, embedding: [1, 0] })) };
+  }
+};
+
+// Folder ids: 1 = Bookmarks bar, 10 = Work, 11 = Work/Reference, 20 = Reading
+const leaf = (id, ancestorIds, url = `https://example.com/${id}`) => ({ id, title: `Page ${id}`, url, ancestorIds });
+
+test('normalizeFolderPolicies keeps one entry per folder with at least one flag', () => {
+  const policies = normalizeFolderPolicies([
+    { folderId: 11, noDedupe: true },
+    { folderId: '20', noTagging: false },
+    { folderId: '11', noTagging: true, title: 'Work/Reference' },
+    { noDedupe: true },
+    null
+  ]);
+  assert.deepEqual(policies, [{
+    folderId: '11',
+    title: 'Work/Reference',
+    noDedupe: false,
+    noTagging: true,
+    noMoves: false,
+    dedupeWithin: false
+  }]);
+});
+
+test('policies inherit to subfolders and the innermost dedupeWithin wins', () => {
+  const policies = normalizeFolderPolicies([
+    { folderId: '10', noMoves: true, dedupeWithin: true },
+    { folderId: '11', noTagging: true, dedupeWithin: true }
+  ]);
+  assert.deepEqual(resolveFolderPolicy(['1', '10', '11'], policies), {
+    noDedupe: false,
+    noTagging: true,
+    noMoves: true,
+    dedupeScope: '11'
+  });
+  assert.equal(resolveFolderPolicy(['1', '10'], policies).dedupeScope, '10');
+  assert.equal(resolveFolderPolicy(['1', '20'], policies).noMoves, false);
+});
+
+test('dedupeNodes leaves protected folders alone', async () => {
+  const nodes = applyFolderPolicies([
+    leaf('a', ['1', '10', '11'], 'https://example.com/guide'),
+    leaf('b', ['1', '20'], 'https://example.com/guide'),
+    leaf('c', ['1', '20'])
+  ], [{ folderId: '11', noDedupe: true }]);
+
+  const { keep, dupes } = await dedupeNodes(nodes, sameVector, { limiter, enableScraping: false });
+  assert.deepEqual(keep.map(n => n.id), ['a', 'b']);
+  assert.deepEqual(dupes.map(d => d.id), ['c']);
+  assert.equal(dupes[0].duplicateOf.id, 'b');
+});
+
+test('dedupeNodes only compares bookmarks inside a dedupe-within folder with each other', async () => {
+  const nodes = applyFolderPolicies([
+    leaf('a', ['1', '10'], 'https://example.com/guide'),
+    leaf('b', ['1', '20'], 'https://example.com/guide'),
+    leaf('c', ['1', '10', '11']),
+    leaf('d', ['1', '20'])
+  ], [{ folderId: '10', dedupeWithin: true }]);
+
+  const { dupes, clusters } = await dedupeNodes(nodes, sameVector, { limiter, enableScraping: false });
+  assert.deepEqual(dupes.map(d => [d.id, d.duplicateOf.id]), [['c', 'a'], ['d', 'b']]);
+  assert.equal(clusters.length, 2);
+});
+
+test('tagNodes skips folders excluded from tagging', async () => {
+  const nodes = applyFolderPolicies([leaf('a', ['1', '10']), leaf('b', ['1', '20'])], [{ folderId: '10', noTagging: true }]);
+  const seen = [];
+  const openai = {
+    async chat(messages) {
+      seen.push(messages[1].content);
+      return { choices: [{ message: { content: JSON.stringify({ items: [{ id: 'b', tags: ['docs', 'guide', 'web'], category: 'Reference' }] }) } }] };
+    }
+  };
+  const tagged = await tagNodes(nodes, openai);
+  assert.deepEqual(tagged.map(n => n.id), ['b']);
+  assert.ok(!seen.join('\n').includes('Page a'));
+});
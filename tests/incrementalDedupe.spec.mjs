@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupeNewNodes } from '../embeddings.js';
+import { CachedVectorIndex } from '../utils/cachedVectorIndex.js';
+import { byTitle, fakeOpenAI } from './fixtures/openai.mjs';
+
+const limiter = { execute: fn => fn() };
+const embeddedTitles = openai => openai.calls.flat().map(text => text.split('\n')[0]);
+
+const existing = [
+  { id: '1', title: 'Streams guide', url: 'https://docs.example.com/streams' },
+  { id: '2', title: 'Changelog', url: 'https://docs.example.com/changelog' },
+  { id: '3', title: 'Weather', url: 'https://weather.example.net/' },
+  { id: '4', title: 'Not cached yet', url: 'https://blog.example.org/post?id=7' }
+];
+
+const cachedVectors = new Map([
+  ['https://docs.example.com/streams', new Float32Array([1, 0, 0])],
+  ['https://docs.example.com/changelog', new Float32Array([0.3, -0.95, 0])],
+  ['https://weather.example.net/', new Float32Array([0, 0, 1])]
+]);
+const expected = { model: 'embed-small' };
+
+// Index over `cachedVectors`; `requested` records the URLs read from the cache
+// and `hashes` overrides the content hash of a cached vector
+async function loadIndex(nodes, vectors = cachedVectors, hashes = new Map()) {
+  const requested = [];
+  const storage = {
+    async listCurrentHashes() {
+      return new Map([...vectors.keys()].map(url => [url, hashes.get(url) ?? 'h']));
+    },
+    async getVectors(urls) {
+      requested.push(...urls);
+      return new Map(urls.filter(url => vectors.has(url)).map(url => [url, vectors.get(url)]));
+    }
+  };
+  const index = new CachedVectorIndex(storage);
+  await index.load(nodes.map(n => n.url), expected);
+  return { index, requested, storage };
+}
+
+test('only new bookmarks are embedded and only their clusters are returned', async () => {
+  const openai = fakeOpenAI(byTitle({ 'Intro to streams': [0.99, 0.1, 0] }));
+  const added = [{ id: '9', title: 'Intro to streams', url: 'https://docs.example.com/intro' }];
+
+  const { index } = await loadIndex(existing);
+  const clusters = await dedupeNewNodes(added, [...existing, ...added], openai, {
+    limiter,
+    enableScraping: false,
+    index
+  });
+
+  assert.deepEqual(embeddedTitles(openai), ['Intro to streams']);
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(clusters[0].members.map(m => m.id).sort(), ['1', '9']);
+  assert.equal(clusters[0].keeperId, '1');
+});
+
+test('bookmarks without a cached vector still match by URL', async () => {
+  const openai = fakeOpenAI(byTitle({ 'Post 7': [0, 1, 0] }));
+  const added = [{ id: '9', title: 'Post 7', url: 'https://blog.example.org/post?id=7&utm_source=feed' }];
+
+  const { index } = await loadIndex(existing);
+  const clusters = await dedupeNewNodes(added, existing, openai, { limiter, enableScraping: false, index });
+
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(clusters[0].members.map(m => m.id), ['4', '9']);
+  assert.equal(clusters[0].similarities[0].reason.type, 'normalized');
+});
+
+test('a new bookmark unlike the others yields no clusters', async () => {
+  const openai = fakeOpenAI(byTitle({ Recipes: [0, 0.7, 0.7] }));
+  const added = [{ id: '9', title: 'Recipes', url: 'https://food.example.com/' }];
+  const { index } = await loadIndex(existing);
+  assert.deepEqual(await dedupeNewNodes(added, existing, openai, { limiter, enableScraping: false, index }), []);
+});
+
+test('an older cluster a new bookmark joins is not proposed again', async () => {
+  const mirror = { id: '5', title: 'Streams guide (mirror)', url: 'https://docs.example.com/streams-mirror' };
+  const vectors = new Map([...cachedVectors, [mirror.url, new Float32Array([0.98, 0.05, 0])]]);
+  const { index } = await loadIndex([...existing, mirror], vectors);
+  const openai = fakeOpenAI(byTitle({ 'Intro to streams': [0.99, 0.1, 0] }));
+  const added = [{ id: '9', title: 'Intro to streams', url: 'https://docs.example.com/intro' }];
+
+  const clusters = await dedupeNewNodes(added, [...existing, mirror], openai, { limiter, enableScraping: false, index });
+
+  assert.equal(clusters.length, 1);
+  assert.ok(clusters[0].members.some(m => m.id === '9'));
+  assert.ok(clusters[0].similarities.every(e => e.a === '9' || e.b === '9'));
+});
+
+test('the index reads each cached vector once and learns new bookmarks', async () => {
+  const { index, requested } = await loadIndex(existing);
+  await index.load(existing.map(n => n.url), expected);
+  // Cached vectors are read once and URLs without one are not read at all
+  assert.deepEqual(requested.filter(url => url === 'https://docs.example.com/streams'), ['https://docs.example.com/streams']);
+  assert.ok(!requested.includes('https://blog.example.org/post?id=7'));
+
+  const openai = fakeOpenAI(byTitle({ 'Intro to streams': [0.99, 0.1, 0], 'Streams intro': [0.98, 0.12, 0] }));
+  const first = [{ id: '9', title: 'Intro to streams', url: 'https://docs.example.com/intro' }];
+  await dedupeNewNodes(first, existing, openai, { limiter, enableScraping: false, index });
+  const second = [{ id: '10', title: 'Streams intro', url: 'https://other.example.com/intro' }];
+  const clusters = await dedupeNewNodes(second, [...existing, ...first, ...second], openai, {
+    limiter,
+    enableScraping: false,
+    index,
+    crossDomainThreshold: 0.9
+  });
+
+  assert.deepEqual(embeddedTitles(openai), ['Intro to streams', 'Streams intro']);
+  assert.deepEqual(clusters[0].members.map(m => m.id).sort(), ['1', '10', '9']);
+  assert.ok(!requested.includes('https://docs.example.com/intro'));
+});
+
+test('the index reloads re-embedded vectors and drops removed URLs', async () => {
+  const more = [
+    { id: '5', title: 'Recipes', url: 'https://food.example.com/' },
+    { id: '6', title: 'Maps', url: 'https://maps.example.com/' }
+  ];
+  const nodes = [...existing, ...more];
+  const vectors = new Map([
+    ...cachedVectors,
+    [more[0].url, new Float32Array([0, 1, 0])],
+    [more[1].url, new Float32Array([0, 0.7, 0.7])]
+  ]);
+  const hashes = new Map();
+  const { index, requested } = await loadIndex(nodes, vectors, hashes);
+  assert.equal(index.search(new Float32Array([0, 0, 1]), 1)[0].id, 'https://weather.example.net/');
+
+  // The weather page was re-embedded and the changelog bookmark deleted
+  vectors.set('https://weather.example.net/', new Float32Array([0.6, 0.8, 0]));
+  hashes.set('https://weather.example.net/', 'h2');
+  requested.length = 0;
+  await index.load(nodes.filter(n => n.id !== '2').map(n => n.url), expected);
+
+  assert.deepEqual(requested, ['https://weather.example.net/']);
+  const found = index.search(new Float32Array([0.6, 0.8, 0]), 3);
+  assert.equal(found[0].id, 'https://weather.example.net/');
+  assert.ok(found[0].similarity > 0.99);
+  assert.ok(!found.some(hit => hit.id === 'https://docs.example.com/changelog'));
+});
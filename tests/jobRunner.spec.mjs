@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobRunner } from '../background/jobRunner.js';
+import { CLEANUP_STAGE_ORDER } from '../shared/jobTypes.js';
+
+function fakeStore() {
+  let snapshot = null;
+  return {
+    history: [],
+    async loadSnapshot() { return snapshot; },
+    async saveSnapshot(job) { snapshot = JSON.parse(JSON.stringify(job)); },
+    async clearSnapshot() { snapshot = null; },
+    async appendActivity() {},
+    async addToHistory(job) { this.history.push(job); }
+  };
+}
+
+const fakeBus = { subscribe() {}, publish() {} };
+
+const tick = () => new Promise((resolve) => {
+  setTimeout(resolve, 5);
+});
+
+test('pausing mid-stage neither completes nor retries the stage, and resume continues it', async () => {
+  const store = fakeStore();
+  const runner = new JobRunner(fakeBus, store, { retryDelay: 0 });
+  const calls = [];
+  let cursor = 0;
+
+  for (const stage of CLEANUP_STAGE_ORDER) {
+    runner.registerStageExecutor(stage, {
+      async execute(ctx) {
+        calls.push(stage);
+        if (stage !== 'resolving') return { completed: true };
+        // Works through ten units, stopping as soon as the job is paused
+        while (cursor < 10) {
+          if (ctx.abortController.signal.aborted) return { completed: false, error: new Error('aborted') };
+          cursor++;
+          await tick();
+        }
+        return { completed: true };
+      }
+    });
+  }
+
+  await runner.startJob({ jobType: 'cleanup' });
+  while (cursor < 3) await tick();
+  await runner.pauseJob();
+  await tick();
+  await tick();
+
+  const paused = runner.getCurrentJob();
+  assert.equal(paused.status, 'paused');
+  assert.equal(paused.stage, 'resolving');
+  assert.equal(calls.filter(s => s === 'resolving').length, 1);
+  assert.ok(cursor < 10);
+
+  await runner.resumeJob();
+  while (runner.getCurrentJob().status !== 'completed') await tick();
+  assert.equal(cursor, 10);
+  assert.deepEqual(calls, [...CLEANUP_STAGE_ORDER.slice(0, 4), 'resolving', ...CLEANUP_STAGE_ORDER.slice(4)]);
+  assert.equal(store.history.length, 1);
+});
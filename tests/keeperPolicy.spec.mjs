@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseKeeper, applyKeeperPolicy, normalizeKeeperPolicy } from '../utils/keeperPolicy.js';
+
+const members = [
+  { id: 'a', title: 'Docs', url: 'http://example.com/docs', dateAdded: 300, folderPath: ['Bookmarks bar', 'Work', 'Old'] },
+  { id: 'b', title: 'Example Docs Home', url: 'https://example.com/docs', dateAdded: 100, folderPath: ['Other bookmarks'] },
+  { id: 'c', title: 'Example Docs', url: 'https://www.example.com/docs', dateAdded: 200, folderPath: ['Bookmarks bar', 'Reading'] }
+];
+
+test('each rule picks the expected keeper', () => {
+  const expectations = {
+    first: 'a',
+    oldest: 'b',
+    newest: 'a',
+    shortestPath: 'b',
+    deepestPath: 'a',
+    longestTitle: 'b'
+  };
+  for (const [rule, expected] of Object.entries(expectations)) {
+    assert.equal(chooseKeeper(members, { rule }).keeperId, expected, rule);
+  }
+});
+
+test('preferred folders match names and path prefixes in priority order', () => {
+  const byName = chooseKeeper(members, { rule: 'preferredFolders', preferredFolders: 'reading, work' });
+  assert.deepEqual(byName, { keeperId: 'c', rule: 'preferredFolders' });
+
+  const byPrefix = chooseKeeper(members, { rule: 'preferredFolders', preferredFolders: ['Bookmarks bar/Work'] });
+  assert.equal(byPrefix.keeperId, 'a');
+});
+
+test('tie-breaker decides when the primary rule ties', () => {
+  // b and c are both HTTPS; newest picks c
+  assert.deepEqual(chooseKeeper(members, { rule: 'https', tieBreaker: 'newest' }), { keeperId: 'c', rule: 'https' });
+
+  const undated = members.map(({ dateAdded: _dateAdded, ...m }) => m);
+  assert.deepEqual(chooseKeeper(undated, { rule: 'oldest', tieBreaker: 'longestTitle' }), { keeperId: 'b', rule: 'longestTitle' });
+  assert.deepEqual(chooseKeeper(undated, { rule: 'oldest', tieBreaker: 'first' }), { keeperId: 'a', rule: 'first' });
+});
+
+test('applyKeeperPolicy records the deciding rule on clusters', () => {
+  const [cluster] = applyKeeperPolicy([{ id: 'cluster-a', keeperId: 'a', members }], { rule: 'oldest' });
+  assert.equal(cluster.keeperId, 'b');
+  assert.equal(cluster.keeperRule, 'oldest');
+});
+
+test('unknown rules fall back to defaults', () => {
+  const policy = normalizeKeeperPolicy({ rule: 'random', preferredFolders: ' Work / Projects ' });
+  assert.equal(policy.rule, 'first');
+  assert.deepEqual(policy.preferredFolders, ['work/projects']);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultTagLanguage, detectLanguage, normalizeLanguage, resolveTagLanguage } from '../utils/languageDetector.js';
+
+test('detectLanguage prefers the declared <html lang>', () => {
+  assert.equal(detectLanguage('The quick guide to the web', 'de-AT'), 'de');
+  assert.equal(normalizeLanguage('pt_BR'), 'pt');
+  assert.equal(normalizeLanguage('not a language'), null);
+});
+
+test('detectLanguage scores the text when no language is declared', () => {
+  assert.equal(detectLanguage('This is a guide to the tools that you can use with your editor.'), 'en');
+  assert.equal(detectLanguage('Una guía de las herramientas para el desarrollo web con los mejores ejemplos del año.', ''), 'es');
+  assert.equal(detectLanguage('Das ist eine Anleitung für die Werkzeuge, mit denen man auch Webseiten baut.'), 'de');
+  assert.equal(detectLanguage('Kubernetes API reference'), null);
+});
+
+test('the tag language defaults to the popup locale', () => {
+  assert.equal(defaultTagLanguage('es-MX'), 'es');
+  assert.equal(defaultTagLanguage('de-DE'), 'en');
+  assert.equal(resolveTagLanguage('de'), 'de');
+  assert.equal(resolveTagLanguage('fr'), defaultTagLanguage());
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalEmbedder, embedText, LOCAL_SIMILARITY_THRESHOLD } from '../lib/localEmbedder.js';
+import { cosineSimilarity } from '../lib/cosine.js';
+import { dedupeNodes } from '../embeddings.js';
+
+const text = (title, url) => `${title}\n\n${url}`;
+
+test('lexical vectors separate duplicates from sibling pages', () => {
+  const mapPage = text('Array.prototype.map() - JavaScript | MDN', 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/map');
+  const mapCopy = text('Array.prototype.map() - JavaScript | MDN', 'https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Array/map');
+  const filterPage = text('Array.prototype.filter() - JavaScript | MDN', 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter');
+
+  assert.ok(cosineSimilarity(embedText(mapPage), embedText(mapCopy)) > LOCAL_SIMILARITY_THRESHOLD);
+  assert.ok(cosineSimilarity(embedText(mapPage), embedText(filterPage)) < LOCAL_SIMILARITY_THRESHOLD);
+});
+
+test('embed() mirrors the Azure response shape', async () => {
+  const embedder = createLocalEmbedder({ dimensions: 64 });
+  const { data } = await embedder.embed(['one page', 'another page']);
+  assert.deepEqual(data.map(d => d.index), [0, 1]);
+  assert.equal(data[0].embedding.length, 64);
+  assert.equal(embedder.embeddingDimensions, 64);
+});
+
+test('dedupeNodes clusters duplicates offline', async () => {
+  const nodes = [
+    { id: '1', title: 'Hacker News', url: 'https://news.ycombinator.com/' },
+    { id: '2', title: 'Python tutorial', url: 'https://docs.python.org/3/tutorial/' },
+    { id: '3', title: 'Hacker News', url: 'https://news.ycombinator.com/news' }
+  ];
+  const storage = { getVectorEntry: async () => null, getVector: async () => null, saveVector: async () => {} };
+
+  const { keep, clusters } = await dedupeNodes(nodes, createLocalEmbedder(), {
+    threshold: LOCAL_SIMILARITY_THRESHOLD,
+    limiter: { execute: fn => fn() },
+    storage,
+    enableScraping: false
+  });
+
+  assert.deepEqual(keep.map(n => n.id), ['1', '2']);
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(clusters[0].members.map(m => m.id), ['1', '3']);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSummaryResults, summarizeNodes } from '../summarizer.js';
+import { loadEnhancements, updateEnhancements } from '../utils/bookmarkEnhancements.js';
+import { createRateLimiter } from '../utils/rateLimiter.js';
+import { fakeChromeStorage } from './fixtures/chromeStorage.mjs';
+
+const reply = items => ({ choices: [{ message: { content: JSON.stringify({ items }) } }] });
+
+test('parseSummaryResults keeps known ids with a summary and tidies key points', () => {
+  const results = parseSummaryResults(JSON.stringify({
+    items: [
+      { id: 'a', summary: '  A guide\nto CSS grid. ', keyPoints: ['Grid areas', 'grid areas', '', 'Grid areas'] },
+      { id: 'b', summary: ' ', keyPoints: ['x'] },
+      { id: 'x', summary: 'Unknown', keyPoints: [] }
+    ]
+  }), new Set(['a', 'b']));
+  assert.deepEqual([...results.keys()], ['a']);
+  assert.deepEqual(results.get('a'), { summary: 'A guide to CSS grid.', keyPoints: ['Grid areas', 'grid areas'] });
+  assert.equal(parseSummaryResults('{', new Set(['a'])).size, 0);
+});
+
+test('summarizeNodes only sends bookmarks with page text, through the limiter', async () => {
+  const sent = [];
+  const openai = {
+    async chat(messages) {
+      const items = JSON.parse(messages[1].content);
+      sent.push(...items.map(item => [item.id, item.excerpt]));
+      return reply(items.map(item => ({ id: item.id, summary: `About ${item.id}`, keyPoints: ['one'] })));
+    }
+  };
+  const pageCache = { get: url => (url === 'https://example.com/b' ? { excerpt: 'Cached text' } : null) };
+  let limited = 0;
+  const limiter = createRateLimiter(2);
+  const counted = { execute: (fn) => { limited++; return limiter.execute(fn); } };
+
+  const nodes = [
+    { id: 'a', title: 'A', url: 'https://example.com/a', content: 'Scraped   text' },
+    { id: 'b', title: 'B', url: 'https://example.com/b' },
+    { id: 'c', title: 'C', url: 'https://example.com/c' }
+  ];
+  const summaries = await summarizeNodes(nodes, openai, { pageCache, limiter: counted });
+  assert.deepEqual(sent, [['a', 'Scraped text'], ['b', 'Cached text']]);
+  assert.equal(limited, 1);
+  assert.deepEqual(summaries.map(s => [s.id, s.summary, s.keyPoints]), [['a', 'About a', ['one']], ['b', 'About b', ['one']]]);
+});
+
+test('updateEnhancements merges summaries into existing records', async () => {
+  fakeChromeStorage({ local: { bookmarkEnhancement_1: { id: '1', tags: ['css'], category: 'Design' } } });
+  await updateEnhancements([{ id: '1', summary: 'Grid guide', keyPoints: ['areas'] }, { id: '2', summary: 'New' }]);
+  const records = await loadEnhancements();
+  assert.deepEqual(records['1'], { id: '1', tags: ['css'], category: 'Design', summary: 'Grid guide', keyPoints: ['areas'] });
+  assert.deepEqual(records['2'], { id: '2', summary: 'New' });
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyTagMerges,
+  editDistance,
+  foldTag,
+  groupTags,
+  suggestTagMerges,
+  TAG_MERGE_UNDO_KEY,
+  undoTagMerges
+} from '../utils/tagConsolidation.js';
+import { loadTagStore, saveTagEntries } from '../utils/tagStore.js';
+import { fakeChromeStorage } from './fixtures/chromeStorage.mjs';
+
+test('foldTag ignores case, accents, separators and plurals', () => {
+  assert.equal(foldTag('JavaScript'), 'javascript');
+  assert.equal(foldTag('JS_Frameworks'), 'js-framework');
+  assert.equal(foldTag('Libraries'), 'library');
+  assert.equal(foldTag('Café Guides'), 'cafe-guide');
+  assert.equal(foldTag('css'), 'css');
+  assert.equal(editDistance('kubernetes', 'kubernets'), 1);
+  assert.equal(editDistance('react', 'angular', 2), 3);
+});
+
+test('groupTags groups variants and picks the most used spelling', () => {
+  const counts = new Map([
+    ['javascript', 5], ['JavaScript', 2], ['javascripts', 1],
+    ['kubernetes', 3], ['kubernets', 1],
+    ['react', 4], ['reach', 1],
+    ['js', 2], ['python', 3]
+  ]);
+  const groups = groupTags(counts);
+  assert.deepEqual(groups.map(g => [g.canonical, g.variants.map(v => v.tag), g.suggestedBy]), [
+    ['javascript', ['javascript', 'JavaScript', 'javascripts'], 'rules'],
+    ['kubernetes', ['kubernetes', 'kubernets'], 'rules']
+  ]);
+
+  const withModel = groupTags(counts, { merges: [['js', 'javascript', 'unknown']] });
+  assert.equal(withModel[0].canonical, 'javascript');
+  assert.equal(withModel[0].total, 10);
+  assert.equal(withModel[0].suggestedBy, 'model');
+});
+
+test('suggestTagMerges keeps only tags it was given', async () => {
+  const openai = {
+    async chat(messages, opts) {
+      assert.equal(opts.response_format.json_schema.name, 'tag_merges');
+      assert.deepEqual(JSON.parse(messages[1].content), ['javascript', 'js', 'css']);
+      return { choices: [{ message: { content: JSON.stringify({ merges: [['js', 'javascript', 'ecmascript'], ['css', 'styles']] }) } }] };
+    }
+  };
+  const merges = await suggestTagMerges(new Map([['javascript', 5], ['js', 2], ['css', 1]]), openai);
+  assert.deepEqual(merges, [['js', 'javascript']]);
+});
+
+test('applyTagMerges rewrites stored tags in one batch and undo restores them', async () => {
+  const { local } = fakeChromeStorage();
+  await saveTagEntries([
+    { id: '1', tags: ['JavaScript', 'web'], category: 'Development' },
+    { id: '2', tags: ['js', 'javascript'], category: 'Development' },
+    { id: '3', tags: ['python'], category: 'Development' }
+  ]);
+
+  const changed = await applyTagMerges([{ canonical: 'javascript', variants: [{ tag: 'JavaScript' }, { tag: 'js' }, { tag: 'javascript' }] }]);
+  assert.equal(changed, 2);
+  let store = await loadTagStore();
+  assert.deepEqual(store['1'].tags, ['javascript', 'web']);
+  assert.deepEqual(store['2'].tags, ['javascript']);
+  assert.deepEqual(Object.keys(local[TAG_MERGE_UNDO_KEY].entries).sort(), ['1', '2']);
+
+  // Bookmark 1 was retagged since; undo leaves it alone
+  await saveTagEntries([{ id: '1', tags: ['frontend'], category: 'Development' }]);
+  assert.equal(await undoTagMerges(), 1);
+  store = await loadTagStore();
+  assert.deepEqual(store['1'].tags, ['frontend']);
+  assert.deepEqual(store['2'].tags, ['js', 'javascript']);
+  assert.equal(local[TAG_MERGE_UNDO_KEY], undefined);
+});
+
+test('with tag titles on, merges rewrite the title suffixes and undo restores them', async () => {
+  fakeChromeStorage();
+  const titles = {
+    1: 'Guide -- #JavaScript #web',
+    2: 'Notes -- #js #javascript',
+    3: 'Untouched'
+  };
+  globalThis.chrome.bookmarks = {
+    async get(id) {
+      return [{ id, title: titles[id] }];
+    },
+    async update(id, { title }) {
+      titles[id] = title;
+    }
+  };
+  await saveTagEntries([
+    { id: '1', tags: ['JavaScript', 'web'], category: 'Development' },
+    { id: '2', tags: ['js', 'javascript'], category: 'Development' },
+    { id: '3', tags: ['js'], category: 'Development' }
+  ]);
+
+  await applyTagMerges([{ canonical: 'javascript', variants: [{ tag: 'JavaScript' }, { tag: 'js' }] }], { titleTags: true });
+  assert.deepEqual(titles, { 1: 'Guide -- #javascript #web', 2: 'Notes -- #javascript', 3: 'Untouched' });
+
+  // Bookmark 1's suffix was edited since; undo leaves it alone
+  titles[1] = 'Guide -- #frontend';
+  await undoTagMerges({ titleTags: true });
+  assert.deepEqual(titles, { 1: 'Guide -- #frontend', 2: 'Notes -- #js #javascript', 3: 'Untouched' });
+});
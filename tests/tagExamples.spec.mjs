@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clearTagExamples,
+  loadTagExamples,
+  MAX_TAG_EXAMPLES,
+  recordTagExamples,
+  removeTagExamples,
+  selectTagExamples
+} from '../utils/tagExamples.js';
+import { tagNodes } from '../tagger.js';
+import { fakeChromeStorage } from './fixtures/chromeStorage.mjs';
+
+const example = (id, url, tags = ['css']) => ({ id, title: `Page ${id}`, url, domain: new URL(url).hostname.replace(/^www\./, ''), tags, category: 'Technology' });
+
+test('recording keeps the latest correction per bookmark, newest first and bounded', async () => {
+  fakeChromeStorage();
+  await recordTagExamples([{ id: 1, title: 'Grid', url: 'https://www.example.com/grid', tags: ['css'], category: 'Technology' }]);
+  await recordTagExamples([{ id: 1, title: 'Grid', url: 'https://www.example.com/grid', tags: ['css-grid'] }, { id: 2, tags: [] }]);
+  let examples = await loadTagExamples();
+  assert.equal(examples.length, 1);
+  assert.deepEqual(examples[0].tags, ['css-grid']);
+  assert.equal(examples[0].domain, 'example.com');
+
+  await recordTagExamples(Array.from({ length: MAX_TAG_EXAMPLES + 5 }, (_, i) => ({ id: `n${i}`, url: 'https://a.test/', tags: ['x'] })));
+  examples = await loadTagExamples();
+  assert.equal(examples.length, MAX_TAG_EXAMPLES);
+  assert.equal(examples.some(e => e.id === '1'), false);
+
+  await removeTagExamples(['n0']);
+  assert.equal((await loadTagExamples()).some(e => e.id === 'n0'), false);
+  await clearTagExamples();
+  assert.deepEqual(await loadTagExamples(), []);
+});
+
+test('selectTagExamples prefers the same domain, then the nearest vector', () => {
+  const examples = [
+    example('a', 'https://other.test/a'),
+    example('b', 'https://far.test/b'),
+    example('c', 'https://www.example.com/c'),
+    example('d', 'https://unrelated.test/d')
+  ];
+  const vectors = new Map([
+    ['https://example.com/new', [1, 0]],
+    ['https://other.test/a', [0.9, 0.1]],
+    ['https://far.test/b', [0, 1]]
+  ]);
+  const nodes = [{ id: 'n', url: 'https://example.com/new' }];
+  assert.deepEqual(selectTagExamples(nodes, examples, { vectors }).map(e => e.id), ['c', 'a']);
+  assert.deepEqual(selectTagExamples(nodes, examples).map(e => e.id), ['c']);
+  assert.deepEqual(selectTagExamples(nodes, examples, { vectors, limit: 1 }).map(e => e.id), ['c']);
+});
+
+test('tagNodes shows relevant examples in the system prompt', async () => {
+  const prompts = [];
+  const openai = {
+    async chat(messages) {
+      prompts.push(messages[0].content);
+      const items = JSON.parse(messages[1].content);
+      return { choices: [{ message: { content: JSON.stringify({ items: items.map(i => ({ id: i.id, tags: ['web', 'css', 'layout'], category: 'Technology' })) }) } }] };
+    }
+  };
+  const examples = [example('c', 'https://example.com/c', ['team-css']), example('d', 'https://unrelated.test/d', ['other'])];
+  await tagNodes([{ id: '1', title: 'Flexbox', url: 'https://example.com/flex' }], openai, { examples });
+  assert.match(prompts[0], /team-css/);
+  assert.doesNotMatch(prompts[0], /unrelated\.test/);
+
+  await tagNodes([{ id: '1', title: 'Flexbox', url: 'https://example.com/flex' }], openai);
+  assert.doesNotMatch(prompts[1], /corrected/);
+});
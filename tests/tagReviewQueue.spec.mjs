@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cleanEditedTags,
+  loadTagReviewQueue,
+  needsTagReview,
+  queueTagReviews,
+  removeTagReviews,
+  resolveConfidenceThreshold
+} from '../utils/tagReviewQueue.js';
+import { fakeChromeStorage } from './fixtures/chromeStorage.mjs';
+
+test('only scored results under the threshold need review', () => {
+  assert.equal(needsTagReview({ confidence: 0.4 }, 0.6), true);
+  assert.equal(needsTagReview({ confidence: 0.6 }, 0.6), false);
+  assert.equal(needsTagReview({ confidence: null }, 0.6), false);
+  assert.equal(needsTagReview({ confidence: 0.1 }, 0), false);
+  assert.equal(resolveConfidenceThreshold(''), 0.6);
+  assert.equal(resolveConfidenceThreshold('1.5'), 1);
+  assert.equal(resolveConfidenceThreshold(0), 0);
+});
+
+test('the queue keeps one entry per bookmark and survives reloads', async () => {
+  const { local } = fakeChromeStorage();
+  await Promise.all([
+    queueTagReviews([{ id: 1, title: 'A', url: 'https://a.test', tags: ['x'], tagConfidence: [0.2], category: 'Tools', confidence: 0.2 }]),
+    queueTagReviews([{ id: '2', title: 'B', tags: ['y'], confidence: 0.3 }])
+  ]);
+  await queueTagReviews([{ id: '1', title: 'A', tags: ['z'], confidence: 0.5, enrich: true }]);
+  assert.deepEqual(local.tagReviewQueue.map(e => [e.id, e.tags[0], e.enrich]), [['2', 'y', undefined], ['1', 'z', true]]);
+
+  const [removed] = await removeTagReviews(['2']);
+  assert.equal(removed.title, 'B');
+  assert.deepEqual((await loadTagReviewQueue()).map(e => e.id), ['1']);
+  assert.deepEqual(await removeTagReviews(['missing']), []);
+});
+
+test('cleanEditedTags trims and drops duplicates without padding', () => {
+  assert.deepEqual(cleanEditedTags([' CSS', 'css', '', 'café', 'café']), ['CSS', 'café']);
+});
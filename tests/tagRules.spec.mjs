@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchTagRules, mergeRuleMatch, parseTagRules } from '../utils/tagRules.js';
+import { tagNodes } from '../tagger.js';
+import { DEFAULT_TAXONOMY } from '../utils/taxonomy.js';
+
+test('parseTagRules normalizes domains and reports invalid rules', () => {
+  const { rules, errors } = parseTagRules(JSON.stringify([
+    { domain: 'https://www.GitHub.com/Org/', tags: [' repo '], skipModel: true },
+    { urlPattern: '/docs/', category: 'Reference' },
+    { titlePattern: '(', tags: ['x'] },
+    { tags: ['orphan'] },
+    { domain: 'example.com' },
+    { domain: 'example.com', category: 'News', skipModel: true }
+  ]));
+  assert.deepEqual(rules, [
+    { domain: 'github.com/org', tags: ['repo'], skipModel: true },
+    { urlPattern: '/docs/', tags: [], category: 'Reference', skipModel: false }
+  ]);
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /Rule 3: "titlePattern"/);
+  assert.deepEqual(parseTagRules('{').rules, []);
+  assert.deepEqual(parseTagRules(''), { rules: [], errors: [] });
+});
+
+test('matchTagRules checks domain paths, subdomains and patterns', () => {
+  const { rules } = parseTagRules([
+    { domain: 'github.com/org', tags: ['repo'], skipModel: true },
+    { domain: 'microsoft.com', urlPattern: '/docs?/', tags: ['docs'], category: 'Reference' },
+    { titlePattern: '^\\[rfc\\]', tags: ['rfc'] }
+  ]);
+  assert.deepEqual(matchTagRules({ url: 'https://github.com/org/tool', title: 'Tool' }, rules), { tags: ['repo'], category: null, skipModel: true });
+  assert.equal(matchTagRules({ url: 'https://github.com/organization', title: 'Other' }, rules), null);
+  assert.deepEqual(matchTagRules({ url: 'https://learn.microsoft.com/en-us/docs/x', title: '[RFC] Draft' }, rules), {
+    tags: ['docs', 'rfc'],
+    category: 'Reference',
+    skipModel: false
+  });
+  assert.equal(matchTagRules({ url: 'not a url', title: 'x' }, [{ domain: 'a.com', tags: ['a'] }]), null);
+});
+
+test('mergeRuleMatch puts rule tags first in place of filler tags', () => {
+  const merged = mergeRuleMatch({
+    id: '1',
+    tags: ['css', 'untagged', 'bookmark'],
+    category: 'Technology',
+    tagConfidence: [0.8, 0, 0],
+    categoryConfidence: 0.9,
+    confidence: 0.27
+  }, { tags: ['docs'], category: 'Reference', skipModel: false }, DEFAULT_TAXONOMY);
+  assert.deepEqual(merged.tags, ['docs', 'css']);
+  assert.deepEqual(merged.tagConfidence, [1, 0.8]);
+  assert.equal(merged.category, 'Reference');
+  assert.equal(merged.confidence, 0.9);
+});
+
+test('tagNodes sends only bookmarks the rules leave unresolved', async () => {
+  const sent = [];
+  const openai = {
+    async chat(messages) {
+      const items = JSON.parse(messages[1].content);
+      sent.push(...items.map(i => i.id));
+      return { choices: [{ message: { content: JSON.stringify({ items: items.map(i => ({ id: i.id, tags: [{ tag: 'layout', confidence: 0.9 }, { tag: 'web', confidence: 0.7 }, { tag: 'guide', confidence: 0.8 }], category: 'Technology', categoryConfidence: 0.9 })) }) } }] };
+    }
+  };
+  const { rules } = parseTagRules([
+    { domain: 'github.com/org', tags: ['repo'], category: 'Technology', skipModel: true },
+    { domain: 'example.com', tags: ['docs'] }
+  ]);
+  const tagged = await tagNodes([
+    { id: '1', title: 'Tool', url: 'https://github.com/org/tool' },
+    { id: '2', title: 'Grid', url: 'https://example.com/grid' },
+    { id: '3', title: 'Other', url: 'https://other.test/' }
+  ], openai, { rules });
+
+  assert.deepEqual(sent, ['2', '3']);
+  const byId = Object.fromEntries(tagged.map(t => [t.id, t]));
+  assert.deepEqual(byId['1'].tags, ['repo']);
+  assert.equal(byId['1'].tagSource, 'rule');
+  assert.equal(byId['1'].confidence, 1);
+  assert.deepEqual(byId['2'].tags, ['docs', 'layout', 'web', 'guide']);
+  assert.equal(byId['2'].tagSource, undefined);
+  assert.deepEqual(byId['3'].tags, ['layout', 'web', 'guide']);
+});
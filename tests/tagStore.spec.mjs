@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadTagStore,
+  migrateTitleTags,
+  parseTagSuffix,
+  removeTagEntries,
+  saveTagEntries,
+  TAG_STORE_MIGRATION_KEY
+} from '../utils/tagStore.js';
+import { writeTags } from '../writer.js';
+import { fakeChromeStorage } from './fixtures/chromeStorage.mjs';
+
+function fakeChrome(tree = []) {
+  const { local } = fakeChromeStorage();
+  const updates = [];
+  globalThis.chrome.bookmarks = {
+    async getTree() {
+      return tree;
+    },
+    async update(id, changes) {
+      updates.push([id, changes.title]);
+    }
+  };
+  return { local, updates };
+}
+
+test('parseTagSuffix splits the title from its tag suffix', () => {
+  assert.deepEqual(parseTagSuffix('MDN Web Docs -- #docs #web'), { title: 'MDN Web Docs', tags: ['docs', 'web'] });
+  assert.deepEqual(parseTagSuffix('Plain -- not tags'), { title: 'Plain -- not tags', tags: [] });
+});
+
+test('migrateTitleTags copies title tags once and keeps existing entries', async () => {
+  const { local } = fakeChrome([{
+    id: '0',
+    children: [
+      { id: '1', title: 'Guide -- #docs #guide', url: 'https://a.test/' },
+      { id: '2', title: 'Tools -- #cli', url: 'https://b.test/' },
+      { id: '3', title: 'Untagged', url: 'https://c.test/' }
+    ]
+  }]);
+  await saveTagEntries([{ id: '2', tags: ['terminal'], category: 'Tools' }], 'user');
+
+  assert.equal(await migrateTitleTags(), 1);
+  assert.equal(local[TAG_STORE_MIGRATION_KEY], true);
+  const store = await loadTagStore();
+  assert.deepEqual(store['1'].tags, ['docs', 'guide']);
+  assert.equal(store['1'].source, 'ai');
+  assert.equal(store['2'].source, 'user');
+  assert.equal(store['3'], undefined);
+  assert.equal(await migrateTitleTags(), 0);
+});
+
+test('writeTags stores tags and only retitles while title tags are on', async () => {
+  const { updates } = fakeChrome();
+  const item = { id: '7', title: 'Guide -- #old', tags: ['docs', 'guide'], category: 'Learning' };
+
+  await writeTags([item], [], { titleTags: false });
+  assert.deepEqual(updates, []);
+  const first = (await loadTagStore())['7'];
+  assert.equal(first.category, 'Learning');
+
+  await writeTags([{ ...item, tags: ['docs'] }]);
+  assert.deepEqual(updates, [['7', 'Guide -- #docs']]);
+  const second = (await loadTagStore())['7'];
+  assert.equal(second.createdAt, first.createdAt);
+  assert.deepEqual(second.tags, ['docs']);
+
+  await removeTagEntries(['7']);
+  assert.deepEqual(await loadTagStore(), {});
+});
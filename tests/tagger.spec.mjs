@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTagResults, tagNodes, tagResponseFormat } from '../tagger.js';
+
+const node = id => ({ id, title: `Page ${id}`, url: `https://example.com/${id}` });
+const reply = items => ({ choices: [{ message: { content: JSON.stringify({ items }) } }] });
+const tagsFor = id => ({ id, tags: [`topic-${id}`, 'docs', 'guide'], category: 'Learning' });
+
+test('parseTagResults keys results by id and drops unknown or tagless items', () => {
+  const results = parseTagResults(JSON.stringify({
+    items: [tagsFor('b'), { id: 'x', tags: ['docs'], category: 'Tools' }, { id: 'a', tags: [], category: 'Tools' }]
+  }), new Set(['a', 'b']));
+  assert.deepEqual([...results.keys()], ['b']);
+  assert.equal(results.get('b').category, 'Learning');
+  assert.equal(parseTagResults('not json', new Set(['a'])).size, 0);
+});
+
+test('tagNodes matches replies by id and retries only the missing items', async () => {
+  const requests = [];
+  const openai = {
+    async chat(messages, opts) {
+      assert.deepEqual(opts.response_format, tagResponseFormat());
+      const ids = JSON.parse(messages[1].content).map(item => item.id);
+      requests.push(ids);
+      // First reply is out of order, skips c and mangles d
+      if (requests.length === 1) return reply([tagsFor('b'), tagsFor('a'), { id: 'd', tags: 'oops' }]);
+      return reply(ids.map(tagsFor));
+    }
+  };
+
+  const tagged = await tagNodes(['a', 'b', 'c', 'd'].map(node), openai);
+  assert.deepEqual(requests, [['a', 'b', 'c', 'd'], ['c', 'd']]);
+  assert.deepEqual(tagged.map(n => [n.id, n.tags[0]]), [
+    ['a', 'topic-a'], ['b', 'topic-b'], ['c', 'topic-c'], ['d', 'topic-d']
+  ]);
+});
+
+test('tagNodes falls back to untagged when the retry still misses items', async () => {
+  let calls = 0;
+  const openai = {
+    async chat() {
+      calls++;
+      return calls === 1 ? reply([tagsFor('a')]) : { choices: [{ message: { content: '[' } }] };
+    }
+  };
+  const tagged = await tagNodes([node('a'), node('b')], openai);
+  assert.equal(calls, 2);
+  assert.equal(tagged[0].tags[0], 'topic-a');
+  assert.deepEqual(tagged[1].tags, ['untagged']);
+});
+
+test('tagNodes retries a failed request in smaller requests', async () => {
+  const requests = [];
+  const openai = {
+    async chat(messages) {
+      const ids = JSON.parse(messages[1].content).map(item => item.id);
+      requests.push(ids);
+      if (requests.length === 1) throw new Error('Chat error 429: rate limited');
+      if (ids.includes('c')) throw new Error('Chat error 400: schema rejected');
+      return reply(ids.map(tagsFor));
+    }
+  };
+
+  const tagged = await tagNodes(['a', 'b', 'c', 'd'].map(node), openai);
+  assert.deepEqual(requests, [['a', 'b', 'c', 'd'], ['a', 'b'], ['c', 'd']]);
+  assert.deepEqual(tagged.map(n => n.tags[0]), ['topic-a', 'topic-b', 'untagged', 'untagged']);
+});
+
+test('tagNodes sends page excerpts and keeps each request within the token limit', async () => {
+  const prompts = [];
+  const openai = {
+    async chat(messages) {
+      const items = JSON.parse(messages[1].content);
+      prompts.push({ tokens: Math.ceil((messages[0].content.length + messages[1].content.length) / 4), items });
+      return reply(items.map(item => tagsFor(item.id)));
+    }
+  };
+  const longText = 'Lorem ipsum dolor sit amet '.repeat(200);
+  const pageCache = { get: url => (url === 'https://example.com/b' ? { excerpt: 'Cached page excerpt' } : null) };
+  const nodes = [{ ...node('a'), content: longText }, node('b'), node('c'), ...['d', 'e', 'f', 'g', 'h'].map(id => ({ ...node(id), content: longText }))];
+
+  const tagged = await tagNodes(nodes, openai, { pageCache, maxBatchTokens: 1200 });
+  assert.deepEqual(tagged.map(n => n.id), ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+  assert.ok(prompts.length > 1);
+  for (const prompt of prompts) assert.ok(prompt.tokens <= 1200, `${prompt.tokens} tokens`);
+
+  const items = new Map(prompts.flatMap(p => p.items).map(item => [item.id, item]));
+  assert.ok(items.get('a').excerpt.startsWith('Lorem ipsum'));
+  assert.ok(items.get('a').excerpt.length < longText.length / 4);
+  assert.equal(items.get('b').excerpt, 'Cached page excerpt');
+  assert.equal(items.get('c').excerpt, undefined);
+});
+
+test('tagNodes asks for tags in the chosen language and returns the page language', async () => {
+  let request;
+  const openai = {
+    async chat(messages) {
+      request = { prompt: messages[0].content, items: JSON.parse(messages[1].content) };
+      return reply(request.items.map(item => tagsFor(item.id)));
+    }
+  };
+  const pageCache = { get: () => ({ excerpt: 'Eine Anleitung', language: 'de' }) };
+  const [tagged] = await tagNodes([node('a')], openai, { language: 'es', pageCache });
+  assert.match(request.prompt, /Write every tag in Spanish/);
+  assert.equal(request.items[0].language, 'de');
+  assert.equal(tagged.language, 'de');
+});
+
+test('parseTagResults scores tags and counts padding as unsure', () => {
+  const results = parseTagResults(JSON.stringify({
+    items: [
+      { id: 'a', tags: [{ tag: 'docs', confidence: 0.9 }, { tag: 'guide', confidence: 0.7 }, { tag: 'api', confidence: 0.8 }], category: 'Learning', categoryConfidence: 0.95 },
+      { id: 'b', tags: [{ tag: 'docs', confidence: 0.9 }, { tag: 'web', confidence: 1.4 }], category: 'Reference', categoryConfidence: 0.3 }
+    ]
+  }), new Set(['a', 'b']));
+  const a = results.get('a');
+  assert.deepEqual(a.tagConfidence, [0.9, 0.7, 0.8]);
+  assert.ok(Math.abs(a.confidence - 0.8) < 1e-9);
+  const b = results.get('b');
+  assert.deepEqual(b.tags, ['docs', 'web', 'untagged']);
+  assert.deepEqual(b.tagConfidence, [0.9, 1, 0]);
+  assert.equal(b.confidence, 0.3);
+  assert.equal(parseTagResults(JSON.stringify({ items: [tagsFor('c')] }), new Set(['c'])).get('c').confidence, null);
+});
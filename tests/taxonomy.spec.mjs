@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  categoryPaths,
+  DEFAULT_TAXONOMY,
+  defaultTaxonomy,
+  describeTaxonomy,
+  isDefaultTaxonomy,
+  loadTaxonomy,
+  normalizeTaxonomy,
+  parseTaxonomyJson,
+  resolveCategory,
+  TAXONOMY_STORAGE_KEY
+} from '../utils/taxonomy.js';
+import { validateTags } from '../utils/tagValidator.js';
+import { tagNodes } from '../tagger.js';
+import { fakeChromeStorage } from './fixtures/chromeStorage.mjs';
+
+const team = normalizeTaxonomy({
+  categories: [
+    { name: 'Engineering', description: 'Code and infrastructure', subcategories: ['Frontend', 'Back/end', 'frontend'] },
+    { name: 'engineering', description: 'duplicate' },
+    { name: 'Research' },
+    { name: '  ' }
+  ],
+  blacklist: ['Todo', ' todo '],
+  synonyms: { JS: 'javascript', dev: 'Engineering', same: 'same' }
+});
+
+test('normalizeTaxonomy cleans names and keeps one entry per category', () => {
+  assert.deepEqual(team.categories.map(c => c.name), ['Engineering', 'Research']);
+  assert.deepEqual(team.categories[0].subcategories, ['Frontend', 'Back end']);
+  assert.deepEqual(team.blacklist, ['todo']);
+  assert.deepEqual(team.synonyms, { js: 'javascript', dev: 'Engineering' });
+  assert.deepEqual(categoryPaths(team), ['Engineering', 'Engineering/Frontend', 'Engineering/Back end', 'Research']);
+  assert.deepEqual(normalizeTaxonomy({}).categories, DEFAULT_TAXONOMY.categories);
+});
+
+test('resolveCategory matches case-insensitively and falls back to the parent', () => {
+  assert.equal(resolveCategory('engineering/frontend', team), 'Engineering/Frontend');
+  assert.equal(resolveCategory('Engineering/Mobile', team), 'Engineering');
+  assert.equal(resolveCategory('dev', team), 'Engineering');
+  // No Reference category here, so the first one is the fallback
+  assert.equal(resolveCategory('Cooking', team), 'Engineering');
+  assert.equal(resolveCategory('Cooking', DEFAULT_TAXONOMY), 'Reference');
+});
+
+test('validateTags applies the blacklist and synonyms', () => {
+  const { tags, category } = validateTags(['JS', 'javascript', 'TODO', 'react', 'css'], 'Research', team);
+  assert.deepEqual(tags, ['javascript', 'react', 'css']);
+  assert.equal(category, 'Research');
+  assert.equal(validateTags(['misc', 'docs', 'guide', 'api'], 'Nope').category, 'Reference');
+  assert.deepEqual(validateTags(['misc', 'docs', 'guide', 'api'], 'Nope').tags, ['docs', 'guide', 'api']);
+});
+
+test('validateTags keeps accented and CJK tags and folds decomposed accents', () => {
+  const { tags } = validateTags(['cafe\u0301', 'café', 'Ñandú', '日本', 'ab', '🚀x'], 'Learning');
+  assert.deepEqual(tags, ['café', 'Ñandú', '日本']);
+});
+
+test('an unedited default taxonomy follows the tag language', async () => {
+  const spanish = defaultTaxonomy('es');
+  assert.equal(spanish.categories[0].name, 'Desarrollo');
+  assert.equal(resolveCategory('Cooking', spanish), 'Referencia');
+  assert.ok(isDefaultTaxonomy(DEFAULT_TAXONOMY) && isDefaultTaxonomy(spanish));
+  assert.ok(!isDefaultTaxonomy(team));
+
+  const { sync } = fakeChromeStorage({ sync: { [TAXONOMY_STORAGE_KEY]: DEFAULT_TAXONOMY } });
+  assert.equal((await loadTaxonomy('de')).categories[0].name, 'Entwicklung');
+  sync[TAXONOMY_STORAGE_KEY] = team;
+  assert.deepEqual(await loadTaxonomy('de'), team);
+});
+
+test('parseTaxonomyJson rejects files without categories', () => {
+  assert.match(parseTaxonomyJson('{').error, /Invalid JSON/);
+  assert.match(parseTaxonomyJson('{"categories": []}').error, /at least one/);
+  assert.equal(parseTaxonomyJson('{"categories": ["Ops"]}').taxonomy.categories[0].name, 'Ops');
+});
+
+test('tagNodes sends the taxonomy in the prompt and schema', async () => {
+  let request;
+  const openai = {
+    async chat(messages, opts) {
+      request = { prompt: messages[0].content, schema: opts.response_format.json_schema.schema };
+      return { choices: [{ message: { content: JSON.stringify({ items: [{ id: '1', tags: ['js', 'ui', 'web'], category: 'Engineering/Frontend' }] }) } }] };
+    }
+  };
+  const [tagged] = await tagNodes([{ id: '1', title: 'React docs', url: 'https://react.dev/' }], openai, { taxonomy: team });
+  assert.ok(request.prompt.includes(describeTaxonomy(team)));
+  assert.deepEqual(request.schema.properties.items.items.properties.category.enum, categoryPaths(team));
+  assert.equal(tagged.category, 'Engineering/Frontend');
+  assert.deepEqual(tagged.tags, ['javascript', 'web', 'untagged']);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupeNodes } from '../embeddings.js';
+import {
+  buildHistogram,
+  nearestNeighbourPairs,
+  normalizeThresholds,
+  samplePairs,
+  thresholdsFor
+} from '../utils/thresholdCalibration.js';
+
+const limiter = { execute: fn => fn() };
+
+test('normalizeThresholds keeps valid per-model entries and fills in cross-domain', () => {
+  assert.deepEqual(normalizeThresholds({
+    'embed-small': { sameDomain: 0.88 },
+    'embed-large': { sameDomain: 0.8, crossDomain: 0.9 },
+    broken: { sameDomain: 1.4 },
+    '': { sameDomain: 0.9 }
+  }), {
+    'embed-small': { sameDomain: 0.88, crossDomain: 0.93 },
+    'embed-large': { sameDomain: 0.8, crossDomain: 0.9 }
+  });
+  assert.deepEqual(normalizeThresholds(null), {});
+});
+
+test('thresholdsFor falls back to the default plus the cross-domain margin', () => {
+  const stored = { 'embed-small': { sameDomain: 0.86, crossDomain: 0.9 } };
+  assert.deepEqual(thresholdsFor(stored, 'embed-small', 0.9), { sameDomain: 0.86, crossDomain: 0.9, calibrated: true });
+  const fallback = thresholdsFor(stored, 'embed-large', 0.9);
+  assert.equal(fallback.calibrated, false);
+  assert.ok(Math.abs(fallback.crossDomain - 0.95) < 1e-9);
+});
+
+test('nearestNeighbourPairs pairs each bookmark with its closest other bookmark once', () => {
+  const pairs = nearestNeighbourPairs([
+    { id: 'a', title: 'A', url: 'https://one.test/a', vector: [1, 0, 0] },
+    { id: 'b', title: 'B', url: 'https://one.test/b', vector: [0.98, 0.2, 0] },
+    { id: 'c', title: 'C', url: 'https://two.test/c', vector: [0, 0.1, 1] },
+    { id: 'd', title: 'D', url: 'https://three.test/d', vector: [0, 0.3, 0.95] }
+  ]);
+  const byKey = Object.fromEntries(pairs.map(p => [[p.a.id, p.b.id].sort().join(''), p]));
+  assert.deepEqual(Object.keys(byKey).sort(), ['ab', 'cd']);
+  assert.equal(byKey.ab.sameDomain, true);
+  assert.equal(byKey.cd.sameDomain, false);
+  assert.ok(byKey.ab.similarity > 0.95);
+});
+
+test('buildHistogram and samplePairs describe the distribution around cut-offs', () => {
+  const pair = (similarity, sameDomain = true) => ({ a: { id: 'x' }, b: { id: 'y' }, similarity, sameDomain });
+  const pairs = [pair(0.81), pair(0.89, false), pair(0.91), pair(0.99), pair(1)];
+  const bins = buildHistogram(pairs, { binWidth: 0.05 });
+  assert.equal(bins.length, 4);
+  assert.ok(Math.abs(bins[0].from - 0.8) < 1e-9);
+  assert.deepEqual(bins.map(b => b.sameDomain + b.crossDomain), [1, 1, 1, 2]);
+  assert.equal(bins[1].crossDomain, 1);
+
+  const [around] = samplePairs(pairs, [0.9], 1);
+  assert.equal(around.above[0].similarity, 0.91);
+  assert.equal(around.below[0].similarity, 0.89);
+});
+
+test('dedupeNodes applies a separate cross-domain threshold', async () => {
+  const openai = {
+    embeddingModel: 'embed-small',
+    async embed(input) {
+      const vectors = { Guide: [1, 0], 'Guide copy': [0.93, 0.368] };
+      return { data: input.map((text, index) => ({ index, embedding: vectors[text.split('\n')[0]] })) };
+    }
+  };
+  const nodes = [
+    { id: '1', title: 'Guide', url: 'https://one.test/guide' },
+    { id: '2', title: 'Guide copy', url: 'https://two.test/guide' }
+  ];
+  const strict = await dedupeNodes(nodes, openai, { limiter, enableScraping: false, threshold: 0.9 });
+  assert.equal(strict.dupes.length, 0);
+  const relaxed = await dedupeNodes(nodes, openai, {
+    limiter,
+    enableScraping: false,
+    threshold: 0.9,
+    crossDomainThreshold: 0.9
+  });
+  assert.deepEqual(relaxed.dupes.map(d => d.id), ['2']);
+});
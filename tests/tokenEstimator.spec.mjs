@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, excerptText, truncateToTokens } from '../utils/tokenEstimator.js';
+
+test('alphabetic text counts four characters per token', () => {
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(truncateToTokens('abcdefghij', 2), 'abcdefgh');
+});
+
+test('CJK characters count about one token each and are truncated to fit', () => {
+  const text = '東京の天気は晴れです';
+  assert.equal(estimateTokens(text), 10);
+  assert.equal(estimateTokens('한국어 text'), 5);
+  const cut = truncateToTokens(`${text}${text}`, 6);
+  assert.equal(cut, '東京の天気は');
+  assert.ok(estimateTokens(excerptText(text.repeat(20), 30)) <= 31);
+});
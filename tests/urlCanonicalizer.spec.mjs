@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalizeUrl,
+  parseCanonicalRules,
+  setCustomCanonicalRules
+} from '../utils/urlCanonicalizer.js';
+import { normalizeUrlForKey } from '../utils/url.js';
+
+const cases = [
+  // [description, input, expected]
+  ['lowercases and trims trailing slashes', 'HTTPS://Example.com/Docs/', 'https://example.com/docs'],
+  ['keeps the root path', 'https://example.com', 'https://example.com/'],
+  ['strips utm_* parameters', 'https://example.com/a?utm_source=x&utm_medium=y&id=3', 'https://example.com/a?id=3'],
+  ['strips click ids', 'https://example.com/a?fbclid=abc&gclid=def&msclkid=1', 'https://example.com/a'],
+  ['sorts query parameters', 'https://example.com/search?q=cats&page=2&lang=en', 'https://example.com/search?lang=en&page=2&q=cats'],
+  ['folds www', 'https://www.example.com/a', 'https://example.com/a'],
+  ['folds mobile hosts', 'https://m.example.com/a', 'https://example.com/a'],
+  ['folds inner mobile labels', 'https://en.m.wikipedia.org/wiki/URL', 'https://en.wikipedia.org/wiki/url'],
+  ['keeps two-label hosts intact', 'https://m.com/a', 'https://m.com/a'],
+  ['unwraps the Google AMP viewer', 'https://www.google.com/amp/s/www.example.com/news/story', 'https://example.com/news/story'],
+  ['unwraps the AMP cache', 'https://example-com.cdn.ampproject.org/c/s/example.com/news/story/amp/', 'https://example.com/news/story'],
+  ['drops a trailing /amp segment', 'https://example.com/news/story/amp', 'https://example.com/news/story'],
+  ['drops the amp query flag', 'https://example.com/story?amp=1', 'https://example.com/story'],
+  ['strips plain fragments', 'https://example.com/docs#section-2', 'https://example.com/docs'],
+  ['keeps hash routes', 'https://app.example.com/#/settings/profile', 'https://app.example.com/#/settings/profile'],
+  ['keeps hashbang routes', 'https://example.com/#!/inbox', 'https://example.com/#!/inbox'],
+  ['keeps fragments where a site rule says so', 'https://mail.google.com/mail/u/0/#inbox', 'https://mail.google.com/mail/u/0#inbox'],
+  ['keeps only allowlisted YouTube params', 'https://www.youtube.com/watch?v=abc123&feature=share&t=42', 'https://youtube.com/watch?v=abc123'],
+  ['expands youtu.be short links', 'https://youtu.be/abc123?si=xyz', 'https://youtube.com/watch?v=abc123'],
+  ['folds twitter.com into x.com', 'https://mobile.twitter.com/user/status/1?s=20', 'https://x.com/user/status/1'],
+  ['keeps non-default ports', 'http://example.com:8080/a/', 'http://example.com:8080/a'],
+  ['leaves other schemes alone', 'ftp://Example.com/File', 'ftp://example.com/file'],
+  ['falls back for unparsable input', '  Not A URL ', 'not a url']
+];
+
+for (const [description, input, expected] of cases) {
+  test(`canonicalizeUrl ${description}`, () => {
+    assert.equal(canonicalizeUrl(input), expected);
+  });
+}
+
+test('variants of one page share a normalizeUrlForKey key', () => {
+  const variants = [
+    'https://www.example.com/post/?utm_campaign=spring&b=2&a=1#comments',
+    'https://example.com/post?a=1&b=2',
+    'https://m.example.com/post/amp?a=1&b=2&fbclid=zzz'
+  ];
+  const keys = new Set(variants.map(normalizeUrlForKey));
+  assert.equal(keys.size, 1);
+});
+
+test('custom rules add stripped params, allowlists and fragment modes', () => {
+  setCustomCanonicalRules([
+    { host: 'shop.example', stripParams: ['ref', 'session*'] },
+    { host: 'docs.example', fragment: 'keep' },
+    { host: 'news.example', keepParams: ['id'] }
+  ]);
+  try {
+    assert.equal(canonicalizeUrl('https://shop.example/item?ref=home&sessionid=9&sku=4'), 'https://shop.example/item?sku=4');
+    assert.equal(canonicalizeUrl('https://docs.example/guide#install'), 'https://docs.example/guide#install');
+    assert.equal(canonicalizeUrl('https://news.example/read?id=7&from=rss'), 'https://news.example/read?id=7');
+  } finally {
+    setCustomCanonicalRules([]);
+  }
+  assert.equal(canonicalizeUrl('https://shop.example/item?ref=home'), 'https://shop.example/item?ref=home');
+});
+
+test('parseCanonicalRules reports invalid entries', () => {
+  const { rules, errors } = parseCanonicalRules(JSON.stringify([
+    { host: 'ok.example', stripParams: ['x'] },
+    { stripParams: ['y'] },
+    { host: 'bad.example', fragment: 'sometimes' },
+    { host: 'regex.example', stripPath: '(' }
+  ]));
+  assert.deepEqual(rules, [{ host: 'ok.example', stripParams: ['x'] }]);
+  assert.equal(errors.length, 3);
+  assert.match(parseCanonicalRules('{').errors[0], /Invalid JSON/);
+});
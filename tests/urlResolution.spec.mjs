@@ -0,0 +1,165 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupeNodes } from '../embeddings.js';
+import { UrlResolutionCache, URL_RESOLUTION_STORAGE_KEY } from '../utils/urlResolutionCache.js';
+import { makePairKey } from '../utils/url.js';
+import { fakeChromeStorage } from './fixtures/chromeStorage.mjs';
+import { fakeOpenAI } from './fixtures/openai.mjs';
+
+const limiter = { execute: fn => fn() };
+
+// Pages served by the fake offscreen document, keyed by requested URL.
+let pages = {};
+let fetched = [];
+let stored = {};
+
+beforeEach(() => {
+  pages = {};
+  fetched = [];
+  ({ local: stored } = fakeChromeStorage());
+  Object.assign(globalThis.chrome, {
+    offscreen: { hasDocument: async () => true },
+    runtime: {
+      lastError: undefined,
+      sendMessage(msg, callback) {
+        fetched.push(msg.url);
+        const page = pages[msg.url];
+        callback(page ? { ok: true, ...page } : { ok: false });
+      }
+    }
+  });
+});
+
+// Distinct, orthogonal vectors per input so only URL rules can link bookmarks.
+function fakeEmbedder() {
+  const seen = new Map();
+  return fakeOpenAI((text) => {
+    if (!seen.has(text)) seen.set(text, seen.size);
+    const vector = new Array(16).fill(0);
+    vector[seen.get(text) % 16] = 1;
+    return vector;
+  });
+}
+
+function fakeStorage() {
+  const saved = new Map();
+  return {
+    saved,
+    async getVectorEntry(url) {
+      return saved.get(url) || null;
+    },
+    async saveVector(url, vector, _localOnly, meta) {
+      saved.set(url, { vector, ...meta, dims: vector.length });
+    },
+    async getModelDims() {
+      return undefined;
+    },
+    async recordModelDims() {}
+  };
+}
+
+test('bookmarks that redirect to the same page are exact duplicates', async () => {
+  pages = {
+    'https://bit.ly/abc': { text: 'Short link body', finalUrl: 'https://example.com/article' },
+    'https://example.com/article': { text: 'Article body', finalUrl: 'https://example.com/article' }
+  };
+  const nodes = [
+    { id: '1', title: 'Article', url: 'https://example.com/article' },
+    { id: '2', title: 'Short link', url: 'https://bit.ly/abc' }
+  ];
+  const { dupes, clusters } = await dedupeNodes(nodes, fakeEmbedder(), { limiter });
+  assert.deepEqual(dupes.map(d => d.id), ['2']);
+  assert.equal(clusters[0].similarities[0].similarity, 1);
+  assert.equal(dupes[0].reason.type, 'resolved');
+  assert.equal(dupes[0].reason.via, 'redirect');
+});
+
+test('canonical links match across hosts and protocols', async () => {
+  pages = {
+    'http://old.example.org/post?id=7': {
+      text: 'Old copy',
+      finalUrl: 'http://old.example.org/post?id=7',
+      canonicalUrl: 'https://blog.example.org/posts/seven'
+    },
+    'https://blog.example.org/posts/seven': { text: 'New copy', finalUrl: 'https://blog.example.org/posts/seven' }
+  };
+  const nodes = [
+    { id: '1', title: 'Old', url: 'http://old.example.org/post?id=7' },
+    { id: '2', title: 'New', url: 'https://blog.example.org/posts/seven' }
+  ];
+  const { dupes } = await dedupeNodes(nodes, fakeEmbedder(), { limiter });
+  assert.deepEqual(dupes.map(d => d.id), ['2']);
+  assert.equal(dupes[0].reason.via, 'canonical');
+});
+
+test('a canonical pointing a deep page at the site root is ignored', async () => {
+  pages = {
+    'https://shop.example.com/item/1': { text: 'One', finalUrl: 'https://shop.example.com/item/1', canonicalUrl: 'https://shop.example.com/' },
+    'https://shop.example.com/item/2': { text: 'Two', finalUrl: 'https://shop.example.com/item/2', canonicalUrl: 'https://shop.example.com/' }
+  };
+  const nodes = [
+    { id: '1', title: 'One', url: 'https://shop.example.com/item/1' },
+    { id: '2', title: 'Two', url: 'https://shop.example.com/item/2' }
+  ];
+  const { dupes } = await dedupeNodes(nodes, fakeEmbedder(), { limiter });
+  assert.equal(dupes.length, 0);
+});
+
+test('ignored pairs are not linked by resolved URLs', async () => {
+  pages = {
+    'https://a.example.com/x': { text: 'A', finalUrl: 'https://example.com/x' },
+    'https://example.com/x': { text: 'B', finalUrl: 'https://example.com/x' }
+  };
+  const nodes = [
+    { id: '1', title: 'A', url: 'https://a.example.com/x' },
+    { id: '2', title: 'B', url: 'https://example.com/x' }
+  ];
+  const ignorePairs = new Set([makePairKey('https://a.example.com/x', 'https://example.com/x')]);
+  const { dupes } = await dedupeNodes(nodes, fakeEmbedder(), { limiter, ignorePairs });
+  assert.equal(dupes.length, 0);
+});
+
+test('repeat runs within the TTL reuse the resolution without refetching', async () => {
+  pages = {
+    'https://bit.ly/abc': { text: 'Short link body', finalUrl: 'https://example.com/article' },
+    'https://example.com/article': { text: 'Article body', finalUrl: 'https://example.com/article' }
+  };
+  const nodes = [
+    { id: '1', title: 'Article', url: 'https://example.com/article' },
+    { id: '2', title: 'Short link', url: 'https://bit.ly/abc' }
+  ];
+  const storage = fakeStorage();
+  const openai = fakeEmbedder();
+
+  const first = await new UrlResolutionCache().load();
+  await dedupeNodes(nodes, openai, { limiter, storage, pageCache: first });
+  await first.save();
+  assert.equal(fetched.length, 2);
+  assert.equal(stored[URL_RESOLUTION_STORAGE_KEY]['https://bit.ly/abc'].finalUrl, 'https://example.com/article');
+
+  fetched = [];
+  const second = await new UrlResolutionCache().load();
+  const { dupes } = await dedupeNodes(nodes, openai, { limiter, storage, pageCache: second });
+  assert.deepEqual(fetched, []);
+  assert.deepEqual(dupes.map(d => d.id), ['2']);
+
+  // A renamed bookmark changes the embedded text, so the page is scraped again
+  fetched = [];
+  const renamed = [nodes[0], { ...nodes[1], title: 'Renamed' }];
+  await dedupeNodes(renamed, openai, { limiter, storage, pageCache: second });
+  assert.deepEqual(fetched, ['https://bit.ly/abc']);
+});
+
+test('expired resolutions are dropped on load', async () => {
+  const now = Date.now();
+  stored[URL_RESOLUTION_STORAGE_KEY] = {
+    'https://fresh.example.com/': { finalUrl: 'https://fresh.example.com/', checkedAt: now - 1000 },
+    'https://stale.example.com/': { finalUrl: 'https://stale.example.com/', checkedAt: now - 10_000 }
+  };
+  const cache = await new UrlResolutionCache(5000).load();
+  assert.ok(cache.get('https://fresh.example.com/'));
+  assert.equal(cache.get('https://stale.example.com/'), null);
+
+  await cache.save();
+  assert.deepEqual(Object.keys(stored[URL_RESOLUTION_STORAGE_KEY]), ['https://fresh.example.com/']);
+});
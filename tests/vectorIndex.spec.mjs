@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VectorIndex } from '../lib/vectorIndex.js';
+import { cosineSimilarity } from '../lib/cosine.js';
+
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Embedding-like corpus: vectors live near a low-dimensional subspace, and
+// every tenth item is a lightly perturbed copy of a recent one.
+function buildCorpus(count, dims, seed = 7) {
+  const random = seededRandom(seed);
+  const latentDims = 16;
+  const projection = Array.from({ length: dims }, () =>
+    Float32Array.from({ length: latentDims }, () => random() - 0.5)
+  );
+  const vectors = [];
+  const plantedDuplicates = new Set();
+
+  for (let i = 0; i < count; i++) {
+    const v = new Float32Array(dims);
+    if (i % 10 === 9) {
+      const source = vectors[i - 1 - Math.floor(random() * 5)];
+      for (let d = 0; d < dims; d++) v[d] = source[d] + (random() - 0.5) * 0.01;
+      plantedDuplicates.add(i);
+    } else {
+      const z = Float32Array.from({ length: latentDims }, () => random() - 0.5);
+      for (let d = 0; d < dims; d++) {
+        let sum = 0;
+        for (let j = 0; j < latentDims; j++) sum += projection[d][j] * z[j];
+        v[d] = sum + (random() - 0.5) * 0.02;
+      }
+    }
+    vectors.push(v);
+  }
+
+  return { vectors, plantedDuplicates };
+}
+
+// Mirrors the dedupeNodes loop: compare each item to everything kept so far.
+function linearDedupe(vectors, threshold) {
+  const keep = [];
+  const dupes = new Set();
+  let comparisons = 0;
+  vectors.forEach((v, i) => {
+    let best = -1;
+    comparisons += keep.length;
+    for (const k of keep) {
+      const sim = cosineSimilarity(v, k);
+      if (sim > best) best = sim;
+    }
+    if (best > threshold) dupes.add(i);
+    else keep.push(v);
+  });
+  return { dupes, comparisons };
+}
+
+// Distance computations are counted instead of timed, so the result doesn't
+// depend on how busy the machine is
+function indexedDedupe(vectors, threshold) {
+  const index = new VectorIndex();
+  const distance = index._dist;
+  let comparisons = 0;
+  index._dist = (q, node) => {
+    comparisons++;
+    return distance.call(index, q, node);
+  };
+  const dupes = new Set();
+  vectors.forEach((v, i) => {
+    const [top] = index.search(v, 8);
+    if (top && top.similarity > threshold) dupes.add(i);
+    else index.add(i, v);
+  });
+  return { dupes, comparisons };
+}
+
+test('search returns nearest neighbours ordered by similarity', () => {
+  const index = new VectorIndex();
+  index.add('a', new Float32Array([1, 0, 0]));
+  index.add('b', new Float32Array([0.9, 0.1, 0]));
+  index.add('c', new Float32Array([0, 1, 0]));
+
+  const results = index.search(new Float32Array([1, 0.05, 0]), 2);
+  assert.deepEqual(results.map(r => r.id), ['a', 'b']);
+  assert.ok(results[0].similarity >= results[1].similarity);
+  assert.ok(results[0].similarity > 0.99);
+});
+
+test('ignores empty, zero and mismatched-dimension vectors', () => {
+  const index = new VectorIndex();
+  assert.equal(index.add('empty', new Float32Array(0)), false);
+  assert.equal(index.add('zero', new Float32Array([0, 0])), false);
+  assert.equal(index.add('ok', new Float32Array([1, 2])), true);
+  assert.equal(index.add('wide', new Float32Array([1, 2, 3])), false);
+  assert.equal(index.size, 1);
+  assert.deepEqual(index.search(new Float32Array([1, 2, 3]), 3), []);
+});
+
+test('indexed dedupe matches the linear scan with fewer comparisons', () => {
+  const { vectors, plantedDuplicates } = buildCorpus(3000, 128);
+  const { dupes: linear, comparisons: linearComparisons } = linearDedupe(vectors, 0.95);
+  const { dupes: indexed, comparisons: indexedComparisons } = indexedDedupe(vectors, 0.95);
+
+  const found = [...plantedDuplicates].filter(i => indexed.has(i)).length;
+  assert.ok(found / plantedDuplicates.size >= 0.98, `recall ${found}/${plantedDuplicates.size}`);
+  const agreement = [...linear].filter(i => indexed.has(i)).length;
+  assert.ok(agreement / linear.size >= 0.98, `agreement ${agreement}/${linear.size}`);
+  assert.ok(
+    indexedComparisons * 2 < linearComparisons,
+    `expected the index (${indexedComparisons} comparisons) to need a fraction of the linear scan's (${linearComparisons})`
+  );
+});
+
+test('cosineSimilarity does not compare vectors of different sizes', () => {
+  assert.equal(cosineSimilarity([1, 0, 0], [1, 0]), 0);
+  assert.equal(cosineSimilarity([0.6, 0.8], [0.6, 0.8]).toFixed(6), '1.000000');
+});
@@ -0,0 +1,203 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeVector, encodeVector, selectEvictions, VectorStore } from '../utils/vectorStore.js';
+import { MODEL_DIMS_KEY, StorageManager, VECTOR_MIGRATION_KEY } from '../utils/storageManager.js';
+import { resolveExpectedVectors } from '../embeddings.js';
+import { fakeChromeStorage } from './fixtures/chromeStorage.mjs';
+import { fakeOpenAI } from './fixtures/openai.mjs';
+
+// Just enough of IndexedDB for VectorStore: keyPath stores with get, put,
+// delete, getAll and clear, async requests and transaction completion.
+function fakeIndexedDB() {
+  const databases = new Map();
+  const copy = value => (value && typeof value === 'object' ? { ...value, data: value.data?.slice(0) } : value);
+
+  function openDatabase(name) {
+    if (!databases.has(name)) databases.set(name, new Map());
+    const stores = databases.get(name);
+    return {
+      objectStoreNames: { contains: storeName => stores.has(storeName) },
+      createObjectStore(storeName, { keyPath }) {
+        stores.set(storeName, { keyPath, rows: new Map() });
+      },
+      transaction(names) {
+        let pending = 0;
+        const tx = {};
+        const settle = () => setTimeout(() => {
+          if (pending === 0) tx.oncomplete?.();
+        });
+        const request = (run) => {
+          const req = {};
+          pending++;
+          setTimeout(() => {
+            req.result = run();
+            req.onsuccess?.();
+            pending--;
+            settle();
+          });
+          return req;
+        };
+        tx.objectStore = (storeName) => {
+          assert.ok([names].flat().includes(storeName), `${storeName} is not in the transaction scope`);
+          const { keyPath, rows } = stores.get(storeName);
+          return {
+            get: key => request(() => copy(rows.get(key))),
+            getAll: () => request(() => [...rows.values()].map(copy)),
+            put: value => request(() => rows.set(value[keyPath], copy(value))),
+            delete: key => request(() => rows.delete(key)),
+            clear: () => request(() => rows.clear())
+          };
+        };
+        settle();
+        return tx;
+      }
+    };
+  }
+
+  return {
+    open(name) {
+      const req = {};
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        req.result = openDatabase(name);
+        if (isNew) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+}
+
+const sample = Float32Array.from({ length: 64 }, (_, i) => Math.sin(i) * 0.2);
+
+function maxError(a, b) {
+  return Math.max(...Array.from(a, (v, i) => Math.abs(v - b[i])));
+}
+
+test('encodings round-trip within their precision and shrink storage', () => {
+  const full = encodeVector(sample, 'float32');
+  const half = encodeVector(sample, 'float16');
+  const int8 = encodeVector(sample, 'int8');
+
+  assert.deepEqual(decodeVector(full), sample);
+  assert.equal(half.data.byteLength, full.data.byteLength / 2);
+  assert.equal(int8.data.byteLength, full.data.byteLength / 4);
+  assert.ok(maxError(decodeVector(half), sample) < 1e-3);
+  assert.ok(maxError(decodeVector(int8), sample) < 0.2 / 127);
+});
+
+test('float16 handles zero, subnormals and overflow', () => {
+  const values = new Float32Array([0, -0, 1e-7, 65504, 1e6, -1e6]);
+  const decoded = decodeVector(encodeVector(values, 'float16'));
+  assert.equal(decoded[0], 0);
+  assert.ok(Math.abs(decoded[2] - 1e-7) < 6e-8);
+  assert.equal(decoded[3], 65504);
+  assert.equal(decoded[4], Infinity);
+  assert.equal(decoded[5], -Infinity);
+});
+
+test('selectEvictions drops least recently used records until under budget', () => {
+  const metas = [
+    { url: 'a', bytes: 400, lastUsed: 3 },
+    { url: 'b', bytes: 400, lastUsed: 1 },
+    { url: 'c', bytes: 400, lastUsed: 2 }
+  ];
+  assert.deepEqual(selectEvictions(metas, 1200), []);
+  assert.deepEqual(selectEvictions(metas, 800), ['b']);
+  assert.deepEqual(selectEvictions(metas, 300), ['b', 'c', 'a']);
+});
+
+test('VectorStore keeps one record per URL and evicts by recency', async () => {
+  const store = new VectorStore({ idbFactory: fakeIndexedDB(), encoding: 'int8', maxBytes: 3 * (64 + 128 + 60) });
+  for (const url of ['https://a.test/', 'https://b.test/', 'https://c.test/']) {
+    await store.put(url, sample, { hash: 'h', model: 'm' });
+  }
+  // Reading a marks it as recently used, so b is the one to go
+  await new Promise((resolve) => {
+    setTimeout(resolve, 5);
+  });
+  assert.ok(await store.get('https://a.test/'));
+  await store.put('https://d.test/', sample);
+
+  assert.equal(await store.get('https://b.test/'), null);
+  const entry = await store.get('https://a.test/');
+  assert.equal(entry.encoding, 'int8');
+  assert.equal(entry.dims, 64);
+  assert.equal(entry.hash, 'h');
+  assert.equal((await store.usage()).count, 3);
+});
+
+test('StorageManager migrates chrome.storage buckets once and keeps its API', async () => {
+  const now = Date.now();
+  const areas = fakeChromeStorage({
+    sync: { vectors: { 'https://sync.test/': { data: [1, 0], hash: 'abc', model: 'm', timestamp: now } } },
+    local: {
+      vectors: {
+        'https://local.test/page': { data: [0, 1], timestamp: now },
+        'https://expired.test/': { data: [1, 1], timestamp: now - 40 * 24 * 60 * 60 * 1000 }
+      }
+    }
+  });
+  const storage = new StorageManager(undefined, { idbFactory: fakeIndexedDB() });
+
+  assert.deepEqual(await storage.getVector('https://sync.test/'), new Float32Array([1, 0]));
+  assert.deepEqual(await storage.getVector('https://local.test/page', true), new Float32Array([0, 1]));
+  assert.equal(await storage.getVector('https://expired.test/'), null);
+  assert.equal(areas.sync.vectors, undefined);
+  assert.equal(areas.local.vectors, undefined);
+  assert.equal(areas.local[VECTOR_MIGRATION_KEY], true);
+
+  assert.equal(await storage.getVector('https://sync.test/', false, { hash: 'other' }), null);
+  await storage.saveVector('https://new.test/', new Float32Array([0.5, 0.5]), false, { hash: 'n', model: 'm' });
+  assert.equal((await storage.getVectorEntry('https://new.test/')).hash, 'n');
+
+  await storage.deleteVectorByNormalized('https://local.test/page');
+  assert.equal(await storage.getVector('https://local.test/page'), null);
+  await storage.deleteVector('https://new.test/');
+  assert.equal(await storage.getVector('https://new.test/'), null);
+  assert.ok(await storage.getVector('https://sync.test/'));
+});
+
+test('listStaleVectors finds vectors from another model or size', async () => {
+  fakeChromeStorage({ local: { [VECTOR_MIGRATION_KEY]: true } });
+  const storage = new StorageManager(undefined, { idbFactory: fakeIndexedDB() });
+  await storage.saveVector('https://current.test/', sample, false, { hash: 'a', model: 'embed-large' });
+  await storage.saveVector('https://old-model.test/', sample, false, { hash: 'b', model: 'embed-small' });
+  await storage.saveVector('https://old-size.test/', sample.slice(0, 32), false, { hash: 'c', model: 'embed-large' });
+
+  assert.deepEqual(
+    (await storage.listStaleVectors({ model: 'embed-large', dims: 64 })).sort(),
+    ['https://old-model.test/', 'https://old-size.test/']
+  );
+  assert.deepEqual(
+    (await storage.listStaleVectors({ model: 'embed-small' })).sort(),
+    ['https://current.test/', 'https://old-size.test/']
+  );
+  assert.deepEqual([...(await storage.getCurrentVectors({ model: 'embed-large', dims: 64 })).keys()], ['https://current.test/']);
+  const some = await storage.getVectors(['https://current.test/', 'https://old-size.test/', 'https://missing.test/'], { model: 'embed-large', dims: 64 });
+  assert.deepEqual([...some.keys()], ['https://current.test/']);
+  assert.deepEqual([...(await storage.listCurrentHashes({ model: 'embed-large', dims: 64 }))], [['https://current.test/', 'a']]);
+});
+
+test('going back to the model default size marks custom-size vectors stale', async () => {
+  const areas = fakeChromeStorage({ local: { [VECTOR_MIGRATION_KEY]: true } });
+  const storage = new StorageManager(undefined, { idbFactory: fakeIndexedDB() });
+  await storage.saveVector('https://default.test/', sample, false, { hash: 'a', model: 'embed-large' });
+  await storage.saveVector('https://custom.test/', sample.slice(0, 32), false, { hash: 'b', model: 'embed-large' });
+
+  // The default size isn't recorded yet, so one input is embedded to learn it
+  const embedder = fakeOpenAI(() => Array.from(sample), { model: 'embed-large' });
+
+  // A dry run doesn't probe and matches on the model only
+  assert.deepEqual(await resolveExpectedVectors(embedder, storage, { probe: false }), { model: 'embed-large', dims: undefined });
+  assert.equal(embedder.calls.length, 0);
+  const expected = await resolveExpectedVectors(embedder, storage);
+  assert.deepEqual(expected, { model: 'embed-large', dims: 64 });
+  assert.deepEqual(areas.local[MODEL_DIMS_KEY], { 'embed-large': 64 });
+  assert.deepEqual(await storage.listStaleVectors(expected), ['https://custom.test/']);
+  assert.deepEqual([...(await storage.getCurrentVectors(expected)).keys()], ['https://default.test/']);
+
+  await resolveExpectedVectors(embedder, storage);
+  assert.equal(embedder.calls.length, 1);
+  assert.deepEqual(await resolveExpectedVectors({ ...embedder, embeddingDimensions: 32 }, storage), { model: 'embed-large', dims: 32 });
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWriteQueue } from '../utils/writeQueue.js';
+
+test('tasks run one at a time in call order', async () => {
+  const queueWrite = createWriteQueue();
+  const log = [];
+  const task = (name, ms) => async () => {
+    log.push(`start ${name}`);
+    await new Promise((resolve) => {
+      setTimeout(resolve, ms);
+    });
+    log.push(`end ${name}`);
+    return name;
+  };
+
+  const results = await Promise.all([queueWrite(task('a', 10)), queueWrite(task('b', 0))]);
+  assert.deepEqual(results, ['a', 'b']);
+  assert.deepEqual(log, ['start a', 'end a', 'start b', 'end b']);
+});
+
+test('a failed task rejects only its own call', async () => {
+  const queueWrite = createWriteQueue();
+  const failed = queueWrite(async () => {
+    throw new Error('quota exceeded');
+  });
+  const next = queueWrite(async () => 'written');
+
+  await assert.rejects(failed, /quota exceeded/);
+  assert.equal(await next, 'written');
+});
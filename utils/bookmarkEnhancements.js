@@ -0,0 +1,58 @@
+// AI results per bookmark, one chrome.storage.local record each under
+// `bookmarkEnhancement_<id>`:
+//   { id, tags, category, suggestedFolder, enrichedAt,   // enrich-one job
+//     summary, keyPoints, summarizedAt }                 // summarizer.js
+// Writers only set their own fields; the rest of a record is kept.
+
+import { createWriteQueue } from './writeQueue.js';
+
+export const ENHANCEMENT_PREFIX = 'bookmarkEnhancement_';
+
+export function enhancementKey(id) {
+  return `${ENHANCEMENT_PREFIX}${id}`;
+}
+
+/**
+ * Records for `ids`, or every record when `ids` is omitted.
+ * @returns {Promise<Object<string, object>>} id -> record
+ */
+export async function loadEnhancements(ids) {
+  try {
+    const stored = await chrome.storage.local.get(ids ? ids.map(enhancementKey) : null);
+    const out = {};
+    for (const [key, record] of Object.entries(stored || {})) {
+      if (key.startsWith(ENHANCEMENT_PREFIX) && record && typeof record === 'object') {
+        out[key.slice(ENHANCEMENT_PREFIX.length)] = record;
+      }
+    }
+    return out;
+  } catch (e) {
+    console.warn('Failed to load bookmark enhancements:', e);
+    return {};
+  }
+}
+
+// The enrich job and a summary run both write here
+const queueWrite = createWriteQueue();
+
+/**
+ * Merge each update ({ id, ...fields }) into its bookmark's record.
+ */
+export function updateEnhancements(updates) {
+  const items = (updates || []).filter(u => u?.id != null);
+  return queueWrite(async () => {
+    if (!items.length) return;
+    const current = await loadEnhancements(items.map(u => String(u.id)));
+    const changes = {};
+    for (const update of items) {
+      const id = String(update.id);
+      changes[enhancementKey(id)] = { ...current[id], ...changes[enhancementKey(id)], ...update, id };
+    }
+    await chrome.storage.local.set(changes);
+  });
+}
+
+export function removeEnhancements(ids) {
+  const keys = (ids || []).filter(id => id != null).map(enhancementKey);
+  return queueWrite(() => (keys.length ? chrome.storage.local.remove(keys) : undefined));
+}
@@ -0,0 +1,74 @@
+import { VectorIndex } from '../lib/vectorIndex.js';
+
+// ANN index over cached vectors keyed by URL, for incremental dedupe. Vectors
+// are read from the cache only for URLs not indexed yet, and new bookmarks are
+// added as they are embedded, so while the service worker stays alive each
+// vector is read once. Each load checks the cache metadata: URLs that are no
+// longer wanted or whose vector was re-embedded (another content hash) are
+// dropped, and the latter read again. Switching model or size starts a new
+// index.
+export class CachedVectorIndex {
+  constructor(storage) {
+    this.storage = storage;
+    this.settings = '';
+    this._reset();
+  }
+
+  // The HNSW index can't remove nodes, so dropped URLs leave dead nodes that
+  // search() skips; once they outnumber the live ones the index is started
+  // over and read again.
+  _reset() {
+    this.index = new VectorIndex();
+    this.live = new Map(); // url -> { node, hash }
+    this.urlOf = [];
+    this.dead = 0;
+  }
+
+  /**
+   * Index the current cached vectors (matching `expected`: { model, dims }) of
+   * `urls` and drop every other URL. URLs without a vector are looked up again
+   * next time, since a cleanup run may have embedded them since.
+   */
+  async load(urls, expected) {
+    const settings = `${expected.model || ''}|${expected.dims || ''}`;
+    if (settings !== this.settings) {
+      this.settings = settings;
+      this._reset();
+    }
+    const hashes = await this.storage.listCurrentHashes(expected);
+    const wanted = new Set(urls.filter(url => hashes.has(url)));
+    for (const [url, entry] of this.live) {
+      if (!wanted.has(url) || hashes.get(url) !== entry.hash) this._drop(url);
+    }
+    if (this.dead > this.live.size) this._reset();
+
+    const missing = [...wanted].filter(url => !this.live.has(url));
+    if (!missing.length) return;
+    for (const [url, vector] of await this.storage.getVectors(missing, expected)) this.add(url, vector, hashes.get(url));
+  }
+
+  // A vector added without its hash is read again from the cache on the next
+  // load
+  add(url, vector, hash = null) {
+    if (!url || this.live.has(url)) return;
+    const node = this.urlOf.length;
+    if (!this.index.add(node, vector)) return;
+    this.urlOf.push(url);
+    this.live.set(url, { node, hash });
+  }
+
+  _drop(url) {
+    this.live.delete(url);
+    this.dead++;
+  }
+
+  // Up to `k` nearest URLs as { id: url, similarity }
+  search(vector, k) {
+    // Extra candidates make up for dead nodes among the nearest
+    const found = this.index.search(vector, this.dead ? k * 2 : k);
+    return found
+      .filter(({ id }) => this.live.get(this.urlOf[id])?.node === id)
+      .slice(0, k)
+      .map(({ id, similarity }) => ({ id: this.urlOf[id], similarity }));
+  }
+}
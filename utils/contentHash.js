@@ -0,0 +1,7 @@
+// SHA-256 of embedded text, used to tell whether a cached vector still matches
+// the page it was computed from.
+export async function hashText(text) {
+  const bytes = new TextEncoder().encode(String(text || ''));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,112 @@
+// Dry-run estimate of the tokens and cost of a cleanup run. The pieces mirror
+// runCleanup: embedding uncached URLs, tagging batches, one folder suggestion
+// per tagged bookmark and summaries. Prices are per 1K tokens, in whatever
+// currency the user enters them in Options.
+
+import { estimateTokens } from './tokenEstimator.js';
+import { FOLDER_SYSTEM_PROMPT, folderPrompt } from './folderOrganizer.js';
+
+export const COST_SETTING_KEYS = Object.freeze([
+  'embeddingPricePer1k',
+  'chatInputPricePer1k',
+  'chatOutputPricePer1k',
+  'cleanupBudget'
+]);
+
+// Page text embedded per scraped bookmark; pages aren't fetched for an estimate
+export const ASSUMED_PAGE_TOKENS = 1500;
+// embedNodes truncates each input to its batch token limit
+const MAX_EMBEDDING_TOKENS = 8000;
+// Tags aren't known before tagging; six short ones
+const ASSUMED_TAG_TOKENS = 20;
+const FOLDER_REPLY_TOKENS = 10;
+
+const price = (value) => {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+/**
+ * Prices from the settings; unset or invalid prices count as 0.
+ */
+export function resolvePrices(cfg = {}) {
+  return {
+    embedding: price(cfg.embeddingPricePer1k),
+    chatInput: price(cfg.chatInputPricePer1k),
+    chatOutput: price(cfg.chatOutputPricePer1k)
+  };
+}
+
+// Budget per scheduled run, or null for no limit
+export function resolveBudget(value) {
+  return price(value) || null;
+}
+
+/**
+ * URLs without a current cached vector and the tokens embedding them would
+ * take. Each URL is embedded once however many bookmarks share it.
+ * @param {{ cachedUrls?: { has(url: string): boolean }, scrape?: boolean }} [opts]
+ */
+export function estimateEmbeddingInput(nodes, { cachedUrls, scrape = true } = {}) {
+  const seen = new Set();
+  let tokens = 0;
+  for (const node of nodes || []) {
+    if (!node.url || seen.has(node.url) || cachedUrls?.has(node.url)) continue;
+    seen.add(node.url);
+    const body = scrape ? ASSUMED_PAGE_TOKENS : estimateTokens(node.url);
+    tokens += Math.min(MAX_EMBEDDING_TOKENS, estimateTokens(node.title) + body);
+  }
+  return { uncachedUrls: seen.size, tokens };
+}
+
+/**
+ * One suggestFolders prompt per bookmark, each listing every folder.
+ */
+export function estimateFolderPrompts(bookmarks, folders) {
+  if (!folders?.length || !bookmarks?.length) return { requests: 0, inputTokens: 0, outputTokens: 0 };
+  const systemTokens = estimateTokens(FOLDER_SYSTEM_PROMPT);
+  let inputTokens = 0;
+  for (const bookmark of bookmarks) {
+    inputTokens += systemTokens + estimateTokens(folderPrompt(bookmark, folders)) + ASSUMED_TAG_TOKENS;
+  }
+  return { requests: bookmarks.length, inputTokens, outputTokens: bookmarks.length * FOLDER_REPLY_TOKENS };
+}
+
+const cost = (tokens, per1k) => (tokens / 1000) * per1k;
+
+/**
+ * Combine the parts into one estimate with its cost.
+ * @param {object} parts
+ * @param {number} parts.bookmarks bookmarks in scope
+ * @param {{ uncachedUrls: number, tokens: number }} parts.embedding
+ * @param {boolean} [parts.localEmbeddings] embeddings are made on-device and cost nothing
+ * @param {{ requests: number, inputTokens: number, outputTokens: number }} [parts.tagging]
+ * @param {{ requests: number, inputTokens: number, outputTokens: number }} [parts.folders]
+ * @param {{ requests: number, inputTokens: number, outputTokens: number }} [parts.summaries]
+ * @param {{ embedding: number, chatInput: number, chatOutput: number }} prices from resolvePrices()
+ */
+export function buildCostEstimate(parts, prices) {
+  const none = { requests: 0, inputTokens: 0, outputTokens: 0 };
+  const chatParts = [parts.tagging || none, parts.folders || none, parts.summaries || none];
+  const chatInputTokens = chatParts.reduce((sum, p) => sum + p.inputTokens, 0);
+  const chatOutputTokens = chatParts.reduce((sum, p) => sum + p.outputTokens, 0);
+  const embedding = parts.localEmbeddings ? 0 : cost(parts.embedding.tokens, prices.embedding);
+  const chat = cost(chatInputTokens, prices.chatInput) + cost(chatOutputTokens, prices.chatOutput);
+  return {
+    bookmarks: parts.bookmarks,
+    uncachedUrls: parts.embedding.uncachedUrls,
+    embeddingTokens: parts.embedding.tokens,
+    localEmbeddings: Boolean(parts.localEmbeddings),
+    tagging: parts.tagging || none,
+    folders: parts.folders || none,
+    summaries: parts.summaries || none,
+    chatInputTokens,
+    chatOutputTokens,
+    cost: { embedding, chat, total: embedding + chat },
+    pricesSet: Boolean(prices.embedding || prices.chatInput || prices.chatOutput)
+  };
+}
+
+export function exceedsBudget(estimate, budget) {
+  return budget != null && estimate.cost.total > budget;
+}
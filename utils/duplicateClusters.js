@@ -0,0 +1,158 @@
+// Groups pairwise duplicate links into connected clusters and splits them back
+// into keep/dupe lists. A link is { a, b, similarity, reason? } where a/b are
+// bookmark ids and `reason` is described in duplicateReasons.js.
+
+function summarizeMember(node) {
+  return {
+    id: node.id,
+    title: node.title || '',
+    url: node.url || '',
+    parentId: node.parentId,
+    dateAdded: node.dateAdded,
+    folderPath: node.folderPath
+  };
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Build connected components from duplicate links (union-find). Members keep
+ * the order of `nodes`, and the first member is proposed as the keeper.
+ * @param {Array<{ id: string }>} nodes - all candidate bookmarks in tree-walk order
+ * @param {Array<{ a: string, b: string, similarity: number, reason?: object }>} links
+ */
+export function buildDuplicateClusters(nodes, links) {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    let cur = id;
+    while (parent.get(cur) !== root) {
+      const next = parent.get(cur);
+      parent.set(cur, root);
+      cur = next;
+    }
+    return root;
+  };
+
+  const edges = new Map();
+  for (const link of links || []) {
+    if (!link?.a || !link?.b || link.a === link.b) continue;
+    if (!parent.has(link.a)) parent.set(link.a, link.a);
+    if (!parent.has(link.b)) parent.set(link.b, link.b);
+    const ra = find(link.a);
+    const rb = find(link.b);
+    if (ra !== rb) parent.set(rb, ra);
+
+    const key = pairKey(link.a, link.b);
+    const existing = edges.get(key);
+    if (!existing || (link.similarity || 0) > existing.similarity) {
+      const edge = { a: link.a, b: link.b, similarity: link.similarity || 0 };
+      if (link.reason) edge.reason = link.reason;
+      edges.set(key, edge);
+    }
+  }
+
+  const groups = new Map();
+  for (const node of nodes) {
+    if (!parent.has(node.id)) continue;
+    const root = find(node.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(node);
+  }
+
+  const clusters = [];
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    const ids = new Set(members.map(m => m.id));
+    const similarities = [];
+    for (const edge of edges.values()) {
+      if (ids.has(edge.a)) similarities.push(edge);
+    }
+    clusters.push({
+      id: `cluster-${members[0].id}`,
+      keeperId: members[0].id,
+      members: members.map(summarizeMember),
+      similarities
+    });
+  }
+  return clusters;
+}
+
+/**
+ * Strongest edge between `memberId` and the keeper, falling back to the
+ * member's strongest link inside the cluster.
+ */
+export function edgeToKeeper(cluster, memberId) {
+  let direct = null;
+  let strongest = null;
+  for (const edge of cluster.similarities || []) {
+    if (edge.a !== memberId && edge.b !== memberId) continue;
+    if (!strongest || edge.similarity > strongest.similarity) strongest = edge;
+    if ((edge.a === cluster.keeperId || edge.b === cluster.keeperId) && (!direct || edge.similarity > direct.similarity)) {
+      direct = edge;
+    }
+  }
+  return direct || strongest;
+}
+
+export function similarityToKeeper(cluster, memberId) {
+  return edgeToKeeper(cluster, memberId)?.similarity ?? 0;
+}
+
+/**
+ * Split nodes into keepers and dupes. Dupes carry `duplicateOf` (the keeper)
+ * and their similarity to it so existing consumers keep working, plus the
+ * reason of that link when known.
+ */
+export function resolveClusters(nodes, clusters) {
+  const removals = new Map();
+  for (const cluster of clusters) {
+    const keeper = cluster.members.find(m => m.id === cluster.keeperId) || cluster.members[0];
+    for (const member of cluster.members) {
+      if (member.id === keeper.id) continue;
+      const edge = edgeToKeeper({ ...cluster, keeperId: keeper.id }, member.id);
+      removals.set(member.id, {
+        clusterId: cluster.id,
+        similarity: edge?.similarity ?? 0,
+        reason: edge?.reason || null,
+        duplicateOf: { id: keeper.id, title: keeper.title, url: keeper.url }
+      });
+    }
+  }
+
+  const keep = [];
+  const dupes = [];
+  for (const node of nodes) {
+    const removal = removals.get(node.id);
+    if (!removal) {
+      keep.push(node);
+    } else {
+      const dupe = { id: node.id, title: node.title, url: node.url, ...removal };
+      if (node.folderPolicy) dupe.folderPolicy = node.folderPolicy;
+      dupes.push(dupe);
+    }
+  }
+  return { keep, dupes };
+}
+
+/**
+ * Convert a review-queue entry to cluster shape. Entries written before
+ * clustering were single { id, duplicateOf } pairs.
+ */
+export function normalizeReviewEntry(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  if (Array.isArray(entry.members)) return entry;
+  if (!entry.id || !entry.duplicateOf?.id) return null;
+
+  const keeper = summarizeMember(entry.duplicateOf);
+  const similarity = typeof entry.similarity === 'number' ? entry.similarity / 100 : 0;
+  return {
+    id: `cluster-${entry.id}`,
+    keeperId: keeper.id,
+    members: [keeper, summarizeMember(entry)],
+    similarities: [{ a: entry.id, b: keeper.id, similarity }]
+  };
+}
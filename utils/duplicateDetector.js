@@ -1,22 +1,33 @@
 import { cosineSimilarity } from '../lib/cosine.js';
 
 export class DuplicateDetector {
-  constructor(threshold = 0.9) {
+  // Cross-domain pairs default to a slightly stricter threshold
+  constructor(threshold = 0.9, crossDomainThreshold = threshold + 0.05) {
     this.threshold = threshold;
+    this.crossDomainThreshold = crossDomainThreshold;
   }
 
-  isDuplicate(vec1, vec2, url1, url2) {
-    const similarity = cosineSimilarity(vec1, vec2) || 0;
+  // Similarity plus the threshold it was held to, for explaining verdicts.
+  evaluate(vec1, vec2, url1, url2) {
+    return this.judge(cosineSimilarity(vec1, vec2) || 0, url1, url2);
+  }
 
-    // Use stricter threshold for same domain
+  // Verdict for a similarity already computed, e.g. by a VectorIndex search
+  judge(similarity, url1, url2) {
+    let sameDomain = false;
+    let { threshold } = this;
     try {
       const d1 = url1 ? new URL(url1).hostname : '';
       const d2 = url2 ? new URL(url2).hostname : '';
-      const t = d1 && d2 && d1 === d2 ? this.threshold : (this.threshold + 0.05);
-      return similarity > t;
+      sameDomain = Boolean(d1 && d2 && d1 === d2);
+      threshold = sameDomain ? this.threshold : this.crossDomainThreshold;
     } catch {
       // Fallback if URL parsing fails
-      return similarity > this.threshold;
     }
+    return { similarity, threshold, sameDomain, isDuplicate: similarity > threshold };
+  }
+
+  isDuplicate(vec1, vec2, url1, url2) {
+    return this.evaluate(vec1, vec2, url1, url2).isDuplicate;
   }
 }
@@ -0,0 +1,116 @@
+// Structured explanations for duplicate links, so the review queue and job
+// reports can say why two bookmarks were flagged. A reason is one of:
+//   { type: 'exact' }                                 same URL as bookmarked
+//   { type: 'normalized', rules: [...] }              same after canonicalization;
+//                                                     `rules` are the steps that fired
+//   { type: 'resolved', via, resolvedUrl }            same redirect target or canonical link
+//   { type: 'semantic', similarity, threshold, scope } embedding similarity above the
+//                                                     same- or cross-domain threshold
+// Every reason also carries `titleScore` (0-1) for the two bookmark titles.
+
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+
+export const REASON_TYPES = Object.freeze(['exact', 'normalized', 'resolved', 'semantic']);
+
+const RULE_LABELS = {
+  unwrap: 'AMP/short-link unwrapping',
+  host: 'host folding',
+  path: 'path cleanup',
+  params: 'tracking parameters',
+  'query-order': 'query order',
+  fragment: 'fragment',
+  case: 'letter case'
+};
+
+function bigrams(text) {
+  const clean = String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const grams = new Map();
+  for (let i = 0; i + 2 <= clean.length; i++) {
+    const gram = clean.slice(i, i + 2);
+    if (gram.includes(' ')) continue;
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over character bigrams of the two titles, rounded to two
+ * decimals. Empty titles score 0.
+ */
+export function titleSimilarity(a, b) {
+  const ga = bigrams(a);
+  const gb = bigrams(b);
+  let sizeA = 0;
+  let sizeB = 0;
+  let overlap = 0;
+  for (const count of ga.values()) sizeA += count;
+  for (const [gram, count] of gb) {
+    sizeB += count;
+    overlap += Math.min(count, ga.get(gram) || 0);
+  }
+  if (!sizeA || !sizeB) return 0;
+  return Math.round((2 * overlap / (sizeA + sizeB)) * 100) / 100;
+}
+
+// Canonicalization steps that fired for either URL.
+export function canonicalizationSteps(urlA, urlB) {
+  const trace = new Set();
+  canonicalizeUrl(urlA, { trace });
+  canonicalizeUrl(urlB, { trace });
+  return [...trace];
+}
+
+/**
+ * Reason for a URL-based match. `resolution` ({ via, url }) is passed when the
+ * match came from a redirect target or canonical link rather than the
+ * bookmarked URLs themselves.
+ */
+export function urlMatchReason(a, b, resolution) {
+  const titleScore = titleSimilarity(a.title, b.title);
+  if (resolution) {
+    return { type: 'resolved', via: resolution.via, resolvedUrl: resolution.url, titleScore };
+  }
+  if ((a.url || '').trim() === (b.url || '').trim()) {
+    return { type: 'exact', titleScore };
+  }
+  return { type: 'normalized', rules: canonicalizationSteps(a.url, b.url), titleScore };
+}
+
+export function semanticReason(a, b, { similarity, threshold, sameDomain }) {
+  return {
+    type: 'semantic',
+    similarity,
+    threshold,
+    scope: sameDomain ? 'same-domain' : 'cross-domain',
+    titleScore: titleSimilarity(a.title, b.title)
+  };
+}
+
+const pct = value => `${Math.round((value || 0) * 100)}%`;
+
+// One-line English description for exported reports.
+export function describeReason(reason) {
+  if (!reason?.type) return '';
+  let text;
+  switch (reason.type) {
+    case 'exact':
+      text = 'Exact URL match';
+      break;
+    case 'normalized':
+      text = reason.rules?.length
+        ? `Same URL after ${reason.rules.map(r => RULE_LABELS[r] || r).join(', ')}`
+        : 'Same URL after normalization';
+      break;
+    case 'resolved':
+      text = reason.via === 'canonical'
+        ? `Same canonical link (${reason.resolvedUrl})`
+        : `Redirects to the same page (${reason.resolvedUrl})`;
+      break;
+    case 'semantic':
+      text = `Semantic similarity ${pct(reason.similarity)} above ${reason.scope} threshold ${pct(reason.threshold)}`;
+      break;
+    default:
+      text = reason.type;
+  }
+  return Number.isFinite(reason.titleScore) ? `${text}; title match ${pct(reason.titleScore)}` : text;
+}
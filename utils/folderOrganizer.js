@@ -1,5 +1,7 @@
-export async function suggestFolders(bookmark, openai) {
-  const roots = await chrome.bookmarks.getTree();
+export const FOLDER_SYSTEM_PROMPT = 'You are a bookmark organizer.';
+
+// Titles of every folder in the bookmark tree
+export function listFolderTitles(roots) {
   const folders = [];
 
   const walk = (n) => {
@@ -8,20 +10,27 @@ export async function suggestFolders(bookmark, openai) {
   };
 
   roots.forEach(walk);
+  return folders;
+}
 
-  if (folders.length === 0) return '';
-
-  const prompt = `Given this bookmark:
+export function folderPrompt(bookmark, folders) {
+  return `Given this bookmark:
 Title: ${bookmark.title}
 URL: ${bookmark.url}
 Tags: ${bookmark.tags?.join(', ') || ''}
 Suggest the best folder from: ${folders.join(', ')}
 Respond with just the folder name.`;
+}
+
+export async function suggestFolders(bookmark, openai) {
+  const folders = listFolderTitles(await chrome.bookmarks.getTree());
+
+  if (folders.length === 0) return '';
 
   try {
     const res = await openai.chat([
-      { role: 'system', content: 'You are a bookmark organizer.' },
-      { role: 'user', content: prompt }
+      { role: 'system', content: FOLDER_SYSTEM_PROMPT },
+      { role: 'user', content: folderPrompt(bookmark, folders) }
     ]);
     return res.choices?.[0]?.message?.content?.trim() || '';
   } catch (e) {
@@ -0,0 +1,91 @@
+// Per-folder cleanup policies set on the options page. A policy covers the
+// folder and everything below it; policies on nested folders add to their
+// ancestors'. Flags:
+//   noDedupe:     bookmarks are never flagged as duplicates (or used as keepers)
+//   noTagging:    bookmarks are not tagged or retitled
+//   noMoves:      no folder suggestions for these bookmarks
+//   dedupeWithin: bookmarks are only compared with others in the same folder
+
+export const FOLDER_POLICIES_STORAGE_KEY = 'folderPolicies';
+
+export const FOLDER_POLICY_FLAGS = Object.freeze(['noDedupe', 'noTagging', 'noMoves', 'dedupeWithin']);
+
+const NO_POLICY = Object.freeze({ noDedupe: false, noTagging: false, noMoves: false, dedupeScope: null });
+
+/**
+ * Clean up stored policies: one entry per folder id (the last one wins) and
+ * only entries with at least one flag set.
+ */
+export function normalizeFolderPolicies(raw) {
+  const byFolder = new Map();
+  for (const entry of Array.isArray(raw) ? raw : []) {
+    const folderId = entry?.folderId != null ? String(entry.folderId) : '';
+    if (!folderId) continue;
+    const policy = { folderId, title: typeof entry.title === 'string' ? entry.title : '' };
+    for (const flag of FOLDER_POLICY_FLAGS) policy[flag] = entry[flag] === true;
+    if (FOLDER_POLICY_FLAGS.some(flag => policy[flag])) byFolder.set(folderId, policy);
+    else byFolder.delete(folderId);
+  }
+  return [...byFolder.values()];
+}
+
+export async function loadFolderPolicies() {
+  try {
+    const { [FOLDER_POLICIES_STORAGE_KEY]: stored } = await chrome.storage.sync.get(FOLDER_POLICIES_STORAGE_KEY);
+    return normalizeFolderPolicies(stored);
+  } catch (e) {
+    console.warn('Failed to load folder policies:', e);
+    return [];
+  }
+}
+
+/**
+ * Effective policy for a bookmark given its ancestor folder ids (root first).
+ * `dedupeScope` is the innermost folder with dedupeWithin, or null.
+ */
+export function resolveFolderPolicy(ancestorIds, policies) {
+  if (!policies?.length || !ancestorIds?.length) return NO_POLICY;
+  const byFolder = new Map(policies.map(p => [p.folderId, p]));
+  const resolved = { ...NO_POLICY };
+  for (const id of ancestorIds) {
+    const policy = byFolder.get(String(id));
+    if (!policy) continue;
+    resolved.noDedupe ||= policy.noDedupe;
+    resolved.noTagging ||= policy.noTagging;
+    resolved.noMoves ||= policy.noMoves;
+    if (policy.dedupeWithin) resolved.dedupeScope = policy.folderId;
+  }
+  return resolved;
+}
+
+/**
+ * Attach `folderPolicy` to each bookmark. Bookmarks need `ancestorIds`.
+ */
+export function applyFolderPolicies(nodes, policies) {
+  const normalized = normalizeFolderPolicies(policies);
+  if (!normalized.length) return nodes;
+  return nodes.map(node => ({ ...node, folderPolicy: resolveFolderPolicy(node.ancestorIds, normalized) }));
+}
+
+// Policy for a single bookmark outside a full tree walk (e.g. when one new
+// bookmark is enriched): collects its ancestors through chrome.bookmarks.get.
+export async function loadBookmarkFolderPolicy(node) {
+  const policies = await loadFolderPolicies();
+  if (!policies.length) return NO_POLICY;
+  const ancestorIds = [];
+  let parentId = node?.parentId;
+  try {
+    while (parentId) {
+      ancestorIds.unshift(parentId);
+      const [parent] = await chrome.bookmarks.get(parentId);
+      parentId = parent?.parentId;
+    }
+  } catch (e) {
+    console.warn('Failed to read bookmark ancestors:', e);
+  }
+  return resolveFolderPolicy(ancestorIds, policies);
+}
+
+export function folderPolicyOf(node) {
+  return node?.folderPolicy || NO_POLICY;
+}
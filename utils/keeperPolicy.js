@@ -0,0 +1,125 @@
+// Chooses which member of a duplicate cluster survives. A policy is a primary
+// rule plus a tie-breaker; anything still tied falls back to tree-walk order.
+
+export const KEEPER_RULES = Object.freeze([
+  'first',
+  'oldest',
+  'newest',
+  'shortestPath',
+  'deepestPath',
+  'preferredFolders',
+  'https',
+  'longestTitle'
+]);
+
+export const DEFAULT_KEEPER_POLICY = Object.freeze({
+  rule: 'first',
+  tieBreaker: 'oldest',
+  preferredFolders: []
+});
+
+function folderKey(path) {
+  return (Array.isArray(path) ? path.join('/') : String(path || ''))
+    .split('/')
+    .map(part => part.trim().toLowerCase())
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Fill in defaults and drop unknown rules from a stored policy.
+ * `preferredFolders` accepts an array or a comma/newline separated string.
+ */
+export function normalizeKeeperPolicy(raw) {
+  const policy = raw && typeof raw === 'object' ? raw : {};
+  const rule = KEEPER_RULES.includes(policy.rule) ? policy.rule : DEFAULT_KEEPER_POLICY.rule;
+  const tieBreaker = KEEPER_RULES.includes(policy.tieBreaker) ? policy.tieBreaker : DEFAULT_KEEPER_POLICY.tieBreaker;
+  const folders = Array.isArray(policy.preferredFolders)
+    ? policy.preferredFolders
+    : String(policy.preferredFolders || '').split(/[,\n]/);
+  return {
+    rule,
+    tieBreaker,
+    preferredFolders: folders.map(folderKey).filter(Boolean)
+  };
+}
+
+// Lower score wins. Missing data scores Infinity so it never beats real data.
+function scorer(rule, policy) {
+  switch (rule) {
+    case 'oldest':
+      return m => (Number.isFinite(m.dateAdded) ? m.dateAdded : Infinity);
+    case 'newest':
+      return m => (Number.isFinite(m.dateAdded) ? -m.dateAdded : Infinity);
+    case 'shortestPath':
+      return m => (Array.isArray(m.folderPath) ? m.folderPath.length : Infinity);
+    case 'deepestPath':
+      return m => (Array.isArray(m.folderPath) ? -m.folderPath.length : Infinity);
+    case 'preferredFolders':
+      return (m) => {
+        const path = folderKey(m.folderPath);
+        if (!path) return Infinity;
+        // A preference matches the full path, a path prefix, or any single folder name
+        const names = path.split('/');
+        const idx = policy.preferredFolders.findIndex(pref =>
+          path === pref || path.startsWith(`${pref}/`) || (!pref.includes('/') && names.includes(pref))
+        );
+        return idx === -1 ? Infinity : idx;
+      };
+    case 'https':
+      return m => (/^https:/i.test(m.url || '') ? 0 : 1);
+    case 'longestTitle':
+      return m => -(m.title || '').trim().length;
+    default:
+      return () => 0;
+  }
+}
+
+function narrow(candidates, rule, policy) {
+  const score = scorer(rule, policy);
+  let best = Infinity;
+  let winners = [];
+  for (const member of candidates) {
+    const s = score(member);
+    if (s < best) {
+      best = s;
+      winners = [member];
+    } else if (s === best) {
+      winners.push(member);
+    }
+  }
+  return winners.length ? winners : candidates;
+}
+
+/**
+ * Pick the keeper among cluster members (given in tree-walk order).
+ * @returns {{ keeperId: string, rule: string }} `rule` is the first rule that
+ * narrowed the candidates, or 'first' when none did.
+ */
+export function chooseKeeper(members, policy = DEFAULT_KEEPER_POLICY) {
+  if (!members?.length) return { keeperId: null, rule: 'first' };
+  const resolved = normalizeKeeperPolicy(policy);
+
+  let candidates = members;
+  let decidedBy = 'first';
+  for (const rule of [resolved.rule, resolved.tieBreaker]) {
+    if (candidates.length === 1 || rule === 'first') break;
+    const winners = narrow(candidates, rule, resolved);
+    if (winners.length < candidates.length && decidedBy === 'first') decidedBy = rule;
+    candidates = winners;
+  }
+  return { keeperId: candidates[0].id, rule: decidedBy };
+}
+
+/**
+ * Apply the policy to every cluster in place, recording the deciding rule.
+ */
+export function applyKeeperPolicy(clusters, policy) {
+  const normalized = normalizeKeeperPolicy(policy);
+  for (const cluster of clusters) {
+    const { keeperId, rule } = chooseKeeper(cluster.members, normalized);
+    cluster.keeperId = keeperId;
+    cluster.keeperRule = rule;
+  }
+  return clusters;
+}
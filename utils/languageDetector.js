@@ -0,0 +1,66 @@
+// Page language detection and the languages tags can be written in. A page's
+// own `<html lang>` wins; otherwise the scraped text is scored against short
+// lists of very common words.
+
+// Output languages for tags and categories
+export const TAG_LANGUAGES = Object.freeze({ en: 'English', es: 'Spanish', de: 'German' });
+
+// Languages the popup is translated into (popup/src/i18n)
+const UI_LANGUAGES = ['en', 'es'];
+
+// Fewer scored words than this and the text says too little to guess
+const MIN_MATCHES = 3;
+
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'for', 'with', 'you', 'are', 'this', 'it', 'on', 'be', 'your', 'from', 'how', 'what', 'can'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'del', 'un', 'una', 'por', 'con', 'para', 'es', 'se', 'su', 'como', 'más', 'al'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'ein', 'eine', 'für', 'auf', 'den', 'dem', 'sie', 'zu', 'von', 'auch', 'sich', 'wie', 'oder'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'pour', 'dans', 'que', 'qui', 'pas', 'sur', 'avec', 'du', 'au', 'vous', 'nous', 'sont', 'ce'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'non', 'una', 'sono', 'della', 'con', 'gli', 'del', 'come', 'anche', 'questo', 'nel', 'alla', 'più', 'ma'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'os', 'no', 'na', 'por', 'mais', 'as', 'dos']
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words)]));
+
+/**
+ * Primary subtag of a BCP 47 language tag ("de-AT" -> "de"), or null when it
+ * isn't one.
+ */
+export function normalizeLanguage(value) {
+  const primary = typeof value === 'string' ? value.trim().toLowerCase().split(/[-_]/)[0] : '';
+  return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+}
+
+/**
+ * Language of a page from its `<html lang>` or, failing that, its text.
+ * @returns {string | null} primary language subtag
+ */
+export function detectLanguage(text, htmlLang) {
+  const declared = normalizeLanguage(htmlLang);
+  if (declared) return declared;
+
+  const words = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(Object.keys(STOPWORD_SETS).map(lang => [lang, 0]));
+  for (const word of words.slice(0, 1000)) {
+    for (const [lang, set] of Object.entries(STOPWORD_SETS)) {
+      if (set.has(word)) scores[lang]++;
+    }
+  }
+  const [[best, top], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  // Neighbouring languages share many short words; a near tie is no answer
+  return top >= MIN_MATCHES && top > second * 1.2 ? best : null;
+}
+
+/**
+ * Tag language to use when none is set: the popup's locale, like
+ * popup/src/i18n picks it.
+ */
+export function defaultTagLanguage(locale = globalThis.navigator?.language) {
+  const lang = normalizeLanguage(locale);
+  return UI_LANGUAGES.includes(lang) ? lang : 'en';
+}
+
+// The stored setting if it's a supported language, otherwise the default
+export function resolveTagLanguage(setting) {
+  const lang = normalizeLanguage(setting);
+  return lang && TAG_LANGUAGES[lang] ? lang : defaultTagLanguage();
+}
@@ -118,6 +118,34 @@ export class NotificationManager {
     }
   }
 
+  // A newly added bookmark matched one already saved; the cluster waits in the review queue
+  async showDuplicateFound(node, duplicateOf) {
+    try {
+      await chrome.notifications.create(`duplicate-${node.id}`, {
+        type: 'basic',
+        iconUrl: '/icons/icon128.png',
+        title: 'Possible Duplicate Bookmark',
+        message: `"${node.title || node.url}" looks like "${duplicateOf.title || duplicateOf.url}". Review it in the extension popup.`
+      });
+    } catch (e) {
+      console.warn('Failed to create duplicate notification:', e);
+    }
+  }
+
+  // A one-off message that doesn't touch the progress snapshot
+  async showNotice(title, message) {
+    try {
+      await chrome.notifications.create({
+        type: 'basic',
+        iconUrl: '/icons/icon128.png',
+        title,
+        message: String(message)
+      });
+    } catch (e) {
+      console.warn('Failed to create notification:', e);
+    }
+  }
+
   async showError(message) {
     try {
       await chrome.notifications.create({
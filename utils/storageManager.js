@@ -1,143 +1,225 @@
 import { normalizeUrlForKey } from './url.js';
-
-function serializeVector(vec) {
-  return Array.from(vec);
-}
-
-function deserializeVector(arr) {
-  return new Float32Array(arr || []);
+import { VectorStore } from './vectorStore.js';
+
+// Set in chrome.storage.local once the JSON `vectors` buckets have been moved
+// into IndexedDB.
+export const VECTOR_MIGRATION_KEY = 'vectorStoreMigrated';
+// Output size of each embedding model at its default setting, as
+// { [model]: dims }, recorded from its embeddings.
+export const MODEL_DIMS_KEY = 'embeddingModelDims';
+
+/**
+ * Whether a cached entry was produced from the same text, model and size.
+ * Only the fields present in `expected` are compared.
+ */
+export function isVectorEntryCurrent(entry, expected = {}) {
+  if (!entry) return false;
+  if (expected.hash && entry.hash !== expected.hash) return false;
+  if (expected.model && entry.model !== expected.model) return false;
+  if (expected.dims && entry.dims !== expected.dims) return false;
+  return true;
 }
 
+// Vector cache backed by IndexedDB (see vectorStore.js). Vectors are kept per
+// device; getVector and saveVector keep their `localOnly` parameter from the
+// chrome.storage buckets, and it no longer changes where a vector is stored.
 export class StorageManager {
-  constructor(maxAgeMs = 30 * 24 * 60 * 60 * 1000) {
+  constructor(maxAgeMs = 30 * 24 * 60 * 60 * 1000, { store, ...storeOptions } = {}) {
     this.maxAgeMs = maxAgeMs;
-    // Keep payload under Chrome sync per-item quota (~8KB) with padding for metadata.
-    this.syncLimitBytes = 6000;
+    this.store = store || new VectorStore(storeOptions);
+    this.migration = null;
   }
 
-  async _getBucket(localOnly) {
-    const area = localOnly ? 'local' : 'sync';
-    const { vectors } = await chrome.storage[area].get('vectors');
-    let bucket = { ...(vectors || {}) };
-    const cutoff = Date.now() - this.maxAgeMs;
+  // { encoding: 'float32' | 'float16' | 'int8', maxBytes }
+  configure(options) {
+    this.store.configure(options);
+  }
 
-    let changed = false;
-    for (const url of Object.keys(bucket)) {
-      if ((bucket[url]?.timestamp || 0) < cutoff) {
-        delete bucket[url];
-        changed = true;
-      }
-    }
+  _ready() {
+    if (!this.migration) this.migration = this._migrateLegacyBuckets();
+    return this.migration;
+  }
 
-    if (!localOnly) {
-      const sizeBytes = new Blob([JSON.stringify({ vectors: bucket })]).size;
-      if (sizeBytes > this.syncLimitBytes) {
-        try {
-          const localData = await chrome.storage.local.get('vectors');
-          const localBucket = { ...(localData.vectors || {}), ...bucket };
-          await chrome.storage.local.set({ vectors: localBucket });
-          await chrome.storage.sync.remove('vectors');
-          bucket = {};
-          changed = false;
-          console.warn('Migrated oversized sync vector cache to local storage.');
-        } catch (e) {
-          console.warn('Failed to migrate oversized sync vector cache:', e);
+  // One-time move of the chrome.storage `vectors` buckets into IndexedDB.
+  // Entries without a content hash that are already past maxAgeMs are dropped.
+  async _migrateLegacyBuckets() {
+    try {
+      const { [VECTOR_MIGRATION_KEY]: done } = await chrome.storage.local.get(VECTOR_MIGRATION_KEY);
+      if (done) return;
+
+      const cutoff = Date.now() - this.maxAgeMs;
+      let moved = 0;
+      for (const area of ['sync', 'local']) {
+        const { vectors } = await chrome.storage[area].get('vectors');
+        for (const [url, entry] of Object.entries(vectors || {})) {
+          if (!entry?.data?.length) continue;
+          if (!entry.hash && (entry.timestamp || 0) < cutoff) continue;
+          await this.store.put(url, new Float32Array(entry.data), {
+            hash: entry.hash,
+            model: entry.model,
+            timestamp: entry.timestamp,
+            checkedAt: entry.checkedAt
+          });
+          moved++;
         }
       }
+      await Promise.all(['sync', 'local'].map(area => chrome.storage[area].remove('vectors')));
+      await chrome.storage.local.set({ [VECTOR_MIGRATION_KEY]: true });
+      if (moved) console.warn(`Moved ${moved} cached vector(s) to IndexedDB.`);
+    } catch (e) {
+      // Leave the flag unset so the next start retries
+      this.migration = null;
+      console.warn('Vector cache migration failed:', e);
     }
+  }
 
-    if (changed) {
-      try {
-        await chrome.storage[area].set({ vectors: bucket });
-      } catch (e) {
-        console.warn('Failed to persist pruned vector bucket:', e);
-      }
+  async getVectorEntry(url) {
+    if (!url) return null;
+    await this._ready();
+    let entry;
+    try {
+      entry = await this.store.get(url);
+    } catch (e) {
+      console.warn('Failed to read vector:', e);
+      return null;
     }
+    if (!entry) return null;
 
-    return { area, bucket };
+    // Entries with a content hash are revalidated on every run instead of aging out
+    if (!entry.hash && entry.timestamp < Date.now() - this.maxAgeMs) {
+      await this.deleteVector(url);
+      return null;
+    }
+    return {
+      vector: entry.vector,
+      hash: entry.hash,
+      model: entry.model,
+      dims: entry.dims ?? entry.vector.length,
+      checkedAt: entry.checkedAt
+    };
   }
 
-  async getVector(url, localOnly = false) {
-    const { bucket } = await this._getBucket(localOnly);
-    return bucket[url] ? deserializeVector(bucket[url].data) : null;
+  // `expected` ({ hash, model, dims }) makes stale entries read as a miss.
+  async getVector(url, _localOnly = false, expected) {
+    const entry = await this.getVectorEntry(url);
+    if (!entry) return null;
+    if (expected && !isVectorEntryCurrent(entry, expected)) return null;
+    return entry.vector;
   }
 
-  async saveVector(url, vector, localOnly = false) {
+  async saveVector(url, vector, _localOnly = false, meta = {}) {
     if (!url || !vector) return;
+    await this._ready();
+    try {
+      await this.store.put(url, vector, { hash: meta.hash, model: meta.model });
+    } catch (e) {
+      console.warn('Failed to store vector:', e);
+    }
+  }
 
-    const { area, bucket } = await this._getBucket(localOnly);
-    bucket[url] = { data: serializeVector(vector), timestamp: Date.now() };
-    const payload = { vectors: bucket };
-
-    if (!localOnly) {
-      const sizeBytes = new Blob([JSON.stringify(payload)]).size;
-      if (sizeBytes > this.syncLimitBytes) {
-        delete bucket[url];
-        try {
-          await chrome.storage[area].set({ vectors: bucket });
-        } catch {
-          // Best-effort to keep sync state consistent; ignore errors.
-        }
-        console.warn('Sync quota headroom exceeded; storing vector locally for', url);
-        return this.saveVector(url, vector, true);
-      }
+  // All vectors that match `expected` ({ model, dims }), as url -> vector.
+  // Hashless entries past maxAgeMs are skipped like in getVectorEntry.
+  async getCurrentVectors(expected) {
+    await this._ready();
+    try {
+      return this._currentVectors(await this.store.getAll(), expected);
+    } catch (e) {
+      console.warn('Failed to read vectors:', e);
+      return new Map();
     }
+  }
 
+  // Like getCurrentVectors, reading only the records for `urls`
+  async getVectors(urls, expected) {
+    await this._ready();
     try {
-      await chrome.storage[area].set(payload);
+      return this._currentVectors(await this.store.getMany(urls), expected);
     } catch (e) {
-      const message = e?.message || String(e);
-      if (!localOnly && /quota/i.test(message)) {
-        console.warn('Sync quota error; migrating vector to local for', url);
-        delete bucket[url];
-        try {
-          await chrome.storage[area].set({ vectors: bucket });
-        } catch {
-          // Ignore follow-up failure during rollback.
-        }
-        return this.saveVector(url, vector, true);
-      }
-      console.warn('Failed to store vector:', e);
+      console.warn('Failed to read vectors:', e);
+      return new Map();
+    }
+  }
+
+  _currentVectors(records, expected) {
+    const cutoff = Date.now() - this.maxAgeMs;
+    return new Map(records
+      .filter(r => r.vector.length && isVectorEntryCurrent(r, expected) && (r.hash || r.timestamp >= cutoff))
+      .map(r => [r.url, r.vector]));
+  }
+
+  // URLs whose vectors were made by another model or at another size than
+  // `expected` ({ model, dims }). Reads metadata only.
+  async listStaleVectors(expected) {
+    await this._ready();
+    try {
+      const metas = await this.store.listMeta();
+      return metas.filter(meta => !isVectorEntryCurrent(meta, expected)).map(meta => meta.url);
+    } catch (e) {
+      console.warn('Failed to list vectors:', e);
+      return [];
+    }
+  }
+
+  // Default output size recorded for `model`, or undefined before its first
+  // embedding at the default setting
+  async getModelDims(model) {
+    if (!model) return undefined;
+    try {
+      const { [MODEL_DIMS_KEY]: known } = await chrome.storage.local.get(MODEL_DIMS_KEY);
+      return known?.[model] || undefined;
+    } catch (e) {
+      console.warn('Failed to read embedding sizes:', e);
+      return undefined;
+    }
+  }
+
+  async recordModelDims(model, dims) {
+    if (!model || !dims) return;
+    try {
+      const { [MODEL_DIMS_KEY]: known } = await chrome.storage.local.get(MODEL_DIMS_KEY);
+      if (known?.[model] === dims) return;
+      await chrome.storage.local.set({ [MODEL_DIMS_KEY]: { ...known, [model]: dims } });
+    } catch (e) {
+      console.warn('Failed to record embedding size:', e);
+    }
+  }
+
+  // URLs with a vector matching `expected` ({ model, dims }), as url -> content
+  // hash (null for records written before hashes were kept in metadata).
+  // Reads metadata only.
+  async listCurrentHashes(expected) {
+    await this._ready();
+    try {
+      const metas = await this.store.listMeta();
+      return new Map(metas.filter(meta => isVectorEntryCurrent(meta, expected)).map(meta => [meta.url, meta.hash ?? null]));
+    } catch (e) {
+      console.warn('Failed to list vectors:', e);
+      return new Map();
     }
   }
 
   async deleteVector(url) {
     if (!url) return;
-    await Promise.all(['sync', 'local'].map(async (area) => {
-      const { vectors } = await chrome.storage[area].get('vectors');
-      if (!vectors || !vectors[url]) return;
-      delete vectors[url];
-      try {
-        await chrome.storage[area].set({ vectors });
-      } catch (e) {
-        console.warn(`Failed to update ${area} vectors after delete:`, e);
-      }
-    }));
+    await this._ready();
+    try {
+      await this.store.delete(url);
+    } catch (e) {
+      console.warn('Failed to delete vector:', e);
+    }
   }
 
   async deleteVectorByNormalized(normalizedUrl) {
     if (!normalizedUrl) return;
-    await Promise.all(['sync', 'local'].map(async (area) => {
-      const { vectors } = await chrome.storage[area].get('vectors');
-      if (!vectors) return;
-      let changed = false;
-      for (const key of Object.keys(vectors)) {
-        if (normalizeUrlForKey(key) === normalizedUrl) {
-          delete vectors[key];
-          changed = true;
-        }
-      }
-      if (changed) {
-        try {
-          await chrome.storage[area].set({ vectors });
-        } catch (e) {
-          console.warn(`Failed to update ${area} vectors after normalized delete:`, e);
-        }
-      }
-    }));
+    await this._ready();
+    try {
+      await this.store.deleteWhere(url => normalizeUrlForKey(url) === normalizedUrl);
+    } catch (e) {
+      console.warn('Failed to delete vectors after normalized match:', e);
+    }
   }
 
   async clearAll() {
-    await Promise.all(['sync', 'local'].map(area => chrome.storage[area].remove('vectors')));
+    await this._ready();
+    await this.store.clear();
   }
 }
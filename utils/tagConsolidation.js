@@ -0,0 +1,299 @@
+// Tag consolidation: tags are generated batch by batch, so the same idea ends up
+// spelled several ways ("JavaScript", "javascript", "javascripts"). Variants are
+// grouped by a folded key (case, accents, separators, plurals), then by small
+// edit distances between keys, and optionally by merges the model suggests.
+// Each group proposes one canonical tag; accepted groups are rewritten in the
+// tag store in one batch that can be undone, along with the ` -- #tag` title
+// suffixes while tag titles are on.
+import { parseTagSuffix, rewriteStoredTags, withTagSuffix } from './tagStore.js';
+
+// Proposal from the last consolidation job, waiting for review
+export const TAG_MERGE_PROPOSAL_KEY = 'tagMergeProposal';
+// Tags as they were before the last applied merge, for undo
+export const TAG_MERGE_UNDO_KEY = 'tagMergeUndo';
+
+// Most frequent tags sent to the model for merge suggestions
+const MAX_MODEL_TAGS = 300;
+
+/**
+ * How often each tag is used across the tag store.
+ * @returns {Map<string, number>}
+ */
+export function collectTagCounts(store) {
+  const counts = new Map();
+  for (const entry of Object.values(store || {})) {
+    for (const tag of entry?.tags || []) {
+      if (typeof tag === 'string' && tag.trim()) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+// Crude English singular: enough to fold "frameworks"/"framework" and
+// "libraries"/"library" without a dictionary
+function lemmatize(word) {
+  if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(ches|shes|xes|zes|sses)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Comparison key for a tag: lower case, no accents, words joined by "-" and
+ * each word singular.
+ */
+export function foldTag(tag) {
+  return String(tag || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[\s_\-./]+/)
+    .filter(Boolean)
+    .map(lemmatize)
+    .join('-');
+}
+
+/**
+ * Levenshtein distance, giving up once it passes `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed between folded keys: none for short tags, where one letter
+// usually changes the meaning ("react"/"reach")
+function allowedDistance(length) {
+  if (length < 6) return 0;
+  return length < 10 ? 1 : 2;
+}
+
+// Most used variant wins, then the shorter and then the lower-case spelling
+function pickCanonical(variants) {
+  return [...variants].sort((x, y) => y.count - x.count
+    || x.tag.length - y.tag.length
+    || Number(x.tag !== x.tag.toLowerCase()) - Number(y.tag !== y.tag.toLowerCase())
+    || x.tag.localeCompare(y.tag))[0].tag;
+}
+
+function createUnion(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return {
+    find,
+    union(a, b) {
+      const ra = find(a);
+      const rb = find(b);
+      if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+    }
+  };
+}
+
+/**
+ * Group tag variants. Only groups with more than one variant are returned,
+ * largest first.
+ * @param {Map<string, number>} counts tag -> uses
+ * @param {{ merges?: Array<string[]> }} options extra sets of tags to merge (from suggestTagMerges)
+ * @returns {Array<{ canonical: string, variants: Array<{ tag: string, count: number }>, total: number, suggestedBy: 'rules' | 'model' }>}
+ */
+export function groupTags(counts, { merges = [] } = {}) {
+  const tags = [...counts.keys()];
+  const index = new Map(tags.map((tag, i) => [tag, i]));
+  const union = createUnion(tags.length);
+
+  const keys = tags.map(foldTag);
+  const firstByKey = new Map();
+  keys.forEach((key, i) => {
+    if (firstByKey.has(key)) union.union(firstByKey.get(key), i);
+    else firstByKey.set(key, i);
+  });
+
+  const distinct = [...firstByKey.entries()];
+  for (let x = 0; x < distinct.length; x++) {
+    for (let y = x + 1; y < distinct.length; y++) {
+      const [a, i] = distinct[x];
+      const [b, j] = distinct[y];
+      const max = allowedDistance(Math.min(a.length, b.length));
+      if (max && editDistance(a, b, max) <= max) union.union(i, j);
+    }
+  }
+
+  const ruleRoots = tags.map((_, i) => union.find(i));
+  for (const set of merges) {
+    const members = (set || []).filter(tag => index.has(tag)).map(tag => index.get(tag));
+    for (const member of members.slice(1)) union.union(members[0], member);
+  }
+
+  const groups = new Map();
+  tags.forEach((tag, i) => {
+    const root = union.find(i);
+    if (!groups.has(root)) groups.set(root, { variants: [], ruleRoots: new Set() });
+    const group = groups.get(root);
+    group.variants.push({ tag, count: counts.get(tag) });
+    group.ruleRoots.add(ruleRoots[i]);
+  });
+
+  return [...groups.values()]
+    .filter(g => g.variants.length > 1)
+    .map(({ variants, ruleRoots: roots }) => ({
+      canonical: pickCanonical(variants),
+      variants: variants.sort((x, y) => y.count - x.count || x.tag.localeCompare(y.tag)),
+      total: variants.reduce((sum, v) => sum + v.count, 0),
+      suggestedBy: roots.size > 1 ? 'model' : 'rules'
+    }))
+    .sort((x, y) => y.total - x.total || x.canonical.localeCompare(y.canonical));
+}
+
+const MERGE_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'tag_merges',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: {
+        merges: {
+          type: 'array',
+          items: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      required: ['merges'],
+      additionalProperties: false
+    }
+  }
+};
+
+/**
+ * Ask the model which of the most used tags mean the same thing
+ * ("js"/"javascript"). Only tags from the list are kept in the answer.
+ * @returns {Promise<Array<string[]>>}
+ */
+export async function suggestTagMerges(counts, openai) {
+  const tags = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_MODEL_TAGS).map(([tag]) => tag);
+  if (tags.length < 2) return [];
+  const res = await openai.chat([
+    {
+      role: 'system',
+      content: 'You clean up bookmark tags. Group tags from the list that mean the same thing (abbreviations, synonyms, spelling variants). '
+        + 'Leave out tags that have no equivalent. Do not group tags that are only related.'
+    },
+    { role: 'user', content: JSON.stringify(tags) }
+  ], { response_format: MERGE_RESPONSE_FORMAT });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(res.choices?.[0]?.message?.content || '{}');
+  } catch {
+    return [];
+  }
+  const known = new Set(tags);
+  return (Array.isArray(parsed?.merges) ? parsed.merges : [])
+    .map(set => [...new Set((Array.isArray(set) ? set : []).filter(tag => known.has(tag)))])
+    .filter(set => set.length > 1);
+}
+
+/**
+ * Variant -> canonical tag for the accepted groups ({ canonical, variants }).
+ */
+export function buildMergeMap(groups) {
+  const map = new Map();
+  for (const group of groups || []) {
+    const canonical = typeof group?.canonical === 'string' ? group.canonical.trim() : '';
+    if (!canonical) continue;
+    for (const variant of group.variants || []) {
+      const tag = typeof variant === 'string' ? variant : variant?.tag;
+      if (tag && tag !== canonical) map.set(tag, canonical);
+    }
+  }
+  return map;
+}
+
+// Tags with merged variants replaced, keeping the first occurrence of each
+export function mergeTags(tags, mergeMap) {
+  const out = [];
+  for (const tag of tags || []) {
+    const next = mergeMap.get(tag) || tag;
+    if (!out.includes(next)) out.push(next);
+  }
+  return out;
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((tag, i) => tag === b[i]);
+
+// Rewrite the title suffix of each bookmark in `ids` with `retag(suffixTags, id)`,
+// which returns the new tags or null to leave the title alone
+async function rewriteTitleTags(ids, retag) {
+  for (const id of ids) {
+    try {
+      const [node] = await chrome.bookmarks.get(id);
+      const { tags } = parseTagSuffix(node?.title);
+      const next = tags.length ? retag(tags, id) : null;
+      if (next && !sameList(next, tags)) await chrome.bookmarks.update(id, { title: withTagSuffix(node.title, next) });
+    } catch (e) {
+      console.warn(`Failed to update the title tags of bookmark ${id}:`, e);
+    }
+  }
+}
+
+export async function loadTagMergeProposal() {
+  const { [TAG_MERGE_PROPOSAL_KEY]: proposal } = await chrome.storage.local.get(TAG_MERGE_PROPOSAL_KEY);
+  return proposal || null;
+}
+
+/**
+ * Rewrite stored tags for the accepted groups, and with `titleTags` the title
+ * suffixes of the changed bookmarks. The previous tags of every changed
+ * bookmark are kept so undoTagMerges() can put them back.
+ * @returns {Promise<number>} bookmarks changed
+ */
+export async function applyTagMerges(groups, { titleTags = false } = {}) {
+  const mergeMap = buildMergeMap(groups);
+  if (!mergeMap.size) return 0;
+  const previous = await rewriteStoredTags(entry => mergeTags(entry.tags, mergeMap));
+  const changed = Object.keys(previous).length;
+  if (titleTags) await rewriteTitleTags(Object.keys(previous), tags => mergeTags(tags, mergeMap));
+  await chrome.storage.local.set({
+    [TAG_MERGE_UNDO_KEY]: { appliedAt: Date.now(), entries: previous, merges: Object.fromEntries(mergeMap) }
+  });
+  await chrome.storage.local.remove(TAG_MERGE_PROPOSAL_KEY);
+  return changed;
+}
+
+/**
+ * Put back the tags replaced by the last applyTagMerges(), in the store and
+ * with `titleTags` in the title suffixes. Bookmarks whose tags changed again
+ * since then keep the newer tags.
+ * @returns {Promise<number>} bookmarks restored
+ */
+export async function undoTagMerges({ titleTags = false } = {}) {
+  const { [TAG_MERGE_UNDO_KEY]: undo } = await chrome.storage.local.get(TAG_MERGE_UNDO_KEY);
+  if (!undo?.entries) return 0;
+  const mergeMap = new Map(Object.entries(undo.merges || {}));
+  // Only tags still exactly as the merge left them are restored
+  const restore = (tags, id) => {
+    const before = undo.entries[id];
+    return before && sameList(mergeTags(before, mergeMap), tags) ? before : null;
+  };
+  const restored = await rewriteStoredTags((entry, id) => restore(entry.tags, id));
+  if (titleTags) await rewriteTitleTags(Object.keys(undo.entries), restore);
+  await chrome.storage.local.remove(TAG_MERGE_UNDO_KEY);
+  return Object.keys(restored).length;
+}
@@ -0,0 +1,107 @@
+// Tag corrections made by the user, kept as labelled examples for the tagger.
+// Stored in chrome.storage.local, newest first, at most MAX_TAG_EXAMPLES:
+//   [{ id, title, url, domain, tags, category, recordedAt }]
+// tagNodes shows the most relevant ones to the model as few-shot examples.
+
+import { cosineSimilarity } from '../lib/cosine.js';
+import { createWriteQueue } from './writeQueue.js';
+
+export const TAG_EXAMPLES_KEY = 'tagExamples';
+
+export const MAX_TAG_EXAMPLES = 200;
+
+// Examples shown to the model per request
+export const MAX_PROMPT_EXAMPLES = 5;
+
+// Host without a leading "www.", or '' for URLs that don't parse
+export function exampleDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+export function toTagExample(item, now = Date.now()) {
+  return {
+    id: String(item.id),
+    title: item.title || '',
+    url: item.url || '',
+    domain: exampleDomain(item.url),
+    tags: [...(item.tags || [])],
+    category: item.category || null,
+    recordedAt: now
+  };
+}
+
+export async function loadTagExamples() {
+  try {
+    const { [TAG_EXAMPLES_KEY]: stored } = await chrome.storage.local.get(TAG_EXAMPLES_KEY);
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn('Failed to load tag examples:', e);
+    return [];
+  }
+}
+
+const queueWrite = createWriteQueue();
+
+function updateTagExamples(mutate) {
+  return queueWrite(async () => {
+    const examples = await loadTagExamples();
+    const next = mutate(examples);
+    if (next !== examples) await chrome.storage.local.set({ [TAG_EXAMPLES_KEY]: next });
+    return next;
+  });
+}
+
+/**
+ * Record corrected tagging results ({ id, title, url, tags, category }). A
+ * bookmark corrected again keeps only its latest example; the oldest examples
+ * are dropped past MAX_TAG_EXAMPLES.
+ */
+export function recordTagExamples(items) {
+  const now = Date.now();
+  const added = (items || []).filter(item => item?.id != null && item.tags?.length).map(item => toTagExample(item, now));
+  return updateTagExamples((examples) => {
+    if (!added.length) return examples;
+    const ids = new Set(added.map(e => e.id));
+    return [...added, ...examples.filter(e => !ids.has(e.id))].slice(0, MAX_TAG_EXAMPLES);
+  });
+}
+
+export function removeTagExamples(ids) {
+  const wanted = new Set((ids || []).filter(id => id != null).map(String));
+  return updateTagExamples(examples => (examples.some(e => wanted.has(e.id)) ? examples.filter(e => !wanted.has(e.id)) : examples));
+}
+
+export function clearTagExamples() {
+  return updateTagExamples(examples => (examples.length ? [] : examples));
+}
+
+/**
+ * Examples most relevant to a batch of bookmarks: those from the same domain
+ * as any of them first, then the nearest by cached vector. Examples with
+ * neither are left out.
+ * @param {object[]} nodes bookmarks being tagged
+ * @param {object[]} examples from loadTagExamples()
+ * @param {{ vectors?: Map<string, number[]>, limit?: number }} [opts] vectors by URL
+ */
+export function selectTagExamples(nodes, examples, { vectors, limit = MAX_PROMPT_EXAMPLES } = {}) {
+  if (!examples?.length || !nodes?.length) return [];
+  const domains = new Set(nodes.map(n => exampleDomain(n.url)).filter(Boolean));
+  const nodeVectors = vectors ? nodes.map(n => vectors.get(n.url)).filter(Boolean) : [];
+
+  const scored = [];
+  for (const example of examples) {
+    // Same domain outranks any similarity, which is at most 1
+    let score = example.domain && domains.has(example.domain) ? 2 : 0;
+    const vector = nodeVectors.length ? vectors.get(example.url) : null;
+    if (vector) {
+      score += Math.max(0, ...nodeVectors.map(v => cosineSimilarity(v, vector)));
+    }
+    if (score > 0) scored.push({ example, score });
+  }
+  // Stable sort keeps newer examples ahead on ties
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit).map(s => s.example);
+}
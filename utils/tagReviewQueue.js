@@ -0,0 +1,102 @@
+// Tagging results the model was unsure about, held back for review in the
+// popup instead of being written. Kept in chrome.storage.local so the queue
+// survives service-worker restarts:
+//   [{ id, title, url, tags, tagConfidence, category, categoryConfidence, confidence, queuedAt, enrich? }]
+// `enrich` marks results of the enrich job for a new bookmark, whose
+// enhancement record gets the tags, category and folder once accepted.
+
+import { createWriteQueue } from './writeQueue.js';
+
+export const TAG_REVIEW_QUEUE_KEY = 'tagReviewQueue';
+
+// Results with a lower overall confidence go to review; 0 turns review off
+export const DEFAULT_TAG_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Threshold from the settings value, falling back to the default.
+ */
+export function resolveConfidenceThreshold(value) {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : DEFAULT_TAG_CONFIDENCE_THRESHOLD;
+}
+
+// Results the model didn't score (confidence null) are never held back
+export function needsTagReview(item, threshold = DEFAULT_TAG_CONFIDENCE_THRESHOLD) {
+  return typeof item?.confidence === 'number' && item.confidence < threshold;
+}
+
+export function toTagReviewEntry(item, now = Date.now()) {
+  return {
+    id: String(item.id),
+    title: item.title || '',
+    url: item.url || '',
+    tags: [...(item.tags || [])],
+    tagConfidence: [...(item.tagConfidence || [])],
+    category: item.category || null,
+    categoryConfidence: item.categoryConfidence ?? null,
+    confidence: item.confidence ?? null,
+    queuedAt: now,
+    ...(item.enrich ? { enrich: true } : {})
+  };
+}
+
+/**
+ * Tags as edited in review: trimmed, NFC-normalized and without duplicates
+ * (ignoring case). The user's choice is kept, so nothing is padded or
+ * blacklisted.
+ */
+export function cleanEditedTags(tags) {
+  const out = [];
+  for (const raw of Array.isArray(tags) ? tags : []) {
+    const tag = typeof raw === 'string' ? raw.normalize('NFC').trim() : '';
+    if (tag && !out.some(t => t.toLowerCase() === tag.toLowerCase())) out.push(tag);
+  }
+  return out;
+}
+
+export async function loadTagReviewQueue() {
+  try {
+    const { [TAG_REVIEW_QUEUE_KEY]: stored } = await chrome.storage.local.get(TAG_REVIEW_QUEUE_KEY);
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn('Failed to load tag review queue:', e);
+    return [];
+  }
+}
+
+const queueWrite = createWriteQueue();
+
+function updateTagReviewQueue(mutate) {
+  return queueWrite(async () => {
+    const queue = await loadTagReviewQueue();
+    const { next, result } = mutate(queue);
+    if (next !== queue) await chrome.storage.local.set({ [TAG_REVIEW_QUEUE_KEY]: next });
+    return result;
+  });
+}
+
+/**
+ * Queue tagging results for review. A bookmark already in the queue gets the
+ * newer result.
+ */
+export function queueTagReviews(items) {
+  const now = Date.now();
+  const entries = (items || []).filter(item => item?.id != null).map(item => toTagReviewEntry(item, now));
+  return updateTagReviewQueue((queue) => {
+    if (!entries.length) return { next: queue, result: 0 };
+    const ids = new Set(entries.map(e => e.id));
+    return { next: [...queue.filter(e => !ids.has(e.id)), ...entries], result: entries.length };
+  });
+}
+
+/**
+ * Remove entries by bookmark id.
+ * @returns {Promise<object[]>} the removed entries
+ */
+export function removeTagReviews(ids) {
+  const wanted = new Set((ids || []).filter(id => id != null).map(String));
+  return updateTagReviewQueue((queue) => {
+    const removed = queue.filter(e => wanted.has(e.id));
+    return removed.length ? { next: queue.filter(e => !wanted.has(e.id)), result: removed } : { next: queue, result: [] };
+  });
+}
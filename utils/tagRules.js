@@ -0,0 +1,177 @@
+// Tagging rules applied before the model. A rule matches bookmarks by domain,
+// URL regex and/or title regex (all that are set must match) and gives them
+// tags and a category:
+//   { domain?, urlPattern?, titlePattern?, tags: string[], category?, skipModel? }
+// `domain` may carry a path prefix ("github.com/org") and also matches
+// subdomains. Bookmarks matched by a `skipModel` rule are not sent to the
+// model; the others get the rule's tags merged into the model's.
+
+import { FALLBACK_TAGS, MAX_TAGS } from './tagValidator.js';
+import { canonicalTag, fallbackCategory, resolveCategory } from './taxonomy.js';
+
+export const TAG_RULES_STORAGE_KEY = 'tagRules';
+
+function compilePattern(pattern) {
+  return pattern ? new RegExp(pattern, 'i') : null;
+}
+
+/**
+ * Validate rules from JSON text or an array.
+ * @returns {{ rules: object[], errors: string[] }} valid rules and one message per invalid rule
+ */
+export function parseTagRules(input) {
+  let list = input;
+  if (typeof input === 'string') {
+    if (!input.trim()) return { rules: [], errors: [] };
+    try {
+      list = JSON.parse(input);
+    } catch (e) {
+      return { rules: [], errors: [`Invalid JSON: ${e.message}`] };
+    }
+  }
+  if (!Array.isArray(list)) return { rules: [], errors: ['Rules must be a JSON array'] };
+
+  const rules = [];
+  const errors = [];
+  list.forEach((raw, i) => {
+    const rule = {};
+    if (typeof raw?.domain === 'string' && raw.domain.trim()) {
+      rule.domain = raw.domain.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+    }
+    for (const key of ['urlPattern', 'titlePattern']) {
+      if (raw?.[key] == null || raw[key] === '') continue;
+      try {
+        compilePattern(String(raw[key]));
+        rule[key] = String(raw[key]);
+      } catch {
+        errors.push(`Rule ${i + 1}: "${key}" is not a valid regular expression`);
+        return;
+      }
+    }
+    if (!rule.domain && !rule.urlPattern && !rule.titlePattern) {
+      errors.push(`Rule ${i + 1}: set "domain", "urlPattern" or "titlePattern"`);
+      return;
+    }
+    if (raw.tags != null && (!Array.isArray(raw.tags) || raw.tags.some(t => typeof t !== 'string'))) {
+      errors.push(`Rule ${i + 1}: "tags" must be a list of strings`);
+      return;
+    }
+    rule.tags = (raw.tags || []).map(t => t.trim()).filter(Boolean);
+    if (typeof raw.category === 'string' && raw.category.trim()) rule.category = raw.category.trim();
+    if (!rule.tags.length && !rule.category) {
+      errors.push(`Rule ${i + 1}: give it "tags" or a "category"`);
+      return;
+    }
+    rule.skipModel = raw.skipModel === true;
+    if (rule.skipModel && !rule.tags.length) {
+      errors.push(`Rule ${i + 1}: "skipModel" needs "tags"`);
+      return;
+    }
+    rules.push(rule);
+  });
+  return { rules, errors };
+}
+
+export async function loadTagRules() {
+  try {
+    const { [TAG_RULES_STORAGE_KEY]: stored } = await chrome.storage.sync.get(TAG_RULES_STORAGE_KEY);
+    return parseTagRules(stored || []).rules;
+  } catch (e) {
+    console.warn('Failed to load tagging rules:', e);
+    return [];
+  }
+}
+
+function matchesDomain(url, domain) {
+  const [host, ...path] = domain.split('/');
+  const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+  if (hostname !== host && !hostname.endsWith(`.${host}`)) return false;
+  if (!path.length) return true;
+  const prefix = `/${path.join('/')}`;
+  const pathname = url.pathname.toLowerCase();
+  return pathname === prefix || pathname.startsWith(`${prefix}/`);
+}
+
+export function ruleMatches(rule, node) {
+  if (rule.domain) {
+    let url;
+    try {
+      url = new URL(node.url);
+    } catch {
+      return false;
+    }
+    if (!matchesDomain(url, rule.domain)) return false;
+  }
+  if (rule.urlPattern && !compilePattern(rule.urlPattern).test(node.url || '')) return false;
+  if (rule.titlePattern && !compilePattern(rule.titlePattern).test(node.title || '')) return false;
+  return true;
+}
+
+/**
+ * What the matching rules give a bookmark: their tags in rule order, the
+ * first category set and whether any of them skips the model.
+ * @returns {{ tags: string[], category: string | null, skipModel: boolean } | null} null when no rule matches
+ */
+export function matchTagRules(node, rules) {
+  const matched = (rules || []).filter(rule => ruleMatches(rule, node));
+  if (!matched.length) return null;
+  return {
+    tags: matched.flatMap(rule => rule.tags),
+    category: matched.find(rule => rule.category)?.category || null,
+    skipModel: matched.some(rule => rule.skipModel)
+  };
+}
+
+function ruleTags(tags, taxonomy) {
+  const out = [];
+  for (const raw of tags) {
+    const tag = canonicalTag(raw, taxonomy);
+    if (tag && !out.some(t => t.toLowerCase() === tag.toLowerCase())) out.push(tag);
+  }
+  return out;
+}
+
+const averageOf = values => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+
+/**
+ * Tagging result for a bookmark resolved by rules alone. Rule tags are
+ * certain, so the result never goes to review.
+ */
+export function ruleResult(node, match, taxonomy) {
+  const tags = ruleTags(match.tags, taxonomy).slice(0, MAX_TAGS);
+  const categoryConfidence = match.category ? 1 : null;
+  return {
+    ...node,
+    tags,
+    category: match.category ? resolveCategory(match.category, taxonomy) : fallbackCategory(taxonomy),
+    tagConfidence: tags.map(() => 1),
+    categoryConfidence,
+    confidence: 1,
+    tagSource: 'rule'
+  };
+}
+
+/**
+ * Merge rule tags into a model result: rule tags come first and replace the
+ * filler tags validateTags pads with; a rule category replaces the model's.
+ */
+export function mergeRuleMatch(result, match, taxonomy) {
+  const fromRules = ruleTags(match.tags, taxonomy);
+  const scores = new Map(result.tags.map((tag, i) => [tag.toLowerCase(), result.tagConfidence?.[i] ?? null]));
+  const fromModel = result.tags.filter(tag => !fromRules.length || !FALLBACK_TAGS.includes(tag));
+  const tags = ruleTags([...fromRules, ...fromModel], taxonomy).slice(0, MAX_TAGS);
+  const ruleKeys = new Set(fromRules.map(t => t.toLowerCase()));
+  const tagConfidence = tags.map(tag => (ruleKeys.has(tag.toLowerCase()) ? 1 : scores.get(tag.toLowerCase()) ?? null));
+  const categoryConfidence = match.category ? 1 : result.categoryConfidence ?? null;
+
+  // A result the model never scored stays unscored
+  const scored = result.confidence != null;
+  return {
+    ...result,
+    tags,
+    category: match.category ? resolveCategory(match.category, taxonomy) : result.category,
+    tagConfidence: scored ? tagConfidence : tags.map(tag => (ruleKeys.has(tag.toLowerCase()) ? 1 : null)),
+    categoryConfidence,
+    confidence: scored ? Math.min(averageOf(tagConfidence.map(c => c ?? 0)), categoryConfidence ?? 1) : null
+  };
+}
@@ -0,0 +1,159 @@
+// Tags per bookmark, kept in chrome.storage.local instead of the bookmark title:
+//   { [bookmarkId]: { tags, category, source, createdAt, updatedAt } }
+// `source` says who set them: 'ai', 'user' or 'rule'.
+
+import { createWriteQueue } from './writeQueue.js';
+
+export const TAG_STORE_KEY = 'tagStore';
+
+// Set once the ` -- #tag` title suffixes have been copied into the store
+export const TAG_STORE_MIGRATION_KEY = 'tagStoreMigrated';
+
+export const TAG_SOURCES = Object.freeze(['ai', 'user', 'rule']);
+
+// ` -- #tag #tag` at the end of a title, as written by writeTags
+export const TAG_SUFFIX_PATTERN = /\s--\s(?:#[^\s#]+)(?:\s#[^\s#]+)*$/;
+
+/**
+ * Split a title into its base and the tags from a trailing ` -- #tag` suffix.
+ * @returns {{ title: string, tags: string[] }}
+ */
+export function parseTagSuffix(title) {
+  const text = title || '';
+  const match = text.match(TAG_SUFFIX_PATTERN);
+  if (!match) return { title: text, tags: [] };
+  return {
+    title: text.slice(0, match.index).trimEnd(),
+    tags: match[0].split('#').slice(1).map(t => t.trim()).filter(Boolean)
+  };
+}
+
+// `title` with its ` -- #tag` suffix replaced by one for `tags`
+export function withTagSuffix(title, tags) {
+  const base = (title || '').replace(TAG_SUFFIX_PATTERN, '').trimEnd();
+  return tags?.length ? `${base} -- ${tags.map(t => `#${t}`).join(' ')}` : base;
+}
+
+/**
+ * New store entry for `update` ({ tags, category }), keeping createdAt from
+ * the previous entry.
+ */
+export function buildTagEntry(previous, update, source = 'ai', now = Date.now()) {
+  return {
+    tags: Array.isArray(update.tags) ? [...update.tags] : [],
+    category: update.category || null,
+    source: TAG_SOURCES.includes(source) ? source : 'ai',
+    createdAt: previous?.createdAt || now,
+    updatedAt: now
+  };
+}
+
+export async function loadTagStore() {
+  try {
+    const { [TAG_STORE_KEY]: stored } = await chrome.storage.local.get(TAG_STORE_KEY);
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (e) {
+    console.warn('Failed to load tag store:', e);
+    return {};
+  }
+}
+
+export async function getTagEntry(id) {
+  if (id == null) return null;
+  return (await loadTagStore())[String(id)] || null;
+}
+
+const queueWrite = createWriteQueue();
+
+function updateTagStore(mutate) {
+  return queueWrite(async () => {
+    const store = await loadTagStore();
+    if (!mutate(store)) return;
+    await chrome.storage.local.set({ [TAG_STORE_KEY]: store });
+  });
+}
+
+/**
+ * Store tags for each item ({ id, tags, category, tagSource? }). An item's own
+ * `tagSource` wins over `source`.
+ */
+export function saveTagEntries(items, source = 'ai') {
+  const now = Date.now();
+  return updateTagStore((store) => {
+    let changed = false;
+    for (const item of items || []) {
+      if (item?.id == null) continue;
+      const id = String(item.id);
+      store[id] = buildTagEntry(store[id], item, item.tagSource || source, now);
+      changed = true;
+    }
+    return changed;
+  });
+}
+
+export function removeTagEntries(ids) {
+  return updateTagStore((store) => {
+    let changed = false;
+    for (const id of ids || []) {
+      if (id != null && String(id) in store) {
+        delete store[String(id)];
+        changed = true;
+      }
+    }
+    return changed;
+  });
+}
+
+/**
+ * Rewrite the tags of every entry in one write. `rewrite(entry, id)` returns
+ * the new tags, or null to leave the entry alone.
+ * @returns {Promise<Object<string, string[]>>} previous tags of the changed entries
+ */
+export async function rewriteStoredTags(rewrite) {
+  const previous = {};
+  const now = Date.now();
+  await updateTagStore((store) => {
+    for (const [id, entry] of Object.entries(store)) {
+      const tags = rewrite(entry, id);
+      if (!Array.isArray(tags)) continue;
+      if (tags.length === entry.tags.length && tags.every((tag, i) => tag === entry.tags[i])) continue;
+      previous[id] = entry.tags;
+      store[id] = { ...entry, tags: [...tags], updatedAt: now };
+    }
+    return Object.keys(previous).length > 0;
+  });
+  return previous;
+}
+
+/**
+ * One-time copy of title suffix tags into the store. Bookmarks that already
+ * have an entry keep it; titles are left as they are.
+ * @returns {Promise<number>} bookmarks migrated
+ */
+export async function migrateTitleTags() {
+  const { [TAG_STORE_MIGRATION_KEY]: done } = await chrome.storage.local.get(TAG_STORE_MIGRATION_KEY);
+  if (done) return 0;
+
+  const found = [];
+  const walk = (node) => {
+    if (node.url) {
+      const { tags } = parseTagSuffix(node.title);
+      if (tags.length) found.push({ id: node.id, tags, category: null });
+    }
+    (node.children || []).forEach(walk);
+  };
+  (await chrome.bookmarks.getTree()).forEach(walk);
+
+  const now = Date.now();
+  let migrated = 0;
+  await updateTagStore((store) => {
+    for (const item of found) {
+      if (store[item.id]) continue;
+      store[item.id] = buildTagEntry(null, item, 'ai', now);
+      migrated++;
+    }
+    return migrated > 0;
+  });
+  await chrome.storage.local.set({ [TAG_STORE_MIGRATION_KEY]: true });
+  return migrated;
+}
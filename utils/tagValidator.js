@@ -1,22 +1,33 @@
-const BLACKLIST = ['misc', 'other', 'general', 'various', 'stuff'];
-const CATS = ['Development', 'Design', 'Business', 'Learning', 'Entertainment', 'Reference', 'Tools', 'Personal'];
-const FALLBACK_TAGS = ['untagged', 'bookmark', 'reference'];
+import { canonicalTag, DEFAULT_TAXONOMY, resolveCategory } from './taxonomy.js';
+
+// Filler for results with fewer than MIN_TAGS tags
+export const FALLBACK_TAGS = Object.freeze(['untagged', 'bookmark', 'reference']);
 const MIN_TAGS = 3;
+export const MAX_TAGS = 6;
+const MIN_TAG_LENGTH = 3;
+// Scripts where one or two characters already make a word
+const DENSE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Length in code points rather than UTF-16 units, so characters outside the
+// BMP (emoji, rare CJK) count once
+function tagLength(tag) {
+  return [...tag].length;
+}
 
-export function validateTags(tags, category) {
+// `taxonomy` should come from normalizeTaxonomy()/loadTaxonomy(); it defaults
+// to the built-in categories and blacklist.
+export function validateTags(tags, category, taxonomy = DEFAULT_TAXONOMY) {
   const clean = [];
-  for (const tag of tags || []) {
-    if (!tag || tag.length <= 2) continue;
-    if (BLACKLIST.includes(tag.toLowerCase())) continue;
-    if (!clean.includes(tag)) clean.push(tag);
+  for (const raw of tags || []) {
+    const tag = canonicalTag(raw, taxonomy);
+    if (!tag || (tagLength(tag) < MIN_TAG_LENGTH && !DENSE_SCRIPT.test(tag))) continue;
+    if (!clean.some(t => t.toLowerCase() === tag.toLowerCase())) clean.push(tag);
   }
 
-  if (!CATS.includes(category)) category = 'Reference';
-
   for (const fallback of FALLBACK_TAGS) {
     if (clean.length >= MIN_TAGS) break;
     if (!clean.includes(fallback)) clean.push(fallback);
   }
 
-  return { tags: clean.slice(0, 6), category };
+  return { tags: clean.slice(0, MAX_TAGS), category: resolveCategory(category, taxonomy) };
 }
@@ -0,0 +1,232 @@
+// Tagging taxonomy set on the options page and stored in chrome.storage.sync:
+//   {
+//     categories: [{ name, description, subcategories: [name] }],
+//     blacklist:  [tag],              // tags that are never kept
+//     synonyms:   { [tag]: tag }      // tags rewritten to a preferred form
+//   }
+// A category is assigned as `Name` or `Name/Subcategory`.
+
+export const TAXONOMY_STORAGE_KEY = 'tagTaxonomy';
+
+export const CATEGORY_SEPARATOR = '/';
+
+export const DEFAULT_TAXONOMY = Object.freeze({
+  categories: [
+    { name: 'Development', description: 'Programming, software engineering, APIs and developer tools', subcategories: [] },
+    { name: 'Design', description: 'UI/UX, graphics, typography and visual inspiration', subcategories: [] },
+    { name: 'Business', description: 'Companies, finance, marketing and management', subcategories: [] },
+    { name: 'Learning', description: 'Courses, tutorials, research and other study material', subcategories: [] },
+    { name: 'Entertainment', description: 'Video, music, games and leisure', subcategories: [] },
+    { name: 'Reference', description: 'Documentation, dictionaries, wikis and lookup material', subcategories: [] },
+    { name: 'Tools', description: 'Web apps and utilities used to get something done', subcategories: [] },
+    { name: 'Personal', description: 'Accounts, health, home, travel and other personal matters', subcategories: [] }
+  ],
+  blacklist: ['misc', 'other', 'general', 'various', 'stuff'],
+  synonyms: {}
+});
+
+// The default categories in the other tag languages (utils/languageDetector.js),
+// in DEFAULT_TAXONOMY order as [name, description]
+const LOCALIZED_DEFAULTS = {
+  es: {
+    categories: [
+      ['Desarrollo', 'Programación, ingeniería de software, APIs y herramientas para desarrolladores'],
+      ['Diseño', 'UI/UX, gráficos, tipografía e inspiración visual'],
+      ['Negocios', 'Empresas, finanzas, marketing y gestión'],
+      ['Aprendizaje', 'Cursos, tutoriales, investigación y otro material de estudio'],
+      ['Entretenimiento', 'Vídeo, música, juegos y ocio'],
+      ['Referencia', 'Documentación, diccionarios, wikis y material de consulta'],
+      ['Herramientas', 'Aplicaciones web y utilidades para hacer algo'],
+      ['Personal', 'Cuentas, salud, hogar, viajes y otros asuntos personales']
+    ],
+    blacklist: ['varios', 'otros', 'general', 'cosas', 'misc']
+  },
+  de: {
+    categories: [
+      ['Entwicklung', 'Programmierung, Softwareentwicklung, APIs und Entwicklerwerkzeuge'],
+      ['Design', 'UI/UX, Grafik, Typografie und visuelle Inspiration'],
+      ['Wirtschaft', 'Unternehmen, Finanzen, Marketing und Management'],
+      ['Lernen', 'Kurse, Tutorials, Forschung und anderes Lernmaterial'],
+      ['Unterhaltung', 'Video, Musik, Spiele und Freizeit'],
+      ['Referenz', 'Dokumentation, Wörterbücher, Wikis und Nachschlagewerke'],
+      ['Werkzeuge', 'Web-Apps und Hilfsmittel, mit denen man etwas erledigt'],
+      ['Persönlich', 'Konten, Gesundheit, Zuhause, Reisen und andere persönliche Dinge']
+    ],
+    blacklist: ['sonstiges', 'allgemein', 'verschiedenes', 'andere', 'misc']
+  }
+};
+
+// The Reference category in every language, used as the fallback
+const REFERENCE_NAMES = new Set(['reference', ...Object.values(LOCALIZED_DEFAULTS).map(d => d.categories[5][0].toLowerCase())]);
+
+/**
+ * The built-in taxonomy with category names in `language`; English for
+ * languages without a translation.
+ */
+export function defaultTaxonomy(language = 'en') {
+  const localized = LOCALIZED_DEFAULTS[language];
+  if (!localized) return normalizeTaxonomy(DEFAULT_TAXONOMY);
+  return normalizeTaxonomy({
+    categories: localized.categories.map(([name, description]) => ({ name, description, subcategories: [] })),
+    blacklist: localized.blacklist,
+    synonyms: {}
+  });
+}
+
+/**
+ * Whether `taxonomy` is one of the built-in defaults, unedited. Those follow
+ * the tag language instead of being kept as stored.
+ */
+export function isDefaultTaxonomy(taxonomy) {
+  const text = JSON.stringify(normalizeTaxonomy(taxonomy));
+  return ['en', ...Object.keys(LOCALIZED_DEFAULTS)].some(lang => JSON.stringify(defaultTaxonomy(lang)) === text);
+}
+
+// Category and sub-category names can't contain the separator
+function cleanName(value) {
+  return typeof value === 'string' ? value.replaceAll(CATEGORY_SEPARATOR, ' ').replace(/\s+/g, ' ').trim() : '';
+}
+
+function cleanTerm(value) {
+  return typeof value === 'string' ? value.normalize('NFC').trim().toLowerCase() : '';
+}
+
+function uniqueBy(values, key) {
+  const seen = new Set();
+  return values.filter((value) => {
+    const k = key(value);
+    if (!k || seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+/**
+ * Clean up a stored or imported taxonomy. Category names are unique
+ * (case-insensitively); without any valid category the default list is used.
+ * Blacklist entries and synonym keys are lower-cased.
+ */
+export function normalizeTaxonomy(raw) {
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+
+  const categories = uniqueBy((Array.isArray(source.categories) ? source.categories : []).map((entry) => {
+    const name = cleanName(typeof entry === 'string' ? entry : entry?.name);
+    return {
+      name,
+      description: typeof entry?.description === 'string' ? entry.description.trim() : '',
+      subcategories: uniqueBy((Array.isArray(entry?.subcategories) ? entry.subcategories : []).map(cleanName), s => s.toLowerCase())
+    };
+  }), c => c.name.toLowerCase());
+
+  const blacklist = uniqueBy((Array.isArray(source.blacklist) ? source.blacklist : []).map(cleanTerm), t => t);
+
+  const synonyms = {};
+  if (source.synonyms && typeof source.synonyms === 'object' && !Array.isArray(source.synonyms)) {
+    for (const [from, to] of Object.entries(source.synonyms)) {
+      const term = cleanTerm(from);
+      const target = typeof to === 'string' ? to.trim() : '';
+      if (term && target && term !== target.toLowerCase()) synonyms[term] = target;
+    }
+  }
+
+  return {
+    categories: categories.length ? categories : DEFAULT_TAXONOMY.categories.map(c => ({ ...c, subcategories: [...c.subcategories] })),
+    blacklist: Array.isArray(source.blacklist) ? blacklist : [...DEFAULT_TAXONOMY.blacklist],
+    synonyms
+  };
+}
+
+// An unedited default is returned in `language` (see defaultTaxonomy)
+export async function loadTaxonomy(language = 'en') {
+  try {
+    const { [TAXONOMY_STORAGE_KEY]: stored } = await chrome.storage.sync.get(TAXONOMY_STORAGE_KEY);
+    return stored && !isDefaultTaxonomy(stored) ? normalizeTaxonomy(stored) : defaultTaxonomy(language);
+  } catch (e) {
+    console.warn('Failed to load tag taxonomy:', e);
+    return defaultTaxonomy(language);
+  }
+}
+
+/**
+ * Every assignable category: each name followed by its `Name/Sub` paths.
+ */
+export function categoryPaths(taxonomy) {
+  return taxonomy.categories.flatMap(c => [c.name, ...c.subcategories.map(s => `${c.name}${CATEGORY_SEPARATOR}${s}`)]);
+}
+
+// Category used when the model's answer matches nothing in the taxonomy:
+// Reference (in any tag language) or the first category
+export function fallbackCategory(taxonomy) {
+  const names = taxonomy.categories.map(c => c.name);
+  return names.find(n => REFERENCE_NAMES.has(n.toLowerCase())) || names[0];
+}
+
+/**
+ * Match `category` against the taxonomy, ignoring case and synonyms. An
+ * unknown sub-category falls back to its parent; an unknown category to
+ * fallbackCategory().
+ */
+export function resolveCategory(category, taxonomy) {
+  const raw = typeof category === 'string' ? category.trim() : '';
+  const [parentPart, ...rest] = raw.split(CATEGORY_SEPARATOR);
+  const lookup = (name) => {
+    const key = cleanTerm(name);
+    const target = cleanTerm(taxonomy.synonyms[key] || key);
+    return taxonomy.categories.find(c => c.name.toLowerCase() === target);
+  };
+
+  const parent = lookup(parentPart);
+  if (!parent) return fallbackCategory(taxonomy);
+  const subName = cleanTerm(rest.join(' '));
+  const sub = subName && parent.subcategories.find(s => s.toLowerCase() === subName);
+  return sub ? `${parent.name}${CATEGORY_SEPARATOR}${sub}` : parent.name;
+}
+
+/**
+ * The preferred form of `tag`, or null when the tag (or what it maps to) is
+ * blacklisted.
+ */
+export function canonicalTag(tag, taxonomy) {
+  // NFC so a decomposed "café" matches the composed one
+  const text = typeof tag === 'string' ? tag.normalize('NFC').trim() : '';
+  if (!text) return null;
+  const mapped = taxonomy.synonyms[text.toLowerCase()] || text;
+  const blocked = new Set(taxonomy.blacklist);
+  if (blocked.has(text.toLowerCase()) || blocked.has(mapped.toLowerCase())) return null;
+  return mapped;
+}
+
+/**
+ * Taxonomy as plain text for the tagging prompt.
+ */
+export function describeTaxonomy(taxonomy) {
+  const lines = ['Categories (use "Category" or "Category/Subcategory"):'];
+  for (const c of taxonomy.categories) {
+    const subs = c.subcategories.length ? ` Subcategories: ${c.subcategories.join(', ')}.` : '';
+    lines.push(`- ${c.name}${c.description ? `: ${c.description}` : ''}${subs}`);
+  }
+  if (taxonomy.blacklist.length) lines.push(`Never use these tags: ${taxonomy.blacklist.join(', ')}.`);
+  const synonyms = Object.entries(taxonomy.synonyms);
+  if (synonyms.length) lines.push(`Preferred tag spellings: ${synonyms.map(([from, to]) => `${to} (not ${from})`).join(', ')}.`);
+  return lines.join('\n');
+}
+
+/**
+ * Parse an imported taxonomy file.
+ * @returns {{ taxonomy: object | null, error: string | null }}
+ */
+export function parseTaxonomyJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { taxonomy: null, error: `Invalid JSON: ${e.message}` };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { taxonomy: null, error: 'Expected an object with categories, blacklist and synonyms' };
+  }
+  if (!Array.isArray(parsed.categories) || !parsed.categories.some(c => cleanName(typeof c === 'string' ? c : c?.name))) {
+    return { taxonomy: null, error: 'The taxonomy needs at least one named category' };
+  }
+  return { taxonomy: normalizeTaxonomy(parsed), error: null };
+}
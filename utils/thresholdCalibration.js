@@ -0,0 +1,128 @@
+// Similarity threshold calibration. Each bookmark's nearest neighbour (by
+// cached vector) gives one similarity; the distribution of those shows where
+// true duplicates separate from merely related pages for the embedding model
+// in use. Thresholds picked from it are stored per model in chrome.storage.sync:
+//   { [model]: { sameDomain, crossDomain } }
+import { VectorIndex } from '../lib/vectorIndex.js';
+
+export const SIMILARITY_THRESHOLDS_STORAGE_KEY = 'similarityThresholds';
+
+// Cross-domain pairs are held to a stricter bar when nothing was calibrated
+export const CROSS_DOMAIN_MARGIN = 0.05;
+
+function validThreshold(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 && n <= 1 ? n : null;
+}
+
+/**
+ * Clean up stored thresholds: entries need a valid sameDomain value; a missing
+ * crossDomain value defaults to sameDomain plus the margin.
+ */
+export function normalizeThresholds(raw) {
+  const out = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return out;
+  for (const [model, entry] of Object.entries(raw)) {
+    const sameDomain = validThreshold(entry?.sameDomain);
+    if (!model || sameDomain === null) continue;
+    const crossDomain = validThreshold(entry.crossDomain) ?? Math.min(1, sameDomain + CROSS_DOMAIN_MARGIN);
+    out[model] = { sameDomain, crossDomain };
+  }
+  return out;
+}
+
+export async function loadSimilarityThresholds() {
+  try {
+    const { [SIMILARITY_THRESHOLDS_STORAGE_KEY]: stored } = await chrome.storage.sync.get(SIMILARITY_THRESHOLDS_STORAGE_KEY);
+    return normalizeThresholds(stored);
+  } catch (e) {
+    console.warn('Failed to load similarity thresholds:', e);
+    return {};
+  }
+}
+
+/**
+ * Thresholds for `model`: the calibrated ones if saved, otherwise `fallback`
+ * for same-domain pairs and fallback plus the margin for cross-domain pairs.
+ */
+export function thresholdsFor(stored, model, fallback) {
+  const saved = model ? stored?.[model] : null;
+  if (saved) return { ...saved, calibrated: true };
+  return { sameDomain: fallback, crossDomain: Math.min(1, fallback + CROSS_DOMAIN_MARGIN), calibrated: false };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * One pair per entry: the entry and its nearest neighbour. A pair found from
+ * both sides is kept once.
+ * @param {Array<{ id: string, url: string, title?: string, vector: ArrayLike<number> }>} entries
+ * @returns {Array<{ a: object, b: object, similarity: number, sameDomain: boolean }>}
+ */
+export function nearestNeighbourPairs(entries) {
+  const index = new VectorIndex();
+  const byId = new Map();
+  for (const entry of entries) {
+    if (index.add(entry.id, entry.vector)) byId.set(entry.id, entry);
+  }
+
+  const pairs = new Map();
+  for (const entry of byId.values()) {
+    const nearest = index.search(entry.vector, 2).find(hit => hit.id !== entry.id);
+    if (!nearest) continue;
+    const key = [entry.id, nearest.id].sort().join('\n');
+    if (pairs.has(key)) continue;
+    const other = byId.get(nearest.id);
+    const host = hostOf(entry.url);
+    pairs.set(key, {
+      a: { id: entry.id, title: entry.title || '', url: entry.url },
+      b: { id: other.id, title: other.title || '', url: other.url },
+      similarity: Math.min(1, nearest.similarity),
+      sameDomain: Boolean(host) && host === hostOf(other.url)
+    });
+  }
+  return [...pairs.values()];
+}
+
+/**
+ * Bucket pair similarities from the lowest one seen up to 1.
+ * @returns {Array<{ from: number, to: number, sameDomain: number, crossDomain: number }>}
+ */
+export function buildHistogram(pairs, { binWidth = 0.02 } = {}) {
+  if (!pairs.length) return [];
+  const lowest = Math.min(...pairs.map(p => p.similarity));
+  const start = Math.max(0, Math.floor(lowest / binWidth) * binWidth);
+  const count = Math.max(1, Math.ceil((1 - start) / binWidth - 1e-9));
+  const bins = Array.from({ length: count }, (_, i) => ({
+    from: start + i * binWidth,
+    to: Math.min(1, start + (i + 1) * binWidth),
+    sameDomain: 0,
+    crossDomain: 0
+  }));
+  for (const pair of pairs) {
+    const i = Math.min(count - 1, Math.floor((pair.similarity - start) / binWidth + 1e-9));
+    bins[i][pair.sameDomain ? 'sameDomain' : 'crossDomain']++;
+  }
+  return bins;
+}
+
+/**
+ * For each cut-off, the pairs just above it (would be flagged) and just below
+ * it (would not), closest to the cut-off first.
+ */
+export function samplePairs(pairs, cutoffs, perSide = 3) {
+  return cutoffs.map((cutoff) => {
+    const byDistance = [...pairs].sort((x, y) => Math.abs(x.similarity - cutoff) - Math.abs(y.similarity - cutoff));
+    return {
+      cutoff,
+      above: byDistance.filter(p => p.similarity > cutoff).slice(0, perSide),
+      below: byDistance.filter(p => p.similarity <= cutoff).slice(0, perSide)
+    };
+  });
+}
@@ -0,0 +1,45 @@
+// Rough token counts for request sizing. OpenAI tokenizers average about four
+// characters per token for English and other alphabetic text, but Chinese,
+// Japanese and Korean characters take about a token each, so those are counted
+// separately; counting them at four per token would let CJK pages overrun
+// `maxBatchTokens`.
+
+const CHARS_PER_TOKEN = 4;
+const DENSE_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const DENSE_CHARS = new RegExp(DENSE_CHAR.source, 'gu');
+
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const str = String(text);
+  const dense = str.match(DENSE_CHARS)?.length || 0;
+  return Math.ceil(dense + (str.length - dense) / CHARS_PER_TOKEN);
+}
+
+// Trim text so its estimated token count stays within `maxTokens`.
+export function truncateToTokens(text, maxTokens) {
+  if (!text || !Number.isFinite(maxTokens)) return text || '';
+  const budget = Math.max(0, Math.floor(maxTokens));
+  if (!DENSE_CHAR.test(text)) {
+    const maxChars = budget * CHARS_PER_TOKEN;
+    return text.length > maxChars ? text.slice(0, maxChars) : text;
+  }
+  if (estimateTokens(text) <= budget) return text;
+  let cost = 0;
+  let end = 0;
+  for (const char of text) {
+    cost += DENSE_CHAR.test(char) ? 1 : char.length / CHARS_PER_TOKEN;
+    if (cost > budget) break;
+    end += char.length;
+  }
+  return text.slice(0, end);
+}
+
+// Whitespace-collapsed start of `text` within `maxTokens`, cut at a word
+// boundary where one is close enough.
+export function excerptText(text, maxTokens) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  const cut = truncateToTokens(flat, maxTokens);
+  if (cut.length === flat.length) return cut;
+  const space = cut.lastIndexOf(' ');
+  return `${(space > cut.length * 0.8 ? cut.slice(0, space) : cut).trimEnd()}…`;
+}
@@ -1,21 +1,12 @@
-const PAIR_SEPARATOR = '||';
+import { canonicalizeUrl } from './urlCanonicalizer.js';
 
+export const PAIR_SEPARATOR = '||';
+
+// Key used to decide whether two bookmarks point at the same page. See
+// urlCanonicalizer.js for the rules (tracking params, www/mobile hosts, AMP,
+// query order, fragments).
 export function normalizeUrlForKey(raw) {
-  if (!raw) return '';
-  try {
-    const url = new URL(raw);
-    const protocol = url.protocol.toLowerCase();
-    const hostname = url.hostname.toLowerCase();
-    let pathname = url.pathname || '/';
-    if (pathname !== '/') {
-      pathname = pathname.replace(/\/+$/, '');
-      if (!pathname.startsWith('/')) pathname = `/${pathname}`;
-    }
-    const search = url.search || '';
-    return `${protocol}//${hostname}${pathname}${search}`.toLowerCase();
-  } catch {
-    return String(raw).trim().toLowerCase();
-  }
+  return canonicalizeUrl(raw);
 }
 
 export function makePairKey(urlA, urlB) {
@@ -0,0 +1,236 @@
+// Rule-based URL canonicalization behind normalizeUrlForKey. Two bookmarks with
+// the same canonical form are treated as the same page by the URL index, the
+// importer and exact-match dedupe.
+//
+// A rule applies to hosts matching `host` (the domain or any subdomain; '*' for
+// every host) and may set:
+//   stripParams: query keys to drop; a trailing '*' matches a prefix
+//   keepParams:  allowlist; every other query key is dropped
+//   fragment:    'strip' | 'keep' | 'route' (keep only #/… and #!… routes)
+//   stripPath:   regex source removed from the pathname (e.g. "/amp/?$")
+//   rewriteHost: replacement host (e.g. fold twitter.com into x.com)
+// Later rules win for `fragment`/`rewriteHost`; param lists accumulate.
+
+export const CANONICAL_RULES_STORAGE_KEY = 'urlCanonicalRules';
+
+export const BUILTIN_RULES = Object.freeze([
+  {
+    host: '*',
+    stripParams: [
+      'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid',
+      'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi',
+      'mkt_tok', 'vero_id', 'oly_anon_id', 'oly_enc_id', 'spm', 'ref_src', 'amp'
+    ],
+    fragment: 'route',
+    stripPath: '/amp/?$'
+  },
+  { host: 'youtube.com', keepParams: ['v', 'list', 'index'] },
+  { host: 'mail.google.com', fragment: 'keep' },
+  { host: 'twitter.com', rewriteHost: 'x.com', stripParams: ['s', 't'] },
+  { host: 'x.com', stripParams: ['s', 't'] }
+]);
+
+const MOBILE_LABELS = new Set(['m', 'mobile', 'amp']);
+const FRAGMENT_MODES = new Set(['strip', 'keep', 'route']);
+
+let customRules = [];
+
+function hostMatches(pattern, host) {
+  if (pattern === '*') return true;
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+function paramMatches(patterns, key) {
+  return patterns.some(p => (p.endsWith('*') ? key.startsWith(p.slice(0, -1)) : key === p));
+}
+
+/**
+ * Validate user-supplied rules. Returns the usable rules plus one message per
+ * rejected entry so the options page can explain what was dropped.
+ */
+export function parseCanonicalRules(input) {
+  let list = input;
+  if (typeof input === 'string') {
+    if (!input.trim()) return { rules: [], errors: [] };
+    try {
+      list = JSON.parse(input);
+    } catch (e) {
+      return { rules: [], errors: [`Invalid JSON: ${e.message}`] };
+    }
+  }
+  if (!Array.isArray(list)) return { rules: [], errors: ['Rules must be a JSON array'] };
+
+  const rules = [];
+  const errors = [];
+  list.forEach((raw, i) => {
+    const host = typeof raw?.host === 'string' ? raw.host.trim().toLowerCase().replace(/^www\./, '') : '';
+    if (!host) {
+      errors.push(`Rule ${i + 1}: "host" is required`);
+      return;
+    }
+    const rule = { host };
+    for (const key of ['stripParams', 'keepParams']) {
+      if (raw[key] == null) continue;
+      if (!Array.isArray(raw[key]) || raw[key].some(p => typeof p !== 'string')) {
+        errors.push(`Rule ${i + 1}: "${key}" must be a list of strings`);
+        return;
+      }
+      rule[key] = raw[key].map(p => p.trim().toLowerCase()).filter(Boolean);
+    }
+    if (raw.fragment != null) {
+      if (!FRAGMENT_MODES.has(raw.fragment)) {
+        errors.push(`Rule ${i + 1}: "fragment" must be strip, keep or route`);
+        return;
+      }
+      rule.fragment = raw.fragment;
+    }
+    if (raw.stripPath != null) {
+      try {
+        new RegExp(raw.stripPath);
+        rule.stripPath = String(raw.stripPath);
+      } catch {
+        errors.push(`Rule ${i + 1}: "stripPath" is not a valid regular expression`);
+        return;
+      }
+    }
+    if (typeof raw.rewriteHost === 'string' && raw.rewriteHost.trim()) {
+      rule.rewriteHost = raw.rewriteHost.trim().toLowerCase();
+    }
+    rules.push(rule);
+  });
+  return { rules, errors };
+}
+
+export function setCustomCanonicalRules(rules) {
+  customRules = parseCanonicalRules(rules || []).rules;
+}
+
+export function getCustomCanonicalRules() {
+  return customRules.slice();
+}
+
+// Stable description of the active rules; the URL index stores it so a rule
+// change (or an upgrade of the built-ins) triggers a rebuild.
+export function getCanonicalRulesSignature() {
+  return JSON.stringify([BUILTIN_RULES, customRules]);
+}
+
+export async function loadCanonicalRules() {
+  try {
+    const { [CANONICAL_RULES_STORAGE_KEY]: stored } = await chrome.storage.sync.get(CANONICAL_RULES_STORAGE_KEY);
+    setCustomCanonicalRules(stored);
+  } catch (e) {
+    console.warn('Failed to load URL canonicalization rules:', e);
+  }
+  return getCustomCanonicalRules();
+}
+
+// Google AMP viewer and AMP cache URLs wrap the publisher URL in their path;
+// youtu.be short links carry the video id in theirs.
+function unwrapUrl(url) {
+  const host = url.hostname.toLowerCase();
+  if (host === 'youtu.be' && url.pathname.length > 1) {
+    const unwrapped = new URL(`https://youtube.com/watch${url.search}`);
+    unwrapped.searchParams.set('v', url.pathname.slice(1).split('/')[0]);
+    return unwrapped;
+  }
+  let match = null;
+  if (/(^|\.)google\.[a-z.]+$/.test(host)) {
+    match = url.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+  } else if (host.endsWith('.cdn.ampproject.org')) {
+    match = url.pathname.match(/^\/[a-z]+\/(s\/)?(.+)$/);
+  }
+  if (!match) return url;
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${url.search}${url.hash}`);
+  } catch {
+    return url;
+  }
+}
+
+// Drop www. and mobile/AMP labels (m.example.com, en.m.wikipedia.org) while
+// leaving at least a registrable-looking host behind.
+function foldHost(host) {
+  const labels = host.split('.');
+  const kept = labels.filter((label, i) => !(i < labels.length - 2 && (label === 'www' || MOBILE_LABELS.has(label))));
+  return kept.join('.');
+}
+
+function resolveRules(host, rules) {
+  const merged = { stripParams: [], keepParams: null, fragment: 'strip', stripPaths: [], rewriteHost: null };
+  for (const rule of rules) {
+    if (!hostMatches(rule.host, host)) continue;
+    if (rule.stripParams) merged.stripParams.push(...rule.stripParams);
+    if (rule.keepParams) merged.keepParams = [...(merged.keepParams || []), ...rule.keepParams];
+    if (rule.fragment) merged.fragment = rule.fragment;
+    if (rule.stripPath) merged.stripPaths.push(rule.stripPath);
+    if (rule.rewriteHost) merged.rewriteHost = rule.rewriteHost;
+  }
+  return merged;
+}
+
+/**
+ * Canonical, lowercased form of `raw`. Non-http(s) or unparsable input is
+ * trimmed and lowercased only. Pass a Set as `trace` to collect the steps that
+ * changed the URL: unwrap, host, path, params, query-order, fragment, case.
+ */
+export function canonicalizeUrl(raw, { rules, trace } = {}) {
+  if (!raw) return '';
+  let url;
+  try {
+    url = new URL(String(raw).trim());
+  } catch {
+    return String(raw).trim().toLowerCase();
+  }
+  const protocol = url.protocol.toLowerCase();
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    return url.href.toLowerCase();
+  }
+
+  const original = url;
+  url = unwrapUrl(url);
+  if (url !== original) trace?.add('unwrap');
+  const active = rules || [...BUILTIN_RULES, ...customRules];
+  let host = foldHost(url.hostname.toLowerCase());
+  const policy = resolveRules(host, active);
+  if (policy.rewriteHost) host = policy.rewriteHost;
+  if (host !== url.hostname.toLowerCase()) trace?.add('host');
+
+  let pathname = url.pathname || '/';
+  for (const source of policy.stripPaths) {
+    pathname = pathname.replace(new RegExp(source, 'i'), '/');
+  }
+  pathname = pathname.replace(/\/{2,}/g, '/');
+  if (pathname !== '/') {
+    pathname = pathname.replace(/\/+$/, '');
+    if (!pathname.startsWith('/')) pathname = `/${pathname}`;
+  }
+  if (pathname !== (url.pathname || '/')) trace?.add('path');
+
+  const params = [];
+  for (const [key, value] of url.searchParams) {
+    const k = key.toLowerCase();
+    if (policy.keepParams && !policy.keepParams.includes(k)) continue;
+    if (paramMatches(policy.stripParams, k)) continue;
+    params.push([key, value]);
+  }
+  if (params.length < [...url.searchParams.keys()].length) trace?.add('params');
+  const unsorted = params.map(p => p.join('=')).join('&');
+  params.sort((a, b) => (a[0] === b[0] ? a[1].localeCompare(b[1]) : a[0] < b[0] ? -1 : 1));
+  if (params.map(p => p.join('=')).join('&') !== unsorted) trace?.add('query-order');
+  const search = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+
+  let hash = '';
+  if (url.hash && url.hash !== '#') {
+    if (policy.fragment === 'keep' || (policy.fragment === 'route' && /^#(!|\/)/.test(url.hash))) {
+      ({ hash } = url);
+    } else {
+      trace?.add('fragment');
+    }
+  }
+
+  const port = url.port ? `:${url.port}` : '';
+  const canonical = `${protocol}//${host}${port}${pathname}${search}${hash}`;
+  if (/[A-Z]/.test(canonical)) trace?.add('case');
+  return canonical.toLowerCase();
+}
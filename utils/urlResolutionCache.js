@@ -0,0 +1,74 @@
+// Remembers where a bookmark URL ended up when it was last scraped: the final
+// URL after redirects and the page's <link rel="canonical">. Entries expire
+// after `ttlMs`, so moved pages get re-resolved eventually without refetching
+// every page on every run.
+//
+// Entry shape: { finalUrl, canonicalUrl, title, textHash, excerpt, language, checkedAt }.
+// `title` and `textHash` describe the text that was embedded for the page so a
+// current cached vector can be reused without scraping again; `excerpt` is the
+// start of the page text, kept for tagging; `language` comes from the page's
+// <html lang> or its text (null when unknown).
+import { detectLanguage } from './languageDetector.js';
+import { excerptText } from './tokenEstimator.js';
+
+export const URL_RESOLUTION_STORAGE_KEY = 'urlResolutions';
+
+// Longest excerpt kept per page
+export const PAGE_EXCERPT_TOKENS = 300;
+
+export class UrlResolutionCache {
+  constructor(ttlMs = 7 * 24 * 60 * 60 * 1000) {
+    this.ttlMs = ttlMs;
+    this.entries = {};
+    this.dirty = false;
+  }
+
+  isFresh(entry, now = Date.now()) {
+    return !!entry && Number.isFinite(entry.checkedAt) && now - entry.checkedAt < this.ttlMs;
+  }
+
+  // Load from chrome.storage.local, dropping expired entries.
+  async load() {
+    try {
+      const { [URL_RESOLUTION_STORAGE_KEY]: stored } = await chrome.storage.local.get(URL_RESOLUTION_STORAGE_KEY);
+      const now = Date.now();
+      this.entries = {};
+      for (const [url, entry] of Object.entries(stored || {})) {
+        if (this.isFresh(entry, now)) this.entries[url] = entry;
+        else this.dirty = true;
+      }
+    } catch (e) {
+      console.warn('Failed to load URL resolutions:', e);
+    }
+    return this;
+  }
+
+  get(url) {
+    const entry = url ? this.entries[url] : null;
+    return this.isFresh(entry) ? entry : null;
+  }
+
+  set(url, info) {
+    if (!url) return;
+    this.entries[url] = {
+      finalUrl: info.finalUrl || '',
+      canonicalUrl: info.canonicalUrl || '',
+      title: info.title || '',
+      textHash: info.textHash || null,
+      excerpt: info.excerpt ?? excerptText(info.text, PAGE_EXCERPT_TOKENS),
+      language: info.language ?? detectLanguage(info.text, info.lang),
+      checkedAt: Date.now()
+    };
+    this.dirty = true;
+  }
+
+  async save() {
+    if (!this.dirty) return;
+    try {
+      await chrome.storage.local.set({ [URL_RESOLUTION_STORAGE_KEY]: this.entries });
+      this.dirty = false;
+    } catch (e) {
+      console.warn('Failed to store URL resolutions:', e);
+    }
+  }
+}
@@ -0,0 +1,287 @@
+// IndexedDB vector store: one record per URL with the vector as a binary
+// buffer, optionally quantized to float16 or int8. A small `meta` store tracks
+// each record's size, last use, model and dimensions so the least recently used
+// vectors can be evicted once the store goes over its byte budget and vectors
+// from another embedding model can be found without decoding them.
+
+export const VECTOR_ENCODINGS = Object.freeze(['float32', 'float16', 'int8']);
+
+export const DEFAULT_VECTOR_BUDGET_BYTES = 50 * 1024 * 1024;
+
+const DB_VERSION = 1;
+const VECTORS = 'vectors';
+const META = 'meta';
+// Rough per-record cost of the key and metadata on top of the vector buffer
+const RECORD_OVERHEAD_BYTES = 128;
+
+// IEEE 754 half precision, round-to-nearest-even
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+
+function toHalf(value) {
+  f32[0] = value;
+  const x = u32[0];
+  const sign = (x >>> 16) & 0x8000;
+  let exp = (x >>> 23) & 0xff;
+  let mant = x & 0x7fffff;
+  if (exp === 0xff) return sign | 0x7c00 | (mant ? 0x200 : 0);
+  exp = exp - 127 + 15;
+  if (exp >= 0x1f) return sign | 0x7c00;
+  if (exp <= 0) {
+    if (exp < -10) return sign;
+    mant |= 0x800000;
+    const shift = 14 - exp;
+    const half = mant >> shift;
+    const rem = mant & ((1 << shift) - 1);
+    const mid = 1 << (shift - 1);
+    return sign | (half + (rem > mid || (rem === mid && half & 1) ? 1 : 0));
+  }
+  const half = (exp << 10) | (mant >> 13);
+  const rem = mant & 0x1fff;
+  return sign | (half + (rem > 0x1000 || (rem === 0x1000 && half & 1) ? 1 : 0));
+}
+
+function fromHalf(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >> 10) & 0x1f;
+  const mant = h & 0x3ff;
+  if (exp === 0) return sign * mant * 2 ** -24;
+  if (exp === 0x1f) return mant ? NaN : sign * Infinity;
+  return sign * (1 + mant / 1024) * 2 ** (exp - 15);
+}
+
+/**
+ * Pack a vector for storage. int8 uses one symmetric scale per vector.
+ * @returns {{ data: ArrayBuffer, encoding: string, scale: number }}
+ */
+export function encodeVector(vector, encoding = 'float32') {
+  const values = vector instanceof Float32Array ? vector : new Float32Array(vector || []);
+  if (encoding === 'float16') {
+    const out = new Uint16Array(values.length);
+    for (let i = 0; i < values.length; i++) out[i] = toHalf(values[i]);
+    return { data: out.buffer, encoding, scale: 1 };
+  }
+  if (encoding === 'int8') {
+    let maxAbs = 0;
+    for (const v of values) maxAbs = Math.max(maxAbs, Math.abs(v));
+    const scale = maxAbs / 127 || 1;
+    const out = new Int8Array(values.length);
+    for (let i = 0; i < values.length; i++) out[i] = Math.round(values[i] / scale);
+    return { data: out.buffer, encoding, scale };
+  }
+  return { data: values.slice().buffer, encoding: 'float32', scale: 1 };
+}
+
+export function decodeVector({ data, encoding, scale = 1 }) {
+  if (!data) return new Float32Array(0);
+  if (encoding === 'float16') return Float32Array.from(new Uint16Array(data), fromHalf);
+  if (encoding === 'int8') return Float32Array.from(new Int8Array(data), v => v * scale);
+  return new Float32Array(data.slice(0));
+}
+
+/**
+ * URLs to evict, least recently used first, until `metas` fit in `maxBytes`.
+ * @param {Array<{ url: string, bytes: number, lastUsed: number }>} metas
+ */
+export function selectEvictions(metas, maxBytes) {
+  let total = metas.reduce((sum, m) => sum + (m.bytes || 0), 0);
+  if (total <= maxBytes) return [];
+  const evict = [];
+  for (const meta of [...metas].sort((a, b) => (a.lastUsed || 0) - (b.lastUsed || 0))) {
+    if (total <= maxBytes) break;
+    evict.push(meta.url);
+    total -= meta.bytes || 0;
+  }
+  return evict;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function completion(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function metaOf({ url, bytes, model, dims, hash }) {
+  return { url, bytes, model: model || null, dims: dims || 0, hash: hash || null };
+}
+
+function decodeRecord(record) {
+  return {
+    url: record.url,
+    vector: decodeVector(record),
+    hash: record.hash || null,
+    model: record.model || null,
+    dims: record.dims,
+    timestamp: record.timestamp || 0
+  };
+}
+
+export class VectorStore {
+  constructor({
+    dbName = 'bookmark-vectors',
+    encoding = 'float32',
+    maxBytes = DEFAULT_VECTOR_BUDGET_BYTES,
+    idbFactory = globalThis.indexedDB
+  } = {}) {
+    this.dbName = dbName;
+    this.idbFactory = idbFactory;
+    this.dbPromise = null;
+    // Upper bound on stored bytes (overwrites are counted twice); the meta store
+    // is only scanned once this passes the budget.
+    this.approxBytes = null;
+    this.configure({ encoding, maxBytes });
+  }
+
+  // New writes use the new encoding; existing records keep theirs until rewritten.
+  configure({ encoding, maxBytes } = {}) {
+    if (encoding !== undefined) this.encoding = VECTOR_ENCODINGS.includes(encoding) ? encoding : 'float32';
+    if (maxBytes !== undefined) {
+      this.maxBytes = Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : DEFAULT_VECTOR_BUDGET_BYTES;
+    }
+  }
+
+  _db() {
+    if (!this.dbPromise) {
+      if (!this.idbFactory) return Promise.reject(new Error('IndexedDB is not available'));
+      const request = this.idbFactory.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(VECTORS)) db.createObjectStore(VECTORS, { keyPath: 'url' });
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: 'url' });
+      };
+      this.dbPromise = promisify(request).catch((e) => {
+        this.dbPromise = null;
+        throw e;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Decoded record for `url`, or null. Reading marks the record as used.
+   */
+  async get(url) {
+    if (!url) return null;
+    const db = await this._db();
+    const record = await promisify(db.transaction(VECTORS).objectStore(VECTORS).get(url));
+    if (!record) return null;
+
+    const tx = db.transaction(META, 'readwrite');
+    tx.objectStore(META).put({ ...metaOf(record), lastUsed: Date.now() });
+    await completion(tx);
+
+    return {
+      vector: decodeVector(record),
+      hash: record.hash || null,
+      model: record.model || null,
+      dims: record.dims,
+      encoding: record.encoding,
+      timestamp: record.timestamp || 0,
+      checkedAt: record.checkedAt || record.timestamp || 0
+    };
+  }
+
+  /**
+   * Every record decoded, without marking any as used.
+   * @returns {Promise<Array<{ url: string, vector: Float32Array, model: string | null, dims: number }>>}
+   */
+  async getAll() {
+    const db = await this._db();
+    const records = (await promisify(db.transaction(VECTORS).objectStore(VECTORS).getAll())) || [];
+    return records.map(decodeRecord);
+  }
+
+  /**
+   * The records stored for `urls`, decoded, without marking any as used. URLs
+   * without a record are left out.
+   */
+  async getMany(urls) {
+    const list = [...new Set(urls)].filter(Boolean);
+    if (!list.length) return [];
+    const db = await this._db();
+    const store = db.transaction(VECTORS).objectStore(VECTORS);
+    const records = await Promise.all(list.map(url => promisify(store.get(url))));
+    return records.filter(Boolean).map(decodeRecord);
+  }
+
+  async put(url, vector, meta = {}) {
+    if (!url || !vector) return;
+    const db = await this._db();
+    const now = Date.now();
+    const encoded = encodeVector(vector, meta.encoding || this.encoding);
+    const bytes = encoded.data.byteLength + url.length * 2 + RECORD_OVERHEAD_BYTES;
+    const record = {
+      url,
+      ...encoded,
+      dims: vector.length,
+      hash: meta.hash || null,
+      model: meta.model || null,
+      timestamp: meta.timestamp || now,
+      checkedAt: meta.checkedAt || now,
+      bytes
+    };
+    const tx = db.transaction([VECTORS, META], 'readwrite');
+    tx.objectStore(VECTORS).put(record);
+    tx.objectStore(META).put({ ...metaOf(record), lastUsed: now });
+    await completion(tx);
+
+    if (this.approxBytes === null) this.approxBytes = (await this.usage()).bytes;
+    else this.approxBytes += bytes;
+    if (this.approxBytes > this.maxBytes) await this.enforceBudget();
+  }
+
+  async delete(urls) {
+    const list = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+    if (!list.length) return;
+    const db = await this._db();
+    const tx = db.transaction([VECTORS, META], 'readwrite');
+    for (const url of list) {
+      tx.objectStore(VECTORS).delete(url);
+      tx.objectStore(META).delete(url);
+    }
+    await completion(tx);
+  }
+
+  // Delete every record whose URL matches `predicate`.
+  async deleteWhere(predicate) {
+    const metas = await this.listMeta();
+    await this.delete(metas.map(m => m.url).filter(predicate));
+  }
+
+  async listMeta() {
+    const db = await this._db();
+    return (await promisify(db.transaction(META).objectStore(META).getAll())) || [];
+  }
+
+  async usage() {
+    const metas = await this.listMeta();
+    return { count: metas.length, bytes: metas.reduce((sum, m) => sum + (m.bytes || 0), 0) };
+  }
+
+  async enforceBudget() {
+    const metas = await this.listMeta();
+    const evict = selectEvictions(metas, this.maxBytes);
+    if (evict.length) await this.delete(evict);
+    const evicted = new Set(evict);
+    this.approxBytes = metas.reduce((sum, m) => sum + (evicted.has(m.url) ? 0 : m.bytes || 0), 0);
+    return evict.length;
+  }
+
+  async clear() {
+    const db = await this._db();
+    const tx = db.transaction([VECTORS, META], 'readwrite');
+    tx.objectStore(VECTORS).clear();
+    tx.objectStore(META).clear();
+    await completion(tx);
+    this.approxBytes = 0;
+  }
+}
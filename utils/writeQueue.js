@@ -0,0 +1,11 @@
+// Chains storage writes so concurrent read-modify-write calls don't drop each
+// other's changes. Each queue runs its tasks one at a time, in call order; a
+// failed task rejects its own promise without stopping the ones after it.
+export function createWriteQueue() {
+  let pending = Promise.resolve();
+  return (task) => {
+    const run = pending.then(task);
+    pending = run.catch(() => {});
+    return run;
+  };
+}
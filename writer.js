@@ -1,22 +1,28 @@
 import { deleteBookmark as deleteNode } from './bookmarksCrud.js';
+import { folderPolicyOf } from './utils/folderPolicies.js';
+import { saveTagEntries, withTagSuffix } from './utils/tagStore.js';
 
-const TAG_SUFFIX_PATTERN = /\s--\s(?:#[^\s#]+)(?:\s#[^\s#]+)*$/;
-
-export async function writeTags(taggedKeep, dupes = []) {
-  for (const item of taggedKeep) {
-    const suffix = item.tags?.length ? ` -- ${item.tags.map(t => `#${t}`).join(' ')}` : '';
-    const baseTitle = (item.title || '').replace(TAG_SUFFIX_PATTERN, '').trimEnd();
-    const newTitle = suffix ? `${baseTitle}${suffix}` : baseTitle;
+// Tags go to the tag store; the ` -- #tag` title suffix is only written while
+// `titleTags` is on. Items from folders excluded from tagging are left alone,
+// and bookmarks in folders excluded from dedupe are never deleted.
+export async function writeTags(taggedKeep, dupes = [], { titleTags = true, source = 'ai' } = {}) {
+  const tagged = taggedKeep.filter(item => !folderPolicyOf(item).noTagging);
+  try {
+    await saveTagEntries(tagged, source);
+  } catch (e) {
+    console.warn('Failed to store tags:', e);
+  }
 
+  for (const item of titleTags ? tagged : []) {
     try {
-      await chrome.bookmarks.update(item.id, { title: newTitle });
+      await chrome.bookmarks.update(item.id, { title: withTagSuffix(item.title, item.tags) });
     } catch (e) {
       console.warn(`Failed to update bookmark ${item.id}:`, e);
     }
   }
 
   for (const d of dupes) {
-    if (!d?.url) continue;
+    if (!d?.url || folderPolicyOf(d).noDedupe) continue;
     try {
       await deleteNode(d.id);
     } catch (e) {